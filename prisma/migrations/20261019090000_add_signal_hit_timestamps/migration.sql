@@ -0,0 +1,5 @@
+-- AlterTable
+ALTER TABLE "signal_targets" ADD COLUMN     "touchedAt" BIGINT;
+
+-- AlterTable
+ALTER TABLE "signals" ADD COLUMN     "stoplossHitAt" BIGINT;
@@ -0,0 +1,2 @@
+-- AlterTable
+ALTER TABLE "signals" ADD COLUMN     "direction" TEXT NOT NULL DEFAULT 'long';
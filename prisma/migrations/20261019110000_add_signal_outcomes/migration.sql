@@ -0,0 +1,30 @@
+-- CreateTable
+CREATE TABLE "signal_outcomes" (
+    "id" TEXT NOT NULL,
+    "signalId" TEXT NOT NULL,
+    "score" DOUBLE PRECISION NOT NULL,
+    "exit" TEXT NOT NULL,
+    "direction" TEXT NOT NULL DEFAULT 'long',
+    "timeframe" TEXT NOT NULL DEFAULT '1m',
+    "entryHit" BOOLEAN NOT NULL DEFAULT false,
+    "entryHitAt" BIGINT,
+    "stoplossHit" BOOLEAN NOT NULL DEFAULT false,
+    "stoplossHitAt" BIGINT,
+    "targets" JSONB NOT NULL,
+    "maxFavorableExcursion" DOUBLE PRECISION NOT NULL DEFAULT 0,
+    "maxAdverseExcursion" DOUBLE PRECISION NOT NULL DEFAULT 0,
+    "timeDecay" DOUBLE PRECISION NOT NULL DEFAULT 1,
+    "candleCount" INTEGER NOT NULL DEFAULT 0,
+    "startTime" BIGINT NOT NULL,
+    "endTime" BIGINT NOT NULL,
+    "createdAt" TIMESTAMP(3) NOT NULL DEFAULT CURRENT_TIMESTAMP,
+    "updatedAt" TIMESTAMP(3) NOT NULL,
+
+    CONSTRAINT "signal_outcomes_pkey" PRIMARY KEY ("id")
+);
+
+-- CreateIndex
+CREATE UNIQUE INDEX "signal_outcomes_signalId_key" ON "signal_outcomes"("signalId");
+
+-- AddForeignKey
+ALTER TABLE "signal_outcomes" ADD CONSTRAINT "signal_outcomes_signalId_fkey" FOREIGN KEY ("signalId") REFERENCES "signals"("id") ON DELETE CASCADE ON UPDATE CASCADE;
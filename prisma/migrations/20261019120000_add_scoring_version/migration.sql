@@ -0,0 +1,8 @@
+-- AlterTable
+ALTER TABLE "signals" ADD COLUMN     "scoringVersion" TEXT;
+
+-- AlterTable
+ALTER TABLE "signal_outcomes" ADD COLUMN     "scoringVersion" TEXT NOT NULL DEFAULT 'v1';
+
+-- Signals closed so far were all scored by the original algorithm
+UPDATE "signals" SET "scoringVersion" = 'v1' WHERE "status" = 'closed';
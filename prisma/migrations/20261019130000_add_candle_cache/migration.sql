@@ -0,0 +1,30 @@
+-- CreateTable
+CREATE TABLE "candles" (
+    "exchange" TEXT NOT NULL,
+    "market" TEXT NOT NULL,
+    "timeframe" TEXT NOT NULL,
+    "timestamp" BIGINT NOT NULL,
+    "open" DOUBLE PRECISION NOT NULL,
+    "high" DOUBLE PRECISION NOT NULL,
+    "low" DOUBLE PRECISION NOT NULL,
+    "close" DOUBLE PRECISION NOT NULL,
+    "volume" DOUBLE PRECISION NOT NULL,
+
+    CONSTRAINT "candles_pkey" PRIMARY KEY ("exchange","market","timeframe","timestamp")
+);
+
+-- CreateTable
+CREATE TABLE "candle_ranges" (
+    "id" TEXT NOT NULL,
+    "exchange" TEXT NOT NULL,
+    "market" TEXT NOT NULL,
+    "timeframe" TEXT NOT NULL,
+    "startTime" BIGINT NOT NULL,
+    "endTime" BIGINT NOT NULL,
+    "createdAt" TIMESTAMP(3) NOT NULL DEFAULT CURRENT_TIMESTAMP,
+
+    CONSTRAINT "candle_ranges_pkey" PRIMARY KEY ("id")
+);
+
+-- CreateIndex
+CREATE INDEX "candle_ranges_exchange_market_timeframe_startTime_idx" ON "candle_ranges"("exchange", "market", "timeframe", "startTime");
@@ -0,0 +1,25 @@
+-- CreateTable
+CREATE TABLE "backtest_jobs" (
+    "id" TEXT NOT NULL,
+    "userId" TEXT NOT NULL,
+    "status" TEXT NOT NULL DEFAULT 'queued',
+    "params" JSONB NOT NULL,
+    "result" JSONB,
+    "error" TEXT,
+    "progress" DOUBLE PRECISION NOT NULL DEFAULT 0,
+    "startedAt" BIGINT,
+    "finishedAt" BIGINT,
+    "createdAt" TIMESTAMP(3) NOT NULL DEFAULT CURRENT_TIMESTAMP,
+    "updatedAt" TIMESTAMP(3) NOT NULL,
+
+    CONSTRAINT "backtest_jobs_pkey" PRIMARY KEY ("id")
+);
+
+-- CreateIndex
+CREATE INDEX "backtest_jobs_userId_idx" ON "backtest_jobs"("userId");
+
+-- CreateIndex
+CREATE INDEX "backtest_jobs_status_idx" ON "backtest_jobs"("status");
+
+-- AddForeignKey
+ALTER TABLE "backtest_jobs" ADD CONSTRAINT "backtest_jobs_userId_fkey" FOREIGN KEY ("userId") REFERENCES "users"("id") ON DELETE CASCADE ON UPDATE CASCADE;
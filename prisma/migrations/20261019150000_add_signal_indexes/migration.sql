@@ -0,0 +1,17 @@
+-- CreateIndex
+CREATE INDEX "signals_userId_idx" ON "signals"("userId");
+
+-- CreateIndex
+CREATE INDEX "signals_marketName_idx" ON "signals"("marketName");
+
+-- CreateIndex
+CREATE INDEX "signals_status_idx" ON "signals"("status");
+
+-- CreateIndex
+CREATE INDEX "signals_date_idx" ON "signals"("date");
+
+-- CreateIndex
+CREATE INDEX "signals_openTime_idx" ON "signals"("openTime");
+
+-- CreateIndex
+CREATE INDEX "signals_closeTime_idx" ON "signals"("closeTime");
@@ -0,0 +1,2 @@
+-- CreateIndex
+CREATE INDEX "posts_userId_date_idx" ON "posts"("userId", "date");
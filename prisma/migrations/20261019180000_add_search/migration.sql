@@ -0,0 +1,42 @@
+-- CreateTable
+CREATE TABLE "news_articles" (
+    "id" TEXT NOT NULL,
+    "url" TEXT NOT NULL,
+    "title" TEXT NOT NULL,
+    "description" TEXT,
+    "imageUrl" TEXT,
+    "source" TEXT,
+    "publishedAt" TIMESTAMP(3) NOT NULL,
+    "createdAt" TIMESTAMP(3) NOT NULL DEFAULT CURRENT_TIMESTAMP,
+    "updatedAt" TIMESTAMP(3) NOT NULL,
+
+    CONSTRAINT "news_articles_pkey" PRIMARY KEY ("id")
+);
+
+-- CreateIndex
+CREATE UNIQUE INDEX "news_articles_url_key" ON "news_articles"("url");
+
+-- CreateIndex
+CREATE INDEX "news_articles_publishedAt_idx" ON "news_articles"("publishedAt");
+
+-- Full-text search indexes. The expressions must match the documents searched
+-- in DatabaseService (search*), which Prisma cannot describe in the schema.
+
+-- CreateIndex
+CREATE INDEX "users_search_idx" ON "users" USING GIN ((
+    setweight(to_tsvector('simple', "username"), 'A') ||
+    setweight(to_tsvector('simple', "name"), 'A') ||
+    setweight(to_tsvector('simple', coalesce("bio", '')), 'B')
+));
+
+-- CreateIndex
+CREATE INDEX "posts_search_idx" ON "posts" USING GIN ((to_tsvector('simple', "content")));
+
+-- CreateIndex
+CREATE INDEX "signals_search_idx" ON "signals" USING GIN ((
+    setweight(to_tsvector('simple', replace("marketName", '/', ' ')), 'A') ||
+    setweight(to_tsvector('simple', coalesce("description", '')), 'B')
+));
+
+-- CreateIndex
+CREATE INDEX "news_articles_search_idx" ON "news_articles" USING GIN ((to_tsvector('simple', "title")));
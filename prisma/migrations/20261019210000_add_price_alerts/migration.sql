@@ -0,0 +1,29 @@
+-- CreateTable
+CREATE TABLE "price_alerts" (
+    "id" TEXT NOT NULL,
+    "userId" TEXT NOT NULL,
+    "marketName" TEXT NOT NULL,
+    "condition" TEXT NOT NULL,
+    "targetPrice" DOUBLE PRECISION,
+    "percent" DOUBLE PRECISION,
+    "basePrice" DOUBLE PRECISION,
+    "recurring" BOOLEAN NOT NULL DEFAULT false,
+    "armed" BOOLEAN NOT NULL DEFAULT true,
+    "isActive" BOOLEAN NOT NULL DEFAULT true,
+    "note" TEXT,
+    "triggerCount" INTEGER NOT NULL DEFAULT 0,
+    "lastTriggeredAt" BIGINT,
+    "createdAt" TIMESTAMP(3) NOT NULL DEFAULT CURRENT_TIMESTAMP,
+    "updatedAt" TIMESTAMP(3) NOT NULL,
+
+    CONSTRAINT "price_alerts_pkey" PRIMARY KEY ("id")
+);
+
+-- CreateIndex
+CREATE INDEX "price_alerts_userId_idx" ON "price_alerts"("userId");
+
+-- CreateIndex
+CREATE INDEX "price_alerts_isActive_marketName_idx" ON "price_alerts"("isActive", "marketName");
+
+-- AddForeignKey
+ALTER TABLE "price_alerts" ADD CONSTRAINT "price_alerts_userId_fkey" FOREIGN KEY ("userId") REFERENCES "users"("id") ON DELETE CASCADE ON UPDATE CASCADE;
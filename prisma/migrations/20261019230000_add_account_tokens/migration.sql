@@ -0,0 +1,29 @@
+-- AlterTable
+ALTER TABLE "users" ADD COLUMN     "emailVerified" BOOLEAN NOT NULL DEFAULT false,
+ADD COLUMN     "emailVerifiedAt" TIMESTAMP(3);
+
+-- Accounts created before email verification existed keep publishing
+UPDATE "users" SET "emailVerified" = true, "emailVerifiedAt" = CURRENT_TIMESTAMP;
+
+-- CreateTable
+CREATE TABLE "user_tokens" (
+    "id" TEXT NOT NULL,
+    "userId" TEXT NOT NULL,
+    "type" TEXT NOT NULL,
+    "tokenHash" TEXT NOT NULL,
+    "email" TEXT,
+    "expiresAt" BIGINT NOT NULL,
+    "usedAt" BIGINT,
+    "createdAt" TIMESTAMP(3) NOT NULL DEFAULT CURRENT_TIMESTAMP,
+
+    CONSTRAINT "user_tokens_pkey" PRIMARY KEY ("id")
+);
+
+-- CreateIndex
+CREATE UNIQUE INDEX "user_tokens_tokenHash_key" ON "user_tokens"("tokenHash");
+
+-- CreateIndex
+CREATE INDEX "user_tokens_userId_type_idx" ON "user_tokens"("userId", "type");
+
+-- AddForeignKey
+ALTER TABLE "user_tokens" ADD CONSTRAINT "user_tokens_userId_fkey" FOREIGN KEY ("userId") REFERENCES "users"("id") ON DELETE CASCADE ON UPDATE CASCADE;
@@ -0,0 +1,5 @@
+-- AlterTable
+ALTER TABLE "signals" ADD COLUMN     "creditedScore" DOUBLE PRECISION;
+
+-- Publishers were already credited with the score of every signal scored so far
+UPDATE "signals" SET "creditedScore" = "score" WHERE "status" = 'closed' AND "scoringVersion" IS NOT NULL;
@@ -0,0 +1,3 @@
+-- AlterTable
+ALTER TABLE "signals" ADD COLUMN     "scoringAttempts" INTEGER NOT NULL DEFAULT 0,
+ADD COLUMN     "scoringAttemptAt" BIGINT;
@@ -0,0 +1,94 @@
+const databaseService = require("../services/database.service");
+const priceAlertService = require("../services/price-alert.service");
+
+// Look up one of the authenticated user's alerts, null if it is someone else's
+async function getOwnAlert(username, alertId) {
+  const [user, alert] = await Promise.all([
+    databaseService.getUserSummary(username),
+    databaseService.getPriceAlert(alertId),
+  ]);
+  return user && alert && alert.userId === user.id ? alert : null;
+}
+
+// Get the authenticated user's price alerts
+exports.getAlerts = async (req, res) => {
+  try {
+    const user = await databaseService.getUserSummary(req.user.id);
+    if (!user) {
+      return res.status(404).json({ message: "User not found" });
+    }
+
+    const alerts = await databaseService.getUserPriceAlerts(user.id, {
+      activeOnly: req.query.active === "true",
+    });
+    res.json({ data: alerts });
+  } catch (error) {
+    console.error("Error fetching price alerts:", error);
+    res.status(500).json({ message: "Error fetching price alerts" });
+  }
+};
+
+// Get one of the authenticated user's price alerts
+exports.getAlert = async (req, res) => {
+  try {
+    const alert = await getOwnAlert(req.user.id, req.params.id);
+    if (!alert) {
+      return res.status(404).json({ message: "Alert not found" });
+    }
+    res.json({ data: alert });
+  } catch (error) {
+    console.error("Error fetching price alert:", error);
+    res.status(500).json({ message: "Error fetching price alert" });
+  }
+};
+
+// Create a price alert for the authenticated user
+exports.createAlert = async (req, res) => {
+  try {
+    const { alert, error, status } = await priceAlertService.createAlert(
+      req.user.id,
+      req.body
+    );
+    if (error) {
+      return res.status(status).json({ message: error });
+    }
+    res.status(status).json({ data: alert });
+  } catch (error) {
+    console.error("Error creating price alert:", error);
+    res.status(500).json({ message: "Error creating price alert" });
+  }
+};
+
+// Update one of the authenticated user's price alerts
+exports.updateAlert = async (req, res) => {
+  try {
+    const { alert, error, status } = await priceAlertService.updateAlert(
+      req.user.id,
+      req.params.id,
+      req.body
+    );
+    if (error) {
+      return res.status(status).json({ message: error });
+    }
+    res.status(status).json({ data: alert });
+  } catch (error) {
+    console.error("Error updating price alert:", error);
+    res.status(500).json({ message: "Error updating price alert" });
+  }
+};
+
+// Delete one of the authenticated user's price alerts
+exports.deleteAlert = async (req, res) => {
+  try {
+    const alert = await getOwnAlert(req.user.id, req.params.id);
+    if (!alert) {
+      return res.status(404).json({ message: "Alert not found" });
+    }
+
+    await databaseService.deletePriceAlert(alert.id);
+    res.status(204).send();
+  } catch (error) {
+    console.error("Error deleting price alert:", error);
+    res.status(500).json({ message: "Error deleting price alert" });
+  }
+};
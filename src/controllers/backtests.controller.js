@@ -0,0 +1,73 @@
+const backtestService = require("../services/backtest.service");
+const databaseService = require("../services/database.service");
+
+// Jobs are only visible to the user who started them
+const findOwnJob = async (req, includeResult = false) => {
+  const job = await databaseService.getBacktestJob(
+    req.params.id,
+    includeResult
+  );
+  if (!job || job.user.username !== req.user.id) return null;
+  return job;
+};
+
+// Start a backtest of a rule set over a market and date range
+exports.createBacktest = async (req, res) => {
+  try {
+    const { params, error } = backtestService.normalizeParams(req.body);
+    if (error) {
+      return res.status(400).json({ message: error });
+    }
+
+    const job = await backtestService.createJob(req.user.id, params);
+    res.status(202).json({ data: job });
+  } catch (error) {
+    console.error("Error creating backtest:", error);
+    res.status(500).json({ message: "Error creating backtest" });
+  }
+};
+
+// List the authenticated user's backtests, newest first
+exports.getBacktests = async (req, res) => {
+  try {
+    const jobs = await databaseService.getUserBacktestJobs(req.user.id);
+    res.json({ data: jobs });
+  } catch (error) {
+    console.error("Error fetching backtests:", error);
+    res.status(500).json({ message: "Error fetching backtests" });
+  }
+};
+
+// Get a backtest's status and progress
+exports.getBacktest = async (req, res) => {
+  try {
+    const job = await findOwnJob(req);
+    if (!job) {
+      return res.status(404).json({ message: "Backtest not found" });
+    }
+    res.json({ data: job });
+  } catch (error) {
+    console.error("Error fetching backtest:", error);
+    res.status(500).json({ message: "Error fetching backtest" });
+  }
+};
+
+// Get the stats and simulated trades of a completed backtest
+exports.getBacktestResult = async (req, res) => {
+  try {
+    const job = await findOwnJob(req, true);
+    if (!job) {
+      return res.status(404).json({ message: "Backtest not found" });
+    }
+    if (job.status !== "completed") {
+      return res.status(409).json({
+        message: `Backtest is ${job.status}`,
+        data: { status: job.status, progress: job.progress, error: job.error },
+      });
+    }
+    res.json({ data: job.result });
+  } catch (error) {
+    console.error("Error fetching backtest result:", error);
+    res.status(500).json({ message: "Error fetching backtest result" });
+  }
+};
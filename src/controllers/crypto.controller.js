@@ -1,60 +1,61 @@
-const axios = require("axios");
+const wallexService = require("../services/wallex.service");
+
+// Answer for when Wallex cannot be reached and nothing is cached yet
+const wallexUnavailable = (res, error) => {
+  console.error("Error fetching Wallex markets:", error.message);
+  return res.status(503).json({
+    success: false,
+    message: "Wallex API is currently unavailable",
+    error: error.message,
+  });
+};
 
 // Get Wallex markets data
 const getWallexMarkets = async (req, res) => {
-  try {
-    console.log("Fetching Wallex markets data...");
+  const { options, error } = wallexService.normalizeOptions(req.query);
+  if (error) {
+    return res.status(400).json({ success: false, message: error });
+  }
 
-    const response = await axios.get(
-      "https://api.wallex.ir/hector/web/v1/markets",
-      {
-        headers: {
-          "User-Agent":
-            "Mozilla/5.0 (Macintosh; Intel Mac OS X 10_15_7) AppleWebKit/537.36 (KHTML, like Gecko) Chrome/91.0.4472.124 Safari/537.36",
-          Accept: "application/json",
-          "Accept-Language": "en-US,en;q=0.9",
-          "Cache-Control": "no-cache",
-          Pragma: "no-cache",
-        },
-        timeout: 10000, // 10 second timeout
-      }
+  try {
+    const { markets, fetchedAt, stale } = await wallexService.getMarkets(
+      options
     );
 
-    console.log("Successfully fetched Wallex markets data");
-
     return res.status(200).json({
       success: true,
-      data: response.data,
+      data: markets,
+      meta: { total: markets.length, fetchedAt, stale },
     });
   } catch (error) {
-    console.error("Error fetching Wallex markets:", error.message);
+    return wallexUnavailable(res, error);
+  }
+};
 
-    // Handle different types of errors
-    if (error.response) {
-      // The request was made and the server responded with a status code
-      return res.status(error.response.status).json({
-        success: false,
-        message: "Failed to fetch Wallex markets data",
-        error: error.response.data || error.message,
-      });
-    } else if (error.request) {
-      // The request was made but no response was received
-      return res.status(503).json({
-        success: false,
-        message: "Wallex API is currently unavailable",
-        error: "No response received from Wallex API",
-      });
-    } else {
-      // Something happened in setting up the request
-      return res.status(500).json({
+// Get a single Wallex market, e.g. BTC-USDT or BTCUSDT
+const getWallexMarket = async (req, res) => {
+  try {
+    const { market, fetchedAt, stale } = await wallexService.getMarket(
+      req.params.symbol
+    );
+    if (!market) {
+      return res.status(404).json({
         success: false,
-        message: "Internal server error",
-        error: error.message,
+        message: `Market ${req.params.symbol} not found`,
       });
     }
+
+    return res.status(200).json({
+      success: true,
+      data: market,
+      meta: { fetchedAt, stale },
+    });
+  } catch (error) {
+    return wallexUnavailable(res, error);
   }
 };
 
 module.exports = {
   getWallexMarkets,
+  getWallexMarket,
 };
@@ -0,0 +1,34 @@
+const feedService = require("../services/feed.service");
+const subscriptionService = require("../services/subscription.service");
+
+// Get the authenticated user's home feed
+exports.getFeed = async (req, res) => {
+  try {
+    const { options, error } = feedService.normalizeOptions(req.query);
+    if (error) {
+      return res.status(400).json({ message: error });
+    }
+
+    const feed = await feedService.getFeed(req.user.id, options);
+    if (!feed) {
+      return res.status(404).json({ message: "User not found" });
+    }
+
+    const access = await subscriptionService.getAccess(req.user.id);
+    res.json({
+      data: feed.items.map((item) =>
+        item.type === "post"
+          ? { ...item, post: subscriptionService.redactPost(item.post, access) }
+          : {
+              ...item,
+              signal: subscriptionService.redactSignal(item.signal, access),
+            }
+      ),
+      hasMore: feed.hasMore,
+      nextCursor: feed.nextCursor,
+    });
+  } catch (error) {
+    console.error("Error fetching feed:", error);
+    res.status(500).json({ message: "Error fetching feed" });
+  }
+};
@@ -0,0 +1,17 @@
+const leaderboardService = require("../services/leaderboard.service");
+
+// Get a publisher leaderboard
+exports.getLeaderboard = async (req, res) => {
+  try {
+    const { options, error } = leaderboardService.normalizeOptions(req.query);
+    if (error) {
+      return res.status(400).json({ message: error });
+    }
+
+    const entries = await leaderboardService.getLeaderboard(options);
+    res.json({ data: entries, meta: options });
+  } catch (error) {
+    console.error("Error fetching leaderboard:", error);
+    res.status(500).json({ message: "Error fetching leaderboard" });
+  }
+};
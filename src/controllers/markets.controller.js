@@ -0,0 +1,17 @@
+const marketCatalogService = require("../services/market-catalog.service");
+
+// Get markets signals can be published on, with the exchanges listing each
+exports.getMarkets = async (req, res) => {
+  try {
+    const { options, error } = marketCatalogService.normalizeOptions(req.query);
+    if (error) {
+      return res.status(400).json({ message: error });
+    }
+
+    const { markets, total } = await marketCatalogService.getMarkets(options);
+    res.json({ data: markets, meta: { ...options, total } });
+  } catch (error) {
+    console.error("Error fetching markets:", error);
+    res.status(500).json({ message: "Error fetching markets" });
+  }
+};
@@ -121,6 +121,27 @@ async function getUserConversationsFromRedis(username) {
   }
 }
 
+/**
+ * Name, username and image of the signed-in user, shown on their messages
+ * @param {Object} req - Express request object
+ * @returns {Promise<Object|null>}
+ */
+async function getSignedInUserInfo(req) {
+  const user = await databaseService.getUser(req.user.id);
+  if (!user) return null;
+  return { username: user.username, name: user.name, imageUrl: user.imageUrl };
+}
+
+/**
+ * Whether a user takes part in a direct message room ("alice-bob")
+ * @param {string} roomId - The conversation room ID
+ * @param {string} username - The username to check
+ * @returns {boolean}
+ */
+function isDMParticipant(roomId, username) {
+  return roomId.startsWith(`${username}-`) || roomId.endsWith(`-${username}`);
+}
+
 /**
  * Get all conversations for a user
  * @param {Object} req - Express request object
@@ -191,12 +212,27 @@ async function getConversationMessages(req, res) {
 async function sendMessage(req, res) {
   try {
     const { roomId } = req.params;
-    const { sender, text, messageImageHref } = req.body;
+    const { text, messageImageHref } = req.body;
 
-    if (!roomId || !sender || !text) {
+    if (!roomId || !text) {
       return res.status(400).json({
         success: false,
-        message: "Room ID, sender information, and message text are required",
+        message: "Room ID and message text are required",
+      });
+    }
+
+    // Messages are always sent as the signed-in user, and only into their own DMs
+    if (!roomId.startsWith("group-") && !isDMParticipant(roomId, req.user.id)) {
+      return res.status(403).json({
+        success: false,
+        message: "You are not part of this conversation",
+      });
+    }
+    const sender = await getSignedInUserInfo(req);
+    if (!sender) {
+      return res.status(404).json({
+        success: false,
+        message: "User not found",
       });
     }
 
@@ -251,15 +287,18 @@ async function sendMessage(req, res) {
  */
 async function createDMConversation(req, res) {
   try {
-    const { user1, user2 } = req.body;
+    const { user2 } = req.body;
 
-    if (!user1 || !user2) {
+    if (!user2 || !user2.username) {
       return res.status(400).json({
         success: false,
-        message: "Both users' information is required",
+        message: "The other user's information is required",
       });
     }
 
+    // The signed-in user is always one side of the conversation
+    const user1 = { username: req.user.id };
+
     // Create a unique room ID for the conversation (sorted usernames to ensure consistency)
     const users = [user1.username, user2.username].sort();
     const roomId = `${users[0]}-${users[1]}`;
@@ -299,12 +338,12 @@ async function createDMConversation(req, res) {
  */
 async function createGroupConversation(req, res) {
   try {
-    const { groupName, members, createdBy } = req.body;
+    const { groupName, members } = req.body;
 
-    if (!groupName || !members || !members.length || !createdBy) {
+    if (!groupName || !members || !members.length) {
       return res.status(400).json({
         success: false,
-        message: "Group name, members, and creator information are required",
+        message: "Group name and members are required",
       });
     }
 
@@ -379,4 +418,5 @@ module.exports = {
   createDMConversation,
   createGroupConversation,
   uploadImage,
+  isDMParticipant,
 };
@@ -112,6 +112,13 @@ exports.getNews = async (req, res) => {
         CACHE_TTL
       );
 
+      // Keep the articles for search, without holding up the response
+      databaseService
+        .saveNewsArticles(transformedData.results)
+        .catch((error) =>
+          console.error("Error storing news articles:", error.message)
+        );
+
       // Return the results
       res.json(transformedData);
     } catch (error) {
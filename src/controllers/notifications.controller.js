@@ -0,0 +1,77 @@
+const databaseService = require("../services/database.service");
+const notificationService = require("../services/notification.service");
+
+// Get the authenticated user's notifications, newest first
+exports.getNotifications = async (req, res) => {
+  try {
+    const user = await databaseService.getUserSummary(req.user.id);
+    if (!user) {
+      return res.status(404).json({ message: "User not found" });
+    }
+
+    const options = notificationService.normalizeListOptions(req.query);
+    const { notifications, hasMore } = await databaseService.getNotifications(
+      user.id,
+      options
+    );
+    const last = notifications[notifications.length - 1];
+
+    res.json({
+      data: notifications,
+      hasMore,
+      nextCursor: hasMore ? last.id : null,
+    });
+  } catch (error) {
+    console.error("Error fetching notifications:", error);
+    res.status(500).json({ message: "Error fetching notifications" });
+  }
+};
+
+// Get how many unread notifications the authenticated user has
+exports.getUnreadCount = async (req, res) => {
+  try {
+    const user = await databaseService.getUserSummary(req.user.id);
+    if (!user) {
+      return res.status(404).json({ message: "User not found" });
+    }
+
+    const count = await databaseService.countUnreadNotifications(user.id);
+    res.json({ data: { count } });
+  } catch (error) {
+    console.error("Error counting unread notifications:", error);
+    res.status(500).json({ message: "Error counting unread notifications" });
+  }
+};
+
+// Mark one of the authenticated user's notifications as read
+exports.markRead = async (req, res) => {
+  try {
+    const user = await databaseService.getUserSummary(req.user.id);
+    const notification = await databaseService.getNotification(req.params.id);
+    if (!user || !notification || notification.userId !== user.id) {
+      return res.status(404).json({ message: "Notification not found" });
+    }
+
+    await databaseService.markNotificationsRead(user.id, [notification.id]);
+    res.json({ data: { ...notification, read: true } });
+  } catch (error) {
+    console.error("Error marking notification read:", error);
+    res.status(500).json({ message: "Error marking notification read" });
+  }
+};
+
+// Mark all of the authenticated user's notifications as read
+exports.markAllRead = async (req, res) => {
+  try {
+    const user = await databaseService.getUserSummary(req.user.id);
+    if (!user) {
+      return res.status(404).json({ message: "User not found" });
+    }
+
+    const count = await databaseService.markNotificationsRead(user.id);
+    res.json({ data: { count } });
+  } catch (error) {
+    console.error("Error marking notifications read:", error);
+    res.status(500).json({ message: "Error marking notifications read" });
+  }
+};
@@ -1,5 +1,6 @@
 const { v4: uuidv4 } = require("uuid");
 const databaseService = require("../services/database.service");
+const subscriptionService = require("../services/subscription.service");
 const { S3Client, PutObjectCommand } = require("@aws-sdk/client-s3");
 
 const s3Client = new S3Client({
@@ -16,9 +17,7 @@ async function getPostById(postId) {
   return await databaseService.getPost(postId);
 }
 
-// Get all posts
-// TODO: we need to add a new field to the post model to store the tag name
-// and then we can use it to filter the posts by tag name
+// Get all posts, optionally only those mentioning a tag (?tagName=#bitcoin, $BTC or btc)
 exports.getPosts = async (req, res) => {
   try {
     // Extract pagination parameters from query
@@ -35,14 +34,14 @@ exports.getPosts = async (req, res) => {
         : null;
 
     // Use the new PostgreSQL database service
-    let allPosts = await databaseService.getAllPosts();
+    let allPosts = await databaseService.getAllPosts({
+      where: tagName ? databaseService.postTagWhere(tagName) : undefined,
+    });
 
     // Optional filter by publishers
     if (Array.isArray(publishers) && publishers.length > 0) {
       const allow = new Set(publishers);
-      allPosts = allPosts.filter(
-        (p) => p?.publisher?.username && allow.has(p.publisher.username)
-      );
+      allPosts = allPosts.filter((p) => p?.username && allow.has(p.username));
     }
 
     // Sort posts by date (newest first) - handle BigInt dates
@@ -56,8 +55,9 @@ exports.getPosts = async (req, res) => {
     // Check if there are more posts available
     const hasMore = endIndex < allPosts.length;
 
+    const access = await subscriptionService.getAccess(req.user?.id);
     res.json({
-      data: paginatedPosts,
+      data: subscriptionService.redactPosts(paginatedPosts, access),
       totalCount: allPosts.length,
       hasMore: hasMore,
     });
@@ -74,7 +74,9 @@ exports.getPostById = async (req, res) => {
     if (!post) {
       return res.status(404).json({ message: "Post not found" });
     }
-    res.json({ data: post });
+
+    const access = await subscriptionService.getAccess(req.user?.id);
+    res.json({ data: subscriptionService.redactPost(post, access) });
   } catch (error) {
     console.error("Error fetching post:", error);
     res.status(500).json({ message: "Error fetching post" });
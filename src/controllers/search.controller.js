@@ -0,0 +1,22 @@
+const searchService = require("../services/search.service");
+
+// Search users, posts, signals and news
+exports.search = async (req, res) => {
+  try {
+    const { options, error } = searchService.normalizeOptions(req.query);
+    if (error) {
+      return res.status(400).json({ message: error });
+    }
+
+    const results = await searchService.search(req.user.id, options);
+    if (!results) {
+      return res.status(404).json({ message: "User not found" });
+    }
+
+    const { tsquery, ...meta } = options;
+    res.json({ data: results, meta });
+  } catch (error) {
+    console.error("Error searching:", error);
+    res.status(500).json({ message: "Error searching" });
+  }
+};
@@ -1,5 +1,11 @@
 const { v4: uuidv4 } = require("uuid");
 const databaseService = require("../services/database.service");
+const signalLifecycleService = require("../services/signal-lifecycle.service");
+const signalSchedulerService = require("../services/signal-scheduler.service");
+const signalTrackerService = require("../services/signal-tracker.service");
+const subscriptionService = require("../services/subscription.service");
+const notificationService = require("../services/notification.service");
+const marketCatalogService = require("../services/market-catalog.service");
 const { S3Client, PutObjectCommand } = require("@aws-sdk/client-s3");
 
 const s3Client = new S3Client({
@@ -11,6 +17,43 @@ const s3Client = new S3Client({
   },
 });
 
+const SIGNAL_DIRECTIONS = ["long", "short"];
+// How far in the past openTime may be, for clock skew and request latency
+const OPEN_TIME_TOLERANCE_MS = 60_000;
+
+// Long signals need the stop below entry and targets above it; shorts the opposite
+function validateSignalDirection(direction, entry, stoploss, targets) {
+  if (!SIGNAL_DIRECTIONS.includes(direction)) {
+    return `direction must be one of: ${SIGNAL_DIRECTIONS.join(", ")}`;
+  }
+
+  const isShort = direction === "short";
+  const stopSide = isShort ? "above" : "below";
+  const targetSide = isShort ? "below" : "above";
+
+  if (isShort ? stoploss <= entry : stoploss >= entry) {
+    return `Stop loss must be ${stopSide} entry for a ${direction} signal`;
+  }
+  if (targets.some((t) => (isShort ? t.value >= entry : t.value <= entry))) {
+    return `Targets must be ${targetSide} entry for a ${direction} signal`;
+  }
+  return null;
+}
+
+// Signals are published before they open, and close some time after that
+function validateSignalTimes(openTime, closeTime, now = Date.now()) {
+  const open = Number(openTime);
+  const close = Number(closeTime);
+  if (!Number.isSafeInteger(open) || !Number.isSafeInteger(close)) {
+    return "openTime and closeTime are required (Unix timestamps in ms)";
+  }
+  if (open < now - OPEN_TIME_TOLERANCE_MS) {
+    return "openTime cannot be in the past";
+  }
+  if (close <= open) return "closeTime must be after openTime";
+  return null;
+}
+
 async function getSignalFromRedis(signalId) {
   const data = await databaseService.get(`signal:${signalId}`);
   if (!data) return null;
@@ -21,8 +64,8 @@ async function getSignalFromRedis(signalId) {
 exports.getSignals = async (req, res) => {
   try {
     // Extract pagination parameters from query
-    const page = parseInt(req.query.page) || 1;
-    const limit = parseInt(req.query.limit) || 10;
+    const page = Math.max(parseInt(req.query.page) || 1, 1);
+    const limit = Math.min(Math.max(parseInt(req.query.limit) || 10, 1), 100);
     const publisherUsername = req.query.publisher;
     const publishersCsv = req.query.publishers;
     const publishers =
@@ -41,61 +84,38 @@ exports.getSignals = async (req, res) => {
       : null;
     const closeTo = req.query.closeTo ? parseInt(req.query.closeTo) : null;
 
-    // Use the new PostgreSQL database service
-    let allSignals = await databaseService.getAllSignals();
-
-    // Optional filter by publisher username or list of usernames
-    if (Array.isArray(publishers) && publishers.length > 0) {
-      const allow = new Set(publishers);
-      allSignals = allSignals.filter(
-        (s) => s?.user?.username && allow.has(s.user.username)
-      );
-    } else if (publisherUsername) {
-      allSignals = allSignals.filter(
-        (s) => s?.user?.username && s.user.username === publisherUsername
-      );
-    }
-
-    // Optional market filter
-    if (market) {
-      allSignals = allSignals.filter((s) => s?.market?.name === market);
-    }
-
-    // Optional status filter
-    if (status) {
-      allSignals = allSignals.filter((s) => s?.status === status);
-    }
+    const cursor = req.query.cursor;
 
-    // Optional time window filters
-    if (openFrom !== null) {
-      allSignals = allSignals.filter((s) => Number(s?.openTime) >= openFrom);
-    }
-    if (openTo !== null) {
-      allSignals = allSignals.filter((s) => Number(s?.openTime) <= openTo);
-    }
-    if (closeFrom !== null) {
-      allSignals = allSignals.filter((s) => Number(s?.closeTime) >= closeFrom);
-    }
-    if (closeTo !== null) {
-      allSignals = allSignals.filter((s) => Number(s?.closeTime) <= closeTo);
+    if (cursor) {
+      try {
+        databaseService.decodeSignalCursor(cursor);
+      } catch (_) {
+        return res.status(400).json({ message: "Invalid cursor" });
+      }
     }
 
-    // Sort signals by date (newest first)
-    // Convert BigInt dates to numbers for sorting
-    allSignals.sort((a, b) => Number(b.date) - Number(a.date));
-
-    // Implement pagination
-    const startIndex = (page - 1) * limit;
-    const endIndex = page * limit;
-    const paginatedSignals = allSignals.slice(startIndex, endIndex);
-
-    // Check if there are more signals available
-    const hasMore = endIndex < allSignals.length;
+    // Filtering, ordering and pagination all happen in the database
+    const { signals, totalCount, hasMore, nextCursor } =
+      await databaseService.getSignalsPage(
+        {
+          publishers:
+            publishers || (publisherUsername ? [publisherUsername] : null),
+          market,
+          status,
+          openFrom,
+          openTo,
+          closeFrom,
+          closeTo,
+        },
+        { cursor, page, limit }
+      );
 
+    const access = await subscriptionService.getAccess(req.user?.id);
     res.json({
-      data: paginatedSignals,
-      totalCount: allSignals.length,
-      hasMore: hasMore,
+      data: subscriptionService.redactSignals(signals, access),
+      totalCount,
+      hasMore,
+      nextCursor,
     });
   } catch (error) {
     console.error("Error fetching signals:", error);
@@ -110,19 +130,16 @@ exports.getTopSignals = async (req, res) => {
     const since =
       parseInt(req.query.since) || Date.now() - 7 * 24 * 60 * 60 * 1000;
 
-    // Use the new PostgreSQL database service
-    const allSignals = await databaseService.getAllSignals();
-
-    const withinWindow = allSignals.filter((s) => Number(s?.date) >= since);
-    withinWindow.sort(
-      (a, b) =>
-        Number(b?.score || 0) - Number(a?.score || 0) ||
-        Number(b?.date) - Number(a?.date)
-    );
-
-    const top = withinWindow.slice(0, limit);
+    const top = await databaseService.getAllSignals({
+      where: { date: { gte: BigInt(since) } },
+      orderBy: [{ score: "desc" }, { date: "desc" }],
+      take: limit,
+    });
 
-    res.status(200).json({ data: top });
+    const access = await subscriptionService.getAccess(req.user?.id);
+    res
+      .status(200)
+      .json({ data: subscriptionService.redactSignals(top, access) });
   } catch (error) {
     console.error("Error fetching top signals:", error);
     res.status(500).json({ message: "Error fetching top signals" });
@@ -136,28 +153,66 @@ exports.getSignalById = async (req, res) => {
     if (!signal) {
       return res.status(404).json({ message: "Signal not found" });
     }
-    res.json({ data: signal });
+
+    const access = await subscriptionService.getAccess(req.user?.id);
+    res.json({ data: subscriptionService.redactSignal(signal, access) });
   } catch (error) {
     console.error("Error fetching signal:", error);
     res.status(500).json({ message: "Error fetching signal" });
   }
 };
 
+// Get how a closed signal was scored
+exports.getSignalOutcome = async (req, res) => {
+  try {
+    const signal = await databaseService.getSignal(req.params.id);
+    if (!signal) {
+      return res.status(404).json({ message: "Signal not found" });
+    }
+
+    // The outcome would give away the levels of a premium signal
+    const access = await subscriptionService.getAccess(req.user?.id);
+    if (!subscriptionService.canView(signal, access)) {
+      return res
+        .status(403)
+        .json({ message: "Subscribe to the publisher to see this signal" });
+    }
+
+    const outcome = await databaseService.getSignalOutcome(signal.id);
+    if (!outcome) {
+      return res
+        .status(404)
+        .json({ message: "Signal has not been scored yet" });
+    }
+    res.json({ data: outcome });
+  } catch (error) {
+    console.error("Error fetching signal outcome:", error);
+    res.status(500).json({ message: "Error fetching signal outcome" });
+  }
+};
+
 // Create a new signal
 exports.createSignal = async (req, res) => {
   try {
+    // Only accounts with a verified email can publish
+    const author = await databaseService.getUserSummary(req.user.id);
+    if (!author || !author.emailVerified) {
+      return res.status(403).json({
+        message: "Verify your email address before publishing signals",
+      });
+    }
+
     const {
       market,
+      direction,
       entry,
       stoploss,
       targets,
       openTime,
       closeTime,
-      status,
       isPremium,
       description,
       chartImageHref,
-      publisher,
     } = req.body;
 
     // Ensure numeric values are stored with proper precision
@@ -170,22 +225,46 @@ exports.createSignal = async (req, res) => {
       value: parseFloat(parseFloat(target.value).toFixed(8)),
     }));
 
+    const signalDirection = direction || "long";
+    const directionError = validateSignalDirection(
+      signalDirection,
+      parsedEntry,
+      parsedStoploss,
+      parsedTargets
+    );
+    if (directionError) {
+      return res.status(400).json({ message: directionError });
+    }
+
+    const timesError = validateSignalTimes(openTime, closeTime);
+    if (timesError) {
+      return res.status(400).json({ message: timesError });
+    }
+
+    // Only markets calculateReward can find candles for, in their canonical form
+    const { market: canonicalMarket, error: marketError } =
+      await marketCatalogService.resolveSignalMarket(market);
+    if (marketError) {
+      return res.status(400).json({ message: marketError });
+    }
+
     // Transform market data to match database schema
     const signalData = {
-      marketName: market?.name || market?.marketName || "Unknown",
-      marketUuid: market?.uuid || market?.marketUuid || "unknown",
-      quoteAsset: market?.quoteAsset || null,
+      ...canonicalMarket,
+      direction: signalDirection,
       entry: parsedEntry,
       stoploss: parsedStoploss,
       targets: parsedTargets,
       openTime: openTime,
       closeTime: closeTime,
       date: new Date().getTime(),
-      status: status || "not_opened",
+      // Opened and closed by the scheduler only
+      status: "not_opened",
       description: description || null,
       chartImageHref: chartImageHref || null,
       isPremium: isPremium || false,
-      user: publisher,
+      // Always published as the signed-in user, whatever the body says
+      user: { username: author.username },
       score: 0,
     };
 
@@ -206,188 +285,44 @@ exports.updateSignalStatus = async (req, res) => {
       return res.status(404).json({ message: "Signal not found" });
     }
 
-    const currentTime = new Date().getTime();
-
-    // Convert BigInt timestamps to numbers for comparison
-    const openTime = Number(signal.openTime || 0);
-    const closeTime = Number(signal.closeTime || 0);
-
-    let statusChanged = false;
-    let scoreChanged = false;
-    let targetsChanged = false;
-    let userScoreChanged = false;
-
-    // Handle time-based status transitions
-    if (
-      signal.status === "not_opened" &&
-      openTime > 0 && // Ensure we have valid timestamps
-      currentTime - openTime >= -1000
-    ) {
-      signal.status = "open";
-      statusChanged = true;
-    }
-
-    // Handle price-based status transitions and compute reward
-    if (
-      signal.status === "open" &&
-      closeTime > 0 &&
-      currentTime - closeTime >= -1000
-    ) {
-      signal.status = "closed";
-      statusChanged = true;
-
-      // Calculate reward and update targets
-      try {
-        const {
-          calculateReward,
-          getData,
-        } = require("../scripts/calculate-reward");
-
-        const marketName = signal.market?.name || signal.marketName || ""; // e.g., "BTC/USDT"
-        const exchangeId = ["kucoin", "gateio", "mexc", "binance"]; // try Iran-friendly first
-        const timeframe = "1m"; // default timeframe
-
-        // Ensure we have valid timestamps before creating Date objects
-        if (openTime <= 0 || closeTime <= 0) {
-          console.warn("Invalid timestamps for signal:", signal.id);
-          return;
-        }
-
-        const startTime = new Date(openTime).toISOString();
-        const endTime = new Date(closeTime).toISOString();
-        const entryPoint = signal.entry;
-        const stopLoss = signal.stoploss;
-        const targets = (signal.targets || []).map((t) => Number(t.value));
-
-        const reward = await calculateReward({
-          exchangeId,
-          market: marketName,
-          timeframe,
-          startTime,
-          endTime,
-          entryPoint,
-          stopLoss,
-          targets,
-        });
-
-        // Update signal score with the calculated reward
-        const newScore =
-          typeof reward === "number" && Number.isFinite(reward) ? reward : 0;
-        if (newScore !== signal.score) {
-          signal.score = newScore;
-          scoreChanged = true;
-        }
-
-        // Fetch OHLCV once to update target touched flags based on price range
-        try {
-          // Include the candle that starts at closeTime by extending end time by one timeframe
-          const endTimeInclusive = new Date(
-            closeTime + 60_000 - 1
-          ).toISOString();
-          const { candles } = await getData(
-            exchangeId,
-            marketName,
-            timeframe,
-            startTime,
-            endTimeInclusive
-          );
-
-          if (Array.isArray(candles) && candles.length > 0) {
-            const highs = candles
-              .map((c) => Number(c[2]))
-              .filter(Number.isFinite);
-            const lows = candles
-              .map((c) => Number(c[3]))
-              .filter(Number.isFinite);
-
-            if (highs.length && lows.length) {
-              const maxHigh = Math.max(...highs);
-              const minLow = Math.min(...lows);
-
-              // Update targets with touch status
-              const updatedTargets = (signal.targets || []).map((t) => {
-                const targetValue = Number(t.value);
-                const isUpwardTarget = targetValue > entryPoint;
-                const touchedByRange = isUpwardTarget
-                  ? maxHigh >= targetValue
-                  : minLow <= targetValue;
-                const newTouched = Boolean(t.touched) || touchedByRange;
-
-                return {
-                  ...t,
-                  value: Number.isFinite(targetValue)
-                    ? parseFloat(targetValue.toFixed(8))
-                    : t.value,
-                  touched: newTouched,
-                };
-              });
-
-              // Check if any targets changed
-              const hasTargetChanges = updatedTargets.some(
-                (target, index) =>
-                  target.touched !== signal.targets[index]?.touched
-              );
-
-              if (hasTargetChanges) {
-                signal.targets = updatedTargets;
-                targetsChanged = true;
-              }
-            }
-          }
-        } catch (targetsError) {
-          console.error("Error updating target touched flags:", targetsError);
-        }
-
-        // Update user score if signal score changed
-        if (scoreChanged && signal.user?.username) {
-          try {
-            await databaseService.updateUserScore(
-              signal.user.username,
-              signal.score
-            );
-            userScoreChanged = true;
-          } catch (userError) {
-            console.error("Error updating user score:", userError);
-          }
-        }
-      } catch (rewardError) {
-        console.error("Error calculating reward:", rewardError);
-        // If reward fails, keep signal.score unchanged or set to 0
-        if (signal.score === undefined) {
-          signal.score = 0;
-          scoreChanged = true;
-        }
-      }
-    }
-
-    // Only update the database if something actually changed
-    if (statusChanged || scoreChanged || targetsChanged) {
-      // Update signal status and score
-      if (statusChanged || scoreChanged) {
-        await databaseService.updateSignal(signal.id, {
-          status: signal.status,
-          score: signal.score,
-        });
-      }
-
-      // Update targets separately if they changed
-      if (targetsChanged) {
-        await databaseService.updateSignalTargets(signal.id, signal.targets);
-      }
+    // Same transition, reward and target-touch logic the background scheduler runs
+    const { signal: updatedSignal } = await signalLifecycleService.advance(
+      signal
+    );
 
-      // Get the updated signal with all changes
-      const updatedSignal = await databaseService.getSignal(signal.id);
-      res.json({ data: updatedSignal });
-    } else {
-      // No changes, return current signal
-      res.json({ data: signal });
-    }
+    res.json({
+      data: subscriptionService.redactSignal(
+        updatedSignal || signal,
+        await subscriptionService.getAccess(req.user.id)
+      ),
+    });
   } catch (error) {
     console.error("Error updating signal status:", error);
     res.status(500).json({ message: "Error updating signal status" });
   }
 };
 
+// Get background signal scheduler status
+exports.getSchedulerStatus = async (req, res) => {
+  try {
+    const status = await signalSchedulerService.getStatus();
+    res.json({ data: status });
+  } catch (error) {
+    console.error("Error fetching scheduler status:", error);
+    res.status(500).json({ message: "Error fetching scheduler status" });
+  }
+};
+
+// Get live target/stop loss tracker status
+exports.getTrackerStatus = async (req, res) => {
+  try {
+    res.json({ data: signalTrackerService.getStatus() });
+  } catch (error) {
+    console.error("Error fetching tracker status:", error);
+    res.status(500).json({ message: "Error fetching tracker status" });
+  }
+};
+
 // Like a signal
 exports.likeSignal = async (req, res) => {
   try {
@@ -396,21 +331,15 @@ exports.likeSignal = async (req, res) => {
       return res.status(404).json({ message: "Signal not found" });
     }
 
-    const { user } = req.body;
-
-    // Find the user by username to get their ID
-    const userRecord = await databaseService.prisma.user.findUnique({
-      where: { username: user.username },
-      select: { id: true },
-    });
-
+    // Like as the signed-in user
+    const userRecord = await databaseService.getUserSummary(req.user.id);
     if (!userRecord) {
       return res.status(404).json({ message: "User not found" });
     }
 
     // Check if already liked
     const isAlreadyLiked = signal.likes.some(
-      (like) => like.username === user.username
+      (like) => like.username === userRecord.username
     );
 
     if (!isAlreadyLiked) {
@@ -421,11 +350,17 @@ exports.likeSignal = async (req, res) => {
           userId: userRecord.id,
         },
       });
+      await notificationService.notifySignalLike(signal, userRecord.id);
     }
 
     // Get updated signal
     const updatedSignal = await databaseService.getSignal(req.params.id);
-    res.json({ data: updatedSignal });
+    res.json({
+      data: subscriptionService.redactSignal(
+        updatedSignal,
+        await subscriptionService.getAccess(req.user.id)
+      ),
+    });
   } catch (error) {
     console.error("Error liking signal:", error);
     res.status(500).json({ message: "Error liking signal" });
@@ -440,14 +375,8 @@ exports.dislikeSignal = async (req, res) => {
       return res.status(404).json({ message: "Signal not found" });
     }
 
-    const { user } = req.body;
-
-    // Find the user by username to get their ID
-    const userRecord = await databaseService.prisma.user.findUnique({
-      where: { username: user.username },
-      select: { id: true },
-    });
-
+    // Unlike as the signed-in user
+    const userRecord = await databaseService.getUserSummary(req.user.id);
     if (!userRecord) {
       return res.status(404).json({ message: "User not found" });
     }
@@ -462,7 +391,12 @@ exports.dislikeSignal = async (req, res) => {
 
     // Get updated signal
     const updatedSignal = await databaseService.getSignal(req.params.id);
-    res.json({ data: updatedSignal });
+    res.json({
+      data: subscriptionService.redactSignal(
+        updatedSignal,
+        await subscriptionService.getAccess(req.user.id)
+      ),
+    });
   } catch (error) {
     console.error("Error disliking signal:", error);
     res.status(500).json({ message: "Error disliking signal" });
@@ -472,18 +406,37 @@ exports.dislikeSignal = async (req, res) => {
 // Update a signal (edit description and closeTime)
 exports.updateSignal = async (req, res) => {
   try {
-    const signal = await databaseService.getSignal(req.params.id);
-    if (!signal) {
-      return res.status(404).json({ message: "Signal not found" });
-    }
+    // Loaded by requireOwnership
+    const signal = req.resource;
+    const { description, closeTime } = req.body;
 
-    const { description, closeTime, status } = req.body;
+    // The trade is fixed once it starts, so it is scored on what was published
+    if (
+      closeTime !== undefined &&
+      Number(closeTime) !== Number(signal.closeTime)
+    ) {
+      if (
+        signal.status !== "not_opened" ||
+        Number(signal.openTime) <= Date.now()
+      ) {
+        return res
+          .status(400)
+          .json({ message: "closeTime cannot change once the signal opened" });
+      }
+      if (
+        !Number.isSafeInteger(Number(closeTime)) ||
+        Number(closeTime) <= Number(signal.openTime)
+      ) {
+        return res
+          .status(400)
+          .json({ message: "closeTime must be a time after openTime" });
+      }
+    }
 
     // Update the signal using the database service
     const updatedSignal = await databaseService.updateSignal(signal.id, {
       description,
       closeTime,
-      status,
     });
 
     res.json({ data: updatedSignal });
@@ -496,12 +449,8 @@ exports.updateSignal = async (req, res) => {
 // Delete a signal
 exports.deleteSignal = async (req, res) => {
   try {
-    const signal = await databaseService.getSignal(req.params.id);
-    if (!signal) {
-      return res.status(404).json({ message: "Signal not found" });
-    }
-
-    await databaseService.deleteSignal(req.params.id);
+    // Loaded by requireOwnership
+    await databaseService.deleteSignal(req.resource.id);
     res.status(204).send();
   } catch (error) {
     console.error("Error deleting signal:", error);
@@ -542,20 +491,29 @@ exports.calculateReward = async (req, res) => {
       entryPoint,
       stopLoss,
       targets,
+      direction = "long",
     } = req.body || {};
 
+    // Candles fetched here are cached, so only for markets signals can use
+    const { market: canonicalMarket, error: marketError } =
+      await marketCatalogService.resolveSignalMarket({ name: market });
+    if (marketError) {
+      return res.status(400).json({ message: marketError });
+    }
+
     // Lazy-load to avoid adding ccxt to cold paths if unused
     const { calculateReward } = require("../scripts/calculate-reward");
 
     const reward = await calculateReward({
       exchangeId,
-      market,
+      market: canonicalMarket.marketName,
       timeframe,
       startTime,
       endTime,
       entryPoint,
       stopLoss,
       targets,
+      direction,
     });
 
     res.status(200).json({ data: { reward } });
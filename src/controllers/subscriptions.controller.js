@@ -0,0 +1,114 @@
+const databaseService = require("../services/database.service");
+const subscriptionService = require("../services/subscription.service");
+
+// Get a publisher's active subscription plans
+exports.getPlans = async (req, res) => {
+  try {
+    const plans = await databaseService.getPublisherPlans(req.params.username);
+    res.json({ data: plans });
+  } catch (error) {
+    console.error("Error fetching subscription plans:", error);
+    res.status(500).json({ message: "Error fetching subscription plans" });
+  }
+};
+
+// Create a subscription plan for the authenticated publisher
+exports.createPlan = async (req, res) => {
+  try {
+    const { plan, error } = subscriptionService.normalizePlan(req.body);
+    if (error) {
+      return res.status(400).json({ message: error });
+    }
+
+    const created = await databaseService.createSubscriptionPlan(
+      req.user.id,
+      plan
+    );
+    res.status(201).json({ data: created });
+  } catch (error) {
+    console.error("Error creating subscription plan:", error);
+    res.status(500).json({ message: "Error creating subscription plan" });
+  }
+};
+
+// Stop offering one of the authenticated publisher's plans
+exports.deactivatePlan = async (req, res) => {
+  try {
+    const plan = await databaseService.getSubscriptionPlan(req.params.planId);
+    if (!plan || plan.publisher.username !== req.user.id) {
+      return res.status(404).json({ message: "Plan not found" });
+    }
+
+    const updated = await databaseService.deactivateSubscriptionPlan(plan.id);
+    res.json({ data: updated });
+  } catch (error) {
+    console.error("Error deactivating subscription plan:", error);
+    res.status(500).json({ message: "Error deactivating subscription plan" });
+  }
+};
+
+// Get the authenticated user's subscriptions
+exports.getSubscriptions = async (req, res) => {
+  try {
+    const subscriptions = await databaseService.getUserSubscriptions(
+      req.user.id
+    );
+    res.json({ data: subscriptions });
+  } catch (error) {
+    console.error("Error fetching subscriptions:", error);
+    res.status(500).json({ message: "Error fetching subscriptions" });
+  }
+};
+
+// Get the authenticated publisher's subscribers
+exports.getSubscribers = async (req, res) => {
+  try {
+    const subscribers = await databaseService.getPublisherSubscribers(
+      req.user.id
+    );
+    res.json({ data: subscribers });
+  } catch (error) {
+    console.error("Error fetching subscribers:", error);
+    res.status(500).json({ message: "Error fetching subscribers" });
+  }
+};
+
+// Subscribe the authenticated user to a plan
+exports.subscribe = async (req, res) => {
+  try {
+    const { planId, paymentMethod } = req.body;
+    if (!planId) {
+      return res.status(400).json({ message: "planId is required" });
+    }
+
+    const { subscription, error, status } = await subscriptionService.subscribe(
+      req.user.id,
+      planId,
+      paymentMethod
+    );
+    if (error) {
+      return res.status(status).json({ message: error });
+    }
+    res.status(status).json({ data: subscription });
+  } catch (error) {
+    console.error("Error subscribing:", error);
+    res.status(500).json({ message: "Error subscribing" });
+  }
+};
+
+// Cancel one of the authenticated user's subscriptions
+exports.cancelSubscription = async (req, res) => {
+  try {
+    const { subscription, error, status } = await subscriptionService.cancel(
+      req.user.id,
+      req.params.id
+    );
+    if (error) {
+      return res.status(status).json({ message: error });
+    }
+    res.json({ data: subscription });
+  } catch (error) {
+    console.error("Error canceling subscription:", error);
+    res.status(500).json({ message: "Error canceling subscription" });
+  }
+};
@@ -0,0 +1,51 @@
+const tagService = require("../services/tag.service");
+const subscriptionService = require("../services/subscription.service");
+
+// Get the most used tags in a recent window
+exports.getTrendingTags = async (req, res) => {
+  try {
+    const { options, error } = tagService.normalizeTrendingOptions(req.query);
+    if (error) {
+      return res.status(400).json({ message: error });
+    }
+
+    const tags = await tagService.getTrendingTags(options);
+    res.json({ data: tags, meta: options });
+  } catch (error) {
+    console.error("Error fetching trending tags:", error);
+    res.status(500).json({ message: "Error fetching trending tags" });
+  }
+};
+
+// Get posts and signals mentioning an asset
+exports.getAssetMentions = async (req, res) => {
+  try {
+    const asset = req.params.asset.replace(/^\$/, "");
+    if (!/^[A-Za-z][A-Za-z0-9]{0,14}$/.test(asset)) {
+      return res.status(400).json({ message: "Invalid asset symbol" });
+    }
+
+    const before = req.query.before ? parseInt(req.query.before) : undefined;
+    if (req.query.before && !Number.isFinite(before)) {
+      return res
+        .status(400)
+        .json({ message: "before must be a Unix timestamp in ms" });
+    }
+
+    const mentions = await tagService.getAssetMentions(asset, {
+      before,
+      limit: req.query.limit,
+    });
+    const access = await subscriptionService.getAccess(req.user?.id);
+    res.json({
+      data: {
+        ...mentions,
+        posts: subscriptionService.redactPosts(mentions.posts, access),
+        signals: subscriptionService.redactSignals(mentions.signals, access),
+      },
+    });
+  } catch (error) {
+    console.error("Error fetching asset mentions:", error);
+    res.status(500).json({ message: "Error fetching asset mentions" });
+  }
+};
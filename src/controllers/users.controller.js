@@ -1,8 +1,14 @@
 const bcrypt = require("bcrypt");
-const jwt = require("jsonwebtoken");
 const { v4: uuidv4 } = require("uuid");
 const { S3Client, PutObjectCommand } = require("@aws-sdk/client-s3");
 const databaseService = require("../services/database.service");
+const userStatsService = require("../services/user-stats.service");
+const notificationService = require("../services/notification.service");
+const sessionService = require("../services/session.service");
+const accountService = require("../services/account.service");
+const twoFactorService = require("../services/two-factor.service");
+const apiKeyService = require("../services/api-key.service");
+const { ROLES } = require("../middleware/authorize");
 
 // Set up S3 client for Liara Object Storage
 const s3Client = new S3Client({
@@ -34,6 +40,79 @@ const findUserByEmail = async (email) => {
   }
 };
 
+// The refresh token cookie is only sent to the refresh and logout endpoints
+const REFRESH_COOKIE_PATH = "/api/users";
+
+// Cookie settings shared by the auth cookies
+const authCookieOptions = (req) => {
+  // In production, check if we're behind a proxy (common in cloud deployments)
+  const isSecure =
+    process.env.NODE_ENV === "production" &&
+    (req.secure || req.headers["x-forwarded-proto"] === "https");
+
+  // Check if this is a cross-origin request by comparing with allowed origins
+  const allowedOrigins = process.env.ALLOWED_ORIGINS
+    ? process.env.ALLOWED_ORIGINS.split(",")
+    : ["https://signalisttech.com", "http://localhost:5173"];
+
+  const isCrossOrigin =
+    req.headers.origin &&
+    allowedOrigins.includes(req.headers.origin) &&
+    req.headers.origin !== `${req.protocol}://${req.headers.host}`;
+
+  // For cross-origin requests, we need secure=true and sameSite=none
+  // But for localhost development, we use secure=false and sameSite=lax
+  const host = req.headers.host || "";
+  const isLocalhost = host.includes("localhost");
+  const needsSecureCookie =
+    isCrossOrigin &&
+    !isLocalhost &&
+    (req.headers["x-forwarded-proto"] === "https" ||
+      host.includes("liara.run"));
+
+  return {
+    httpOnly: true,
+    secure:
+      process.env.COOKIE_SECURE === "true" || isSecure || needsSecureCookie,
+    sameSite: isCrossOrigin && !isLocalhost ? "none" : "lax",
+  };
+};
+
+// Set the access token and refresh token cookies of a session
+const setAuthCookies = (req, res, { accessToken, refreshToken }) => {
+  const options = authCookieOptions(req);
+  console.log("🍪 Setting auth cookies with options:", options);
+
+  res.cookie("authToken", accessToken, {
+    ...options,
+    maxAge: sessionService.accessTokenTtlSeconds * 1000,
+    path: "/",
+  });
+  res.cookie("refreshToken", refreshToken, {
+    ...options,
+    maxAge: sessionService.refreshTokenTtlMs,
+    path: REFRESH_COOKIE_PATH,
+  });
+};
+
+// Email a verification link without failing the request that triggered it
+const sendVerificationEmail = async (user) => {
+  try {
+    await accountService.sendVerificationEmail(user);
+  } catch (error) {
+    console.error(
+      `Error sending verification email to ${user.username}:`,
+      error
+    );
+  }
+};
+
+const clearAuthCookies = (req, res) => {
+  const options = authCookieOptions(req);
+  res.clearCookie("authToken", { ...options, path: "/" });
+  res.clearCookie("refreshToken", { ...options, path: REFRESH_COOKIE_PATH });
+};
+
 // Get all users
 exports.getAllUsers = async (req, res) => {
   try {
@@ -83,6 +162,16 @@ exports.registerUser = async (req, res) => {
     });
   }
 
+  // Same password rules as resetting and changing it
+  const passwordError = accountService.validatePassword(password);
+  if (passwordError) {
+    return res.status(400).json({
+      success: false,
+      message: passwordError,
+      field: "password",
+    });
+  }
+
   try {
     // Check if user already exists
     const existingUser = await findUserByUsername(username);
@@ -128,58 +217,11 @@ exports.registerUser = async (req, res) => {
     // Save to Redis
     await databaseService.set(`user:${username}`, newUser);
 
-    // Create token
-    const token = jwt.sign(
-      { id: username },
-      process.env.JWT_SECRET || "your-secret-key",
-      { expiresIn: "7d" }
-    );
-
-    // Set token as HTTP-only cookie
-    // In production, check if we're behind a proxy (common in cloud deployments)
-    const isSecure =
-      process.env.NODE_ENV === "production" &&
-      (req.secure || req.headers["x-forwarded-proto"] === "https");
-
-    // For cross-origin requests (frontend on different domain), we need SameSite=None
-    const isProduction = process.env.NODE_ENV === "production";
-
-    // Check if this is a cross-origin request by comparing with allowed origins
-    const allowedOrigins = process.env.ALLOWED_ORIGINS
-      ? process.env.ALLOWED_ORIGINS.split(",")
-      : ["https://signalisttech.com", "http://localhost:5173"];
-
-    const isCrossOrigin =
-      req.headers.origin &&
-      allowedOrigins.includes(req.headers.origin) &&
-      req.headers.origin !== `${req.protocol}://${req.headers.host}`;
-
-    // For cross-origin requests, we need secure=true and sameSite=none
-    // But for localhost development, we use secure=false and sameSite=lax
-    const isLocalhost =
-      req.headers.host && req.headers.host.includes("localhost");
-    const needsSecureCookie =
-      isCrossOrigin &&
-      !isLocalhost &&
-      (req.headers["x-forwarded-proto"] === "https" ||
-        req.headers.host.includes("liara.run"));
-
-    const cookieOptions = {
-      httpOnly: true,
-      secure: process.env.COOKIE_SECURE === "true",
-      sameSite: "none", // چون دامنه جداست
-      maxAge: 7 * 24 * 60 * 60 * 1000, // 1 هفته
-      path: "/",
-    };
-
-    console.log("🍪 [REGISTER] Setting cookie with options:", cookieOptions);
-    console.log("🌍 [REGISTER] Is cross-origin request:", isCrossOrigin);
-    console.log(
-      "🔐 [REGISTER] Cookie sameSite setting:",
-      cookieOptions.sameSite
-    );
-    console.log("🔒 [REGISTER] Cookie secure setting:", cookieOptions.secure);
-    res.cookie("authToken", token, cookieOptions);
+    // Sign the new user in on this device
+    const createdUser = await findUserByUsername(username);
+    const tokens = await sessionService.createSession(createdUser, req);
+    setAuthCookies(req, res, tokens);
+    await sendVerificationEmail(createdUser);
 
     // Return user without password and token
     const { password: _, ...safeUser } = newUser;
@@ -199,49 +241,14 @@ exports.registerUser = async (req, res) => {
 // Logout user
 exports.logoutUser = async (req, res) => {
   try {
-    // Clear the authentication cookie
-    const isSecure =
-      process.env.NODE_ENV === "production" &&
-      (req.secure || req.headers["x-forwarded-proto"] === "https");
-
-    // For cross-origin requests, we need to match the original cookie settings
-    const isProduction = process.env.NODE_ENV === "production";
-
-    // Check if this is a cross-origin request by comparing with allowed origins
-    const allowedOrigins = process.env.ALLOWED_ORIGINS
-      ? process.env.ALLOWED_ORIGINS.split(",")
-      : ["https://signalisttech.com", "http://localhost:5173"];
-
-    const isCrossOrigin =
-      req.headers.origin &&
-      allowedOrigins.includes(req.headers.origin) &&
-      req.headers.origin !== `${req.protocol}://${req.headers.host}`;
-
-    // For cross-origin requests, we need secure=true and sameSite=none
-    // But for localhost development, we use secure=false and sameSite=lax
-    const isLocalhost =
-      req.headers.host && req.headers.host.includes("localhost");
-    const needsSecureCookie =
-      isCrossOrigin &&
-      !isLocalhost &&
-      (req.headers["x-forwarded-proto"] === "https" ||
-        req.headers.host.includes("liara.run"));
-
-    res.clearCookie("authToken", {
-      httpOnly: true,
-      secure: isSecure || needsSecureCookie,
-      sameSite: isCrossOrigin ? "none" : "lax",
-      path: "/",
-    });
-
-    console.log(
-      "🗑️ [LOGOUT] Clearing cookie with sameSite:",
-      isCrossOrigin ? "none" : "lax"
-    );
-    console.log(
-      "🔒 [LOGOUT] Cookie secure setting:",
-      isSecure || needsSecureCookie
+    // End this device's session so its tokens stop working, then clear the cookies
+    const session = await sessionService.findByRefreshToken(
+      req.cookies.refreshToken
     );
+    if (session) {
+      await databaseService.revokeSession(session.id, Date.now());
+    }
+    clearAuthCookies(req, res);
 
     res.json({
       success: true,
@@ -287,69 +294,18 @@ exports.loginUser = async (req, res) => {
       });
     }
 
-    // Create token
-    const token = jwt.sign({ id: user.username }, process.env.JWT_SECRET, {
-      expiresIn: "7d",
-    });
-
-    // Set token as HTTP-only cookie
-    // In production, check if we're behind a proxy (common in cloud deployments)
-    const isSecure =
-      process.env.NODE_ENV === "production" &&
-      (req.secure || req.headers["x-forwarded-proto"] === "https");
-
-    // For cross-origin requests (frontend on different domain), we need SameSite=None
-    const isProduction = process.env.NODE_ENV === "production";
-
-    // Check if this is a cross-origin request by comparing with allowed origins
-    const allowedOrigins = process.env.ALLOWED_ORIGINS
-      ? process.env.ALLOWED_ORIGINS.split(",")
-      : ["https://signalisttech.com", "http://localhost:5173"];
-
-    const isCrossOrigin =
-      req.headers.origin &&
-      allowedOrigins.includes(req.headers.origin) &&
-      req.headers.origin !== `${req.protocol}://${req.headers.host}`;
-
-    // For cross-origin requests, we need secure=true and sameSite=none
-    // But for localhost development, we use secure=false and sameSite=lax
-    const isLocalhost =
-      req.headers.host && req.headers.host.includes("localhost");
-    const needsSecureCookie =
-      isCrossOrigin &&
-      !isLocalhost &&
-      (req.headers["x-forwarded-proto"] === "https" ||
-        req.headers.host.includes("liara.run"));
-
-    const cookieOptions = {
-      httpOnly: true,
-      secure: isSecure || needsSecureCookie, // Force secure for cross-origin on Liara, but not for localhost
-      sameSite: isCrossOrigin && !isLocalhost ? "none" : "lax", // Use "lax" for localhost, "none" for production cross-origin
-      maxAge: 7 * 24 * 60 * 60 * 1000, // 1 week in milliseconds
-      path: "/",
-    };
-
-    console.log("🌍 Is cross-origin request:", isCrossOrigin);
-    console.log("🔐 Cookie sameSite setting:", cookieOptions.sameSite);
-    console.log("🔒 Cookie secure setting:", cookieOptions.secure);
-
-    // If in production but not secure, add warning
-    if (process.env.NODE_ENV === "production" && !isSecure) {
-      console.log(
-        "⚠️  WARNING: Production mode but connection not secure - cookie may not work properly"
-      );
+    // With 2FA on, the session is only created once a code is verified
+    if (user.twoFactorEnabled) {
+      return res.json({
+        success: true,
+        twoFactorRequired: true,
+        challengeToken: twoFactorService.createChallenge(user.username),
+      });
     }
 
-    console.log("🍪 Setting cookie with options:", cookieOptions);
-    console.log("🎫 Token being set:", token.substring(0, 20) + "...");
-    console.log("🌐 Request host:", req.headers.host);
-    console.log("🌐 Request protocol:", req.protocol);
-    console.log("🌐 Request secure:", req.secure);
-    console.log("🌐 Request origin:", req.headers.origin);
-    console.log("🌐 Request referer:", req.headers.referer);
-    console.log("🌐 Environment:", process.env.NODE_ENV);
-
-    res.cookie("authToken", token, cookieOptions);
+    // Start a session for this device
+    const tokens = await sessionService.createSession(user, req);
+    setAuthCookies(req, res, tokens);
 
     // Return user without password and token
     const { password: _, ...safeUser } = user;
@@ -369,14 +325,15 @@ exports.loginUser = async (req, res) => {
 
 // Follow user
 exports.followUser = async (req, res) => {
-  const { followerUsername } = req.params;
+  // Always follow as the signed-in user
+  const followerUsername = req.user.id;
   const { followingUsername } = req.body;
 
   // Validation
-  if (!followerUsername || !followingUsername) {
+  if (!followingUsername) {
     return res.status(400).json({
       success: false,
-      message: "Follower and following usernames are required",
+      message: "Following username is required",
     });
   }
 
@@ -386,6 +343,7 @@ exports.followUser = async (req, res) => {
       followerUsername,
       followingUsername
     );
+    await notificationService.notifyFollow(followerUsername, followingUsername);
 
     // Get the updated follower user with relationships
     const updatedFollower = await databaseService.getUser(followerUsername);
@@ -412,14 +370,15 @@ exports.followUser = async (req, res) => {
 
 // Unfollow user
 exports.unfollowUser = async (req, res) => {
-  const { followerUsername } = req.params;
+  // Always unfollow as the signed-in user
+  const followerUsername = req.user.id;
   const { followingUsername } = req.body;
 
   // Validation
-  if (!followerUsername || !followingUsername) {
+  if (!followingUsername) {
     return res.status(400).json({
       success: false,
-      message: "Follower and following usernames are required",
+      message: "Following username is required",
     });
   }
 
@@ -452,14 +411,15 @@ exports.unfollowUser = async (req, res) => {
 
 // Block user
 exports.blockUser = async (req, res) => {
-  const { blockerUsername } = req.params;
+  // Always block as the signed-in user
+  const blockerUsername = req.user.id;
   const { blockedUsername } = req.body;
 
   // Validation
-  if (!blockerUsername || !blockedUsername) {
+  if (!blockedUsername) {
     return res.status(400).json({
       success: false,
-      message: "Blocker and blocked usernames are required",
+      message: "Blocked username is required",
     });
   }
 
@@ -491,14 +451,15 @@ exports.blockUser = async (req, res) => {
 
 // Unblock user
 exports.unblockUser = async (req, res) => {
-  const { blockerUsername } = req.params;
+  // Always unblock as the signed-in user
+  const blockerUsername = req.user.id;
   const { blockedUsername } = req.body;
 
   // Validation
-  if (!blockerUsername || !blockedUsername) {
+  if (!blockedUsername) {
     return res.status(400).json({
       success: false,
-      message: "Blocker and blocked usernames are required",
+      message: "Blocked username is required",
     });
   }
 
@@ -530,14 +491,15 @@ exports.unblockUser = async (req, res) => {
 
 // Update bookmarks
 exports.updateBookmarks = async (req, res) => {
-  const { username } = req.params;
+  // Only the signed-in user's own bookmarks
+  const username = req.user.id;
   const { bookmarks } = req.body;
 
   // Validation
-  if (!username || !bookmarks) {
+  if (!bookmarks) {
     return res.status(400).json({
       success: false,
-      message: "Username and bookmarks are required",
+      message: "Bookmarks are required",
     });
   }
 
@@ -658,7 +620,12 @@ exports.updateProfile = async (req, res) => {
     // Prepare update data
     const updateData = {};
     if (updates.name) updateData.name = updates.name;
-    if (updates.email) updateData.email = updates.email;
+    if (updates.email && updates.email !== user.email) {
+      // A new address has to be verified again
+      updateData.email = updates.email;
+      updateData.emailVerified = false;
+      updateData.emailVerifiedAt = null;
+    }
     if (updates.bio !== undefined) updateData.bio = updates.bio;
     if (updates.imageUrl) updateData.imageUrl = updates.imageUrl;
     if (updates.username) updateData.username = updates.username;
@@ -682,6 +649,10 @@ exports.updateProfile = async (req, res) => {
       }
     }
 
+    if (updateData.email) {
+      await sendVerificationEmail(updatedUser);
+    }
+
     // Return updated user
     const { password: _, ...safeUser } = updatedUser;
     res.json(safeUser);
@@ -859,22 +830,27 @@ exports.uploadImage = async (req, res) => {
   }
 };
 
-// Update user score based on signal targets
-exports.updateUserScore = async (req, res) => {
+// Change a user's role (admins only)
+exports.updateUserRole = async (req, res) => {
   const { username } = req.params;
-  const { signal } = req.body;
+  const { role } = req.body;
 
-  if (!username || !signal) {
+  if (!ROLES.includes(role)) {
+    return res.status(400).json({
+      success: false,
+      message: `role must be one of: ${ROLES.join(", ")}`,
+    });
+  }
+  // Keeps at least one admin around: admins cannot demote themselves
+  if (username === req.user.id && role !== "admin") {
     return res.status(400).json({
       success: false,
-      message: "Username and signal data are required",
+      message: "You cannot remove your own admin role",
     });
   }
 
   try {
-    // Find user
-    const user = await findUserByUsername(username);
-
+    const user = await databaseService.getUserSummary(username);
     if (!user) {
       return res.status(404).json({
         success: false,
@@ -882,45 +858,13 @@ exports.updateUserScore = async (req, res) => {
       });
     }
 
-    // Only update scores for publishers of the signal
-    if (user.username === signal.publisher.username) {
-      const currentTime = new Date().getTime();
-
-      // Check if the signal was recently closed (within the last 70 seconds)
-      const isSignalRecentlyClosed =
-        currentTime - signal.closeTime >= 0 &&
-        currentTime - signal.closeTime <= 70000;
-
-      if (isSignalRecentlyClosed && signal.status === "closed") {
-        // Count touched targets and update score
-        let scoreIncrease = 0;
-
-        signal.targets.forEach((target) => {
-          if (target.touched) {
-            scoreIncrease += 1;
-          }
-        });
-
-        if (scoreIncrease > 0) {
-          user.score += scoreIncrease;
-          console.log(
-            `Updated user ${username} score by +${scoreIncrease} to ${user.score}`
-          );
-
-          // Save updated user to Redis
-          await databaseService.set(`user:${username}`, user);
-        }
-      }
-    }
-
-    // Return updated user
-    const { password: _, ...safeUser } = user;
-    res.json(safeUser);
+    const updatedUser = await databaseService.setUserRole(username, role);
+    res.json({ success: true, user: updatedUser });
   } catch (error) {
-    console.error("Error updating user score:", error);
+    console.error("Error updating user role:", error);
     res.status(500).json({
       success: false,
-      message: "Error updating user score",
+      message: "Error updating user role",
     });
   }
 };
@@ -961,6 +905,520 @@ exports.getCurrentUser = async (req, res) => {
   }
 };
 
+// Trade the refresh token cookie for new auth cookies
+exports.refreshSession = async (req, res) => {
+  try {
+    const { tokens, error } = await sessionService.refresh(
+      req.cookies.refreshToken
+    );
+    if (error) {
+      clearAuthCookies(req, res);
+      return res.status(401).json({
+        success: false,
+        message: error,
+      });
+    }
+
+    setAuthCookies(req, res, tokens);
+    res.json({ success: true });
+  } catch (error) {
+    console.error("Error refreshing session:", error);
+    res.status(500).json({
+      success: false,
+      message: "Error refreshing session",
+    });
+  }
+};
+
+// List the devices the authenticated user is signed in on
+exports.getSessions = async (req, res) => {
+  try {
+    const user = await databaseService.getUserSummary(req.user.id);
+    if (!user) {
+      return res.status(404).json({
+        success: false,
+        message: "User not found",
+      });
+    }
+
+    const sessions = await sessionService.listSessions(user.id, req.user.sid);
+    res.json({ success: true, data: sessions });
+  } catch (error) {
+    console.error("Error getting sessions:", error);
+    res.status(500).json({
+      success: false,
+      message: "Error retrieving sessions",
+    });
+  }
+};
+
+// Sign one of the authenticated user's devices out
+exports.revokeSession = async (req, res) => {
+  try {
+    const user = await databaseService.getUserSummary(req.user.id);
+    const revoked =
+      user && (await sessionService.revoke(user.id, req.params.sessionId));
+    if (!revoked) {
+      return res.status(404).json({
+        success: false,
+        message: "Session not found",
+      });
+    }
+
+    if (req.params.sessionId === req.user.sid) {
+      clearAuthCookies(req, res);
+    }
+    res.json({ success: true, message: "Session revoked" });
+  } catch (error) {
+    console.error("Error revoking session:", error);
+    res.status(500).json({
+      success: false,
+      message: "Error revoking session",
+    });
+  }
+};
+
+// Sign the authenticated user out everywhere (?keepCurrent=true keeps this device)
+exports.revokeAllSessions = async (req, res) => {
+  try {
+    const user = await databaseService.getUserSummary(req.user.id);
+    if (!user) {
+      return res.status(404).json({
+        success: false,
+        message: "User not found",
+      });
+    }
+
+    const keepCurrent = req.query.keepCurrent === "true";
+    const count = await sessionService.revokeAll(
+      user.id,
+      keepCurrent ? req.user.sid : null
+    );
+    if (!keepCurrent) {
+      clearAuthCookies(req, res);
+    }
+    res.json({ success: true, data: { revoked: count } });
+  } catch (error) {
+    console.error("Error revoking sessions:", error);
+    res.status(500).json({
+      success: false,
+      message: "Error revoking sessions",
+    });
+  }
+};
+
+// Finish logging in with the challenge token and an authenticator or backup code
+exports.verifyLoginChallenge = async (req, res) => {
+  try {
+    const { challengeToken, code } = req.body;
+    const { username, error, status } =
+      await twoFactorService.completeChallenge(challengeToken, code);
+    if (error) {
+      return res.status(status).json({ success: false, message: error });
+    }
+
+    const user = await findUserByUsername(username);
+    const tokens = await sessionService.createSession(user, req);
+    setAuthCookies(req, res, tokens);
+
+    const { password: _, ...safeUser } = user;
+    console.log("✅ Login successful for user:", safeUser.username);
+    res.json({
+      success: true,
+      user: safeUser,
+    });
+  } catch (error) {
+    console.error("Error verifying login challenge:", error);
+    res.status(500).json({
+      success: false,
+      message: "Error logging in",
+    });
+  }
+};
+
+// List the authenticated user's API keys
+exports.getApiKeys = async (req, res) => {
+  try {
+    const user = await databaseService.getUserSummary(req.user.id);
+    if (!user) {
+      return res.status(404).json({
+        success: false,
+        message: "User not found",
+      });
+    }
+
+    const keys = await apiKeyService.listKeys(user.id);
+    res.json({ success: true, data: keys });
+  } catch (error) {
+    console.error("Error getting API keys:", error);
+    res.status(500).json({
+      success: false,
+      message: "Error retrieving API keys",
+    });
+  }
+};
+
+// Create an API key for the authenticated user
+exports.createApiKey = async (req, res) => {
+  try {
+    const user = await databaseService.getUserSummary(req.user.id);
+    if (!user) {
+      return res.status(404).json({
+        success: false,
+        message: "User not found",
+      });
+    }
+
+    const { apiKey, key, error, status } = await apiKeyService.createKey(
+      user.id,
+      req.body
+    );
+    if (error) {
+      return res.status(status).json({ success: false, message: error });
+    }
+
+    res.status(201).json({ success: true, data: { ...apiKey, key } });
+  } catch (error) {
+    console.error("Error creating API key:", error);
+    res.status(500).json({
+      success: false,
+      message: "Error creating API key",
+    });
+  }
+};
+
+// Revoke one of the authenticated user's API keys
+exports.revokeApiKey = async (req, res) => {
+  try {
+    const user = await databaseService.getUserSummary(req.user.id);
+    const revoked =
+      user && (await apiKeyService.revokeKey(user.id, req.params.keyId));
+    if (!revoked) {
+      return res.status(404).json({
+        success: false,
+        message: "API key not found",
+      });
+    }
+
+    res.json({ success: true, message: "API key revoked" });
+  } catch (error) {
+    console.error("Error revoking API key:", error);
+    res.status(500).json({
+      success: false,
+      message: "Error revoking API key",
+    });
+  }
+};
+
+// Get whether the authenticated user has 2FA enabled
+exports.getTwoFactorStatus = async (req, res) => {
+  try {
+    const user = await databaseService.getUserSummary(req.user.id);
+    if (!user) {
+      return res.status(404).json({
+        success: false,
+        message: "User not found",
+      });
+    }
+
+    const status = await twoFactorService.getStatus(user.id);
+    res.json({ success: true, data: status });
+  } catch (error) {
+    console.error("Error getting two-factor status:", error);
+    res.status(500).json({
+      success: false,
+      message: "Error retrieving two-factor status",
+    });
+  }
+};
+
+// Start 2FA enrollment; returns the secret and its otpauth:// URI for a QR code
+exports.setupTwoFactor = async (req, res) => {
+  try {
+    const user = await findUserByUsername(req.user.id);
+    if (!user) {
+      return res.status(404).json({
+        success: false,
+        message: "User not found",
+      });
+    }
+
+    const { enrollment, error, status } =
+      await twoFactorService.beginEnrollment(user);
+    if (error) {
+      return res.status(status).json({ success: false, message: error });
+    }
+
+    res.json({ success: true, data: enrollment });
+  } catch (error) {
+    console.error("Error setting up two-factor authentication:", error);
+    res.status(500).json({
+      success: false,
+      message: "Error setting up two-factor authentication",
+    });
+  }
+};
+
+// Confirm enrollment with a code; returns the backup codes, shown only once
+exports.enableTwoFactor = async (req, res) => {
+  try {
+    const user = await findUserByUsername(req.user.id);
+    if (!user) {
+      return res.status(404).json({
+        success: false,
+        message: "User not found",
+      });
+    }
+
+    const { backupCodes, error, status } =
+      await twoFactorService.confirmEnrollment(user, req.body.code);
+    if (error) {
+      return res.status(status).json({ success: false, message: error });
+    }
+
+    res.json({ success: true, data: { backupCodes } });
+  } catch (error) {
+    console.error("Error enabling two-factor authentication:", error);
+    res.status(500).json({
+      success: false,
+      message: "Error enabling two-factor authentication",
+    });
+  }
+};
+
+// Replace the backup codes; needs a current code
+exports.regenerateBackupCodes = async (req, res) => {
+  try {
+    const user = await findUserByUsername(req.user.id);
+    if (!user) {
+      return res.status(404).json({
+        success: false,
+        message: "User not found",
+      });
+    }
+
+    const { backupCodes, error, status } =
+      await twoFactorService.regenerateBackupCodes(user, req.body.code);
+    if (error) {
+      return res.status(status).json({ success: false, message: error });
+    }
+
+    res.json({ success: true, data: { backupCodes } });
+  } catch (error) {
+    console.error("Error regenerating backup codes:", error);
+    res.status(500).json({
+      success: false,
+      message: "Error regenerating backup codes",
+    });
+  }
+};
+
+// Turn 2FA off; needs the password and a code
+exports.disableTwoFactor = async (req, res) => {
+  try {
+    const user = await findUserByUsername(req.user.id);
+    if (!user) {
+      return res.status(404).json({
+        success: false,
+        message: "User not found",
+      });
+    }
+
+    const { password, code } = req.body;
+    const { error, status } = await twoFactorService.disable(
+      user,
+      password,
+      code
+    );
+    if (error) {
+      return res.status(status).json({ success: false, message: error });
+    }
+
+    res.json({ success: true, message: "Two-factor authentication disabled" });
+  } catch (error) {
+    console.error("Error disabling two-factor authentication:", error);
+    res.status(500).json({
+      success: false,
+      message: "Error disabling two-factor authentication",
+    });
+  }
+};
+
+// Email a password reset link (always succeeds so emails cannot be probed)
+exports.forgotPassword = async (req, res) => {
+  const { email } = req.body;
+  if (!email) {
+    return res.status(400).json({
+      success: false,
+      message: "Email is required",
+    });
+  }
+
+  try {
+    await accountService.requestPasswordReset(email);
+    res.json({
+      success: true,
+      message: "If an account uses this email, a reset link has been sent",
+    });
+  } catch (error) {
+    console.error("Error requesting password reset:", error);
+    res.status(500).json({
+      success: false,
+      message: "Error requesting password reset",
+    });
+  }
+};
+
+// Set a new password with the token from a reset email
+exports.resetPassword = async (req, res) => {
+  try {
+    const { error, status } = await accountService.resetPassword(
+      req.body.token,
+      req.body.password
+    );
+    if (error) {
+      return res.status(status).json({ success: false, message: error });
+    }
+
+    res.json({
+      success: true,
+      message: "Password has been reset, please log in again",
+    });
+  } catch (error) {
+    console.error("Error resetting password:", error);
+    res.status(500).json({
+      success: false,
+      message: "Error resetting password",
+    });
+  }
+};
+
+// Change the authenticated user's password, signing out their other devices
+exports.changePassword = async (req, res) => {
+  try {
+    const { currentPassword, newPassword } = req.body;
+    const { error, status } = await accountService.changePassword(
+      req.user.id,
+      req.user.sid,
+      currentPassword,
+      newPassword
+    );
+    if (error) {
+      return res.status(status).json({ success: false, message: error });
+    }
+
+    res.json({ success: true, message: "Password changed" });
+  } catch (error) {
+    console.error("Error changing password:", error);
+    res.status(500).json({
+      success: false,
+      message: "Error changing password",
+    });
+  }
+};
+
+// Verify an email address with the token from a verification email
+exports.verifyEmail = async (req, res) => {
+  try {
+    const { error, status } = await accountService.verifyEmail(req.body.token);
+    if (error) {
+      return res.status(status).json({ success: false, message: error });
+    }
+
+    res.json({ success: true, message: "Email verified" });
+  } catch (error) {
+    console.error("Error verifying email:", error);
+    res.status(500).json({
+      success: false,
+      message: "Error verifying email",
+    });
+  }
+};
+
+// Send the authenticated user a new verification email
+exports.resendVerificationEmail = async (req, res) => {
+  try {
+    const user = await findUserByUsername(req.user.id);
+    if (!user) {
+      return res.status(404).json({
+        success: false,
+        message: "User not found",
+      });
+    }
+    if (user.emailVerified) {
+      return res.status(400).json({
+        success: false,
+        message: "Email is already verified",
+      });
+    }
+
+    await accountService.sendVerificationEmail(user);
+    res.json({ success: true, message: "Verification email sent" });
+  } catch (error) {
+    console.error("Error sending verification email:", error);
+    res.status(500).json({
+      success: false,
+      message: "Error sending verification email",
+    });
+  }
+};
+
+// Parse a date filter given as Unix ms or an ISO8601 date; undefined if absent
+const parseDateFilter = (value) => {
+  if (value === undefined || value === "") return undefined;
+  return /^\d+$/.test(value) ? Number(value) : Date.parse(value);
+};
+
+// Get performance statistics computed from a user's signals
+exports.getUserStats = async (req, res) => {
+  try {
+    const { username } = req.params;
+    const { from, to, market } = req.query;
+
+    const fromMs = parseDateFilter(from);
+    const toMs = parseDateFilter(to);
+    if (Number.isNaN(fromMs) || Number.isNaN(toMs)) {
+      return res.status(400).json({
+        success: false,
+        message: "from and to must be ISO8601 dates or Unix timestamps",
+      });
+    }
+
+    const user = await findUserByUsername(username);
+    if (!user) {
+      return res.status(404).json({
+        success: false,
+        message: "User not found",
+      });
+    }
+
+    const stats = await userStatsService.getUserStats(username, {
+      fromMs,
+      toMs,
+      marketName: market,
+    });
+
+    res.json({
+      success: true,
+      data: {
+        username,
+        filters: {
+          from: fromMs ?? null,
+          to: toMs ?? null,
+          market: market || null,
+        },
+        ...stats,
+      },
+    });
+  } catch (error) {
+    console.error("Error fetching user stats:", error);
+    res.status(500).json({
+      success: false,
+      message: "Error fetching user stats",
+    });
+  }
+};
+
 // Get signals count for a specific user
 exports.getUserSignalsCount = async (req, res) => {
   try {
@@ -11,6 +11,15 @@ const postsRoutes = require("./routes/posts.routes");
 const newsRoutes = require("./routes/news.routes");
 const messagesRoutes = require("./routes/messages.routes");
 const cryptoRoutes = require("./routes/crypto.routes");
+const backtestsRoutes = require("./routes/backtests.routes");
+const leaderboardsRoutes = require("./routes/leaderboards.routes");
+const feedRoutes = require("./routes/feed.routes");
+const tagsRoutes = require("./routes/tags.routes");
+const searchRoutes = require("./routes/search.routes");
+const subscriptionsRoutes = require("./routes/subscriptions.routes");
+const notificationsRoutes = require("./routes/notifications.routes");
+const alertsRoutes = require("./routes/alerts.routes");
+const marketsRoutes = require("./routes/markets.routes");
 
 const usersController = require("./controllers/users.controller");
 const signalsController = require("./controllers/signals.controller");
@@ -18,6 +27,15 @@ const postsController = require("./controllers/posts.controller");
 const messagesController = require("./controllers/messages.controller");
 const auth = require("./middleware/auth");
 const bigIntSerializationMiddleware = require("./middleware/bigint-serialization");
+const signalSchedulerService = require("./services/signal-scheduler.service");
+const signalTrackerService = require("./services/signal-tracker.service");
+const backtestService = require("./services/backtest.service");
+const subscriptionService = require("./services/subscription.service");
+const notificationService = require("./services/notification.service");
+const sessionService = require("./services/session.service");
+const priceAlertService = require("./services/price-alert.service");
+const marketStreamService = require("./services/market-stream.service");
+const marketCatalogService = require("./services/market-catalog.service");
 
 // Initialize Express app
 const app = express();
@@ -48,16 +66,39 @@ const io = new Server(server, {
     credentials: true,
   },
 });
+notificationService.setIo(io);
+marketStreamService.setIo(io);
+
+// Read the access token cookie of the handshake request
+io.engine.use(cookieParser());
 
 // Socket.io connection handling
 io.on("connection", (socket) => {
   console.log(`Socket connected: ${socket.id}`);
 
-  // Authenticate user and join their personal room
-  socket.on("authenticate", (username) => {
-    if (username) {
-      socket.join(username);
-      console.log(`User ${username} authenticated and joined personal room`);
+  // Authenticate with the access token cookie, or a token sent as
+  // { token }, and join the personal room of the user it belongs to
+  socket.on("authenticate", async (data, ack) => {
+    const reply = typeof ack === "function" ? ack : () => {};
+    try {
+      const token = data?.token || socket.request.cookies?.authToken;
+      if (!token) {
+        return reply({ error: "No authentication token found" });
+      }
+
+      const { payload, error } = await sessionService.verifyAccessToken(token);
+      if (error) {
+        console.error("Socket auth error:", error);
+        return reply({ error });
+      }
+
+      socket.data.username = payload.id;
+      socket.join(payload.id);
+      console.log(`User ${payload.id} authenticated and joined personal room`);
+      reply({ username: payload.id });
+    } catch (error) {
+      console.error("Socket auth error:", error.message);
+      reply({ error: "Authentication failed" });
     }
   });
 
@@ -81,9 +122,15 @@ io.on("connection", (socket) => {
     }
   });
 
-  // Join a specific chat room
+  // Join a specific chat room, only a group or a DM of the authenticated user
   socket.on("joinRoom", (roomId) => {
-    if (roomId) {
+    const { username } = socket.data;
+    if (
+      roomId &&
+      username &&
+      (roomId.startsWith("group-") ||
+        messagesController.isDMParticipant(roomId, username))
+    ) {
       socket.join(roomId);
       console.log(`Socket ${socket.id} joined room: ${roomId}`);
 
@@ -103,6 +150,18 @@ io.on("connection", (socket) => {
     }
   });
 
+  // Stream live prices of one or more markets, e.g. "BTC/USDT"
+  socket.on("subscribeMarket", (markets, ack) => {
+    const result = marketStreamService.subscribe(socket, markets);
+    if (typeof ack === "function") ack(result);
+  });
+
+  // Stop streaming prices of one or more markets
+  socket.on("unsubscribeMarket", (markets, ack) => {
+    const result = marketStreamService.unsubscribe(socket, markets);
+    if (typeof ack === "function") ack(result);
+  });
+
   // Handle disconnection
   socket.on("disconnect", (reason) => {
     console.log(`Socket disconnected: ${socket.id}, reason: ${reason}`);
@@ -154,6 +213,15 @@ app.use("/api/posts", postsRoutes);
 app.use("/api/news", newsRoutes);
 app.use("/api/messages", messagesRoutes);
 app.use("/api/crypto", cryptoRoutes);
+app.use("/api/backtests", backtestsRoutes);
+app.use("/api/leaderboards", leaderboardsRoutes);
+app.use("/api/feed", feedRoutes);
+app.use("/api/tags", tagsRoutes);
+app.use("/api/search", searchRoutes);
+app.use("/api/subscriptions", subscriptionsRoutes);
+app.use("/api/notifications", notificationsRoutes);
+app.use("/api/alerts", alertsRoutes);
+app.use("/api/markets", marketsRoutes);
 
 // Upload routes (all require authentication)
 app.post(
@@ -195,10 +263,44 @@ app.use((err, req, res, next) => {
 // Start server
 server.listen(port, () => {
   console.log(`Server is running on port ${port}`);
+
+  // Open, close and score signals on the server instead of waiting for clients
+  if (process.env.SIGNAL_SCHEDULER_ENABLED !== "false") {
+    signalSchedulerService.start();
+  }
+
+  // Track targets and stop losses of open signals as prices move
+  if (process.env.SIGNAL_TRACKER_ENABLED !== "false") {
+    signalTrackerService.start();
+  }
+
+  // Resume backtest jobs queued before the restart
+  backtestService.start();
+
+  // Renew subscriptions whose paid period ran out
+  if (process.env.SUBSCRIPTION_RENEWALS_ENABLED !== "false") {
+    subscriptionService.start();
+  }
+
+  // Check users' price alerts against the latest prices
+  if (process.env.PRICE_ALERTS_ENABLED !== "false") {
+    priceAlertService.start();
+  }
+
+  // Keep the exchange symbol lists signal markets are checked against fresh
+  if (process.env.MARKET_CATALOG_ENABLED !== "false") {
+    marketCatalogService.start();
+  }
 });
 
 // Handle graceful shutdown
 process.on("SIGINT", () => {
   console.log("Shutting down gracefully");
+  signalSchedulerService.stop();
+  signalTrackerService.stop();
+  subscriptionService.stop();
+  priceAlertService.stop();
+  marketStreamService.stop();
+  marketCatalogService.stop();
   process.exit(0);
 });
@@ -1,11 +1,41 @@
-const jwt = require("jsonwebtoken");
+const sessionService = require("../services/session.service");
+const apiKeyService = require("../services/api-key.service");
 
 /**
- * Authentication middleware that validates JWT tokens from cookies
+ * Authentication middleware that validates JWT access tokens from cookies
+ * and checks that their session has not been revoked. Bots may send a
+ * personal API key in the Authorization header instead; see the API key
+ * service for what keys are allowed to do.
  */
-const auth = (req, res, next) => {
+const auth = async (req, res, next) => {
   try {
-    // Get token from cookies instead of Authorization header
+    const apiKey = apiKeyService.getKeyFromRequest(req);
+    if (apiKey) {
+      const { payload, error, status, rateLimit } =
+        await apiKeyService.authenticate(
+          apiKey,
+          apiKeyService.requiredScope(req)
+        );
+      if (rateLimit) apiKeyService.setRateLimitHeaders(res, rateLimit);
+      if (error) {
+        console.error("API key auth error:", error);
+        if (status === 429) {
+          res.set(
+            "Retry-After",
+            String(Math.ceil((rateLimit.resetAt - Date.now()) / 1000))
+          );
+        }
+        return res.status(status).json({
+          success: false,
+          message: error,
+        });
+      }
+
+      req.user = payload;
+      return next();
+    }
+
+    // Otherwise use the access token cookie
     const token = req.cookies.authToken;
 
     if (!token) {
@@ -16,30 +46,23 @@ const auth = (req, res, next) => {
       });
     }
 
-    // Verify the JWT token
-    const decoded = jwt.verify(token, process.env.JWT_SECRET);
+    // Verify the JWT token and its session
+    const { payload, error } = await sessionService.verifyAccessToken(token);
+    if (error) {
+      console.error("Auth error:", error);
+      return res.status(401).json({
+        success: false,
+        message: error,
+      });
+    }
 
     // Add user info to request object
-    req.user = decoded;
+    req.user = payload;
 
     next();
   } catch (error) {
     console.error("Auth error:", error.message);
 
-    if (error.name === "JsonWebTokenError") {
-      return res.status(401).json({
-        success: false,
-        message: "Invalid authentication token",
-      });
-    }
-
-    if (error.name === "TokenExpiredError") {
-      return res.status(401).json({
-        success: false,
-        message: "Authentication token has expired",
-      });
-    }
-
     return res.status(401).json({
       success: false,
       message: "Authentication failed",
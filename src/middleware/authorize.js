@@ -0,0 +1,129 @@
+const databaseService = require("../services/database.service");
+
+const ROLES = ["user", "moderator", "admin"];
+// Roles that may remove other users' content
+const MODERATION_ROLES = ["moderator", "admin"];
+
+/**
+ * Authorization middleware. They run after auth and only ever trust req.user
+ * for who is acting; usernames in params or bodies just name the target.
+ */
+
+// The signed-in user's id and role, loaded once per request as req.actor
+const loadActor = async (req) => {
+  if (!req.actor) {
+    req.actor = await databaseService.getUserSummary(req.user.id);
+  }
+  return req.actor;
+};
+
+/**
+ * Only let users with one of the given roles through.
+ */
+const requireRole =
+  (...roles) =>
+  async (req, res, next) => {
+    try {
+      const actor = await loadActor(req);
+      if (!actor || !roles.includes(actor.role)) {
+        return res.status(403).json({
+          success: false,
+          message: "You are not allowed to do this",
+        });
+      }
+      next();
+    } catch (error) {
+      console.error("Authorization error:", error.message);
+      res.status(500).json({
+        success: false,
+        message: "Error checking permissions",
+      });
+    }
+  };
+
+/**
+ * Only let the user a route param names through, e.g. :username in
+ * PUT /api/users/:username. Users with one of `roles` may act on anyone.
+ */
+const requireSelf =
+  (param, { roles = [] } = {}) =>
+  async (req, res, next) => {
+    try {
+      if (req.params[param] === req.user.id) return next();
+
+      const actor = roles.length > 0 ? await loadActor(req) : null;
+      if (!actor || !roles.includes(actor.role)) {
+        return res.status(403).json({
+          success: false,
+          message: "You can only do this for your own account",
+        });
+      }
+      next();
+    } catch (error) {
+      console.error("Authorization error:", error.message);
+      res.status(500).json({
+        success: false,
+        message: "Error checking permissions",
+      });
+    }
+  };
+
+/**
+ * Load the resource a route acts on and only let its owner through. Users
+ * with one of `roles` may act on anyone's. The resource is left on
+ * req.resource.
+ * @param {Function} load - async (req) => the resource, or null if missing
+ * @param {Object} options
+ * @param {string} options.name - e.g. "Signal", for error messages
+ * @param {Function} [options.ownerId] - resource => id of the owning user
+ * @param {string[]} [options.roles]
+ */
+const requireOwnership =
+  (load, { name, ownerId = (resource) => resource.userId, roles = [] }) =>
+  async (req, res, next) => {
+    try {
+      const [resource, actor] = await Promise.all([load(req), loadActor(req)]);
+      if (!resource) {
+        return res.status(404).json({
+          success: false,
+          message: `${name} not found`,
+        });
+      }
+      if (
+        !actor ||
+        (ownerId(resource) !== actor.id && !roles.includes(actor.role))
+      ) {
+        return res.status(403).json({
+          success: false,
+          message: `You can only change your own ${name.toLowerCase()}s`,
+        });
+      }
+
+      req.resource = resource;
+      next();
+    } catch (error) {
+      console.error("Authorization error:", error.message);
+      res.status(500).json({
+        success: false,
+        message: "Error checking permissions",
+      });
+    }
+  };
+
+/**
+ * Let requests made with an API key that has `scope` use the route. Goes
+ * before auth, which refuses API keys on other routes that change data.
+ */
+const allowApiKey = (scope) => (req, res, next) => {
+  req.apiKeyScope = scope;
+  next();
+};
+
+module.exports = {
+  ROLES,
+  MODERATION_ROLES,
+  requireRole,
+  requireSelf,
+  requireOwnership,
+  allowApiKey,
+};
@@ -0,0 +1,45 @@
+const sessionService = require("../services/session.service");
+const apiKeyService = require("../services/api-key.service");
+
+/**
+ * Like the auth middleware, but lets signed-out requests through. req.user is
+ * set when a valid authToken cookie or API key is present, for routes whose
+ * response depends on who is asking (e.g. premium content).
+ */
+const optionalAuth = async (req, res, next) => {
+  const apiKey = apiKeyService.getKeyFromRequest(req);
+  const token = req.cookies.authToken;
+  if (!apiKey && !token) return next();
+
+  try {
+    if (apiKey) {
+      const { payload, error, status, rateLimit } =
+        await apiKeyService.authenticate(
+          apiKey,
+          apiKeyService.requiredScope(req)
+        );
+      if (rateLimit) apiKeyService.setRateLimitHeaders(res, rateLimit);
+      if (status === 429) {
+        return res.status(429).json({ success: false, message: error });
+      }
+      if (error) {
+        console.log("Ignoring invalid API key:", error);
+      } else {
+        req.user = payload;
+      }
+    } else {
+      const { payload, error } = await sessionService.verifyAccessToken(token);
+      if (error) {
+        // An invalid, expired or revoked token is treated as signed out
+        console.log("Ignoring invalid authentication token:", error);
+      } else {
+        req.user = payload;
+      }
+    }
+  } catch (error) {
+    console.error("Optional auth error:", error.message);
+  }
+  next();
+};
+
+module.exports = optionalAuth;
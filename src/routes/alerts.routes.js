@@ -0,0 +1,21 @@
+const express = require("express");
+const router = express.Router();
+const alertsController = require("../controllers/alerts.controller");
+const auth = require("../middleware/auth");
+
+// List the authenticated user's price alerts (requires authentication)
+router.get("/", auth, alertsController.getAlerts);
+
+// Create a price alert (requires authentication)
+router.post("/", auth, alertsController.createAlert);
+
+// Get a price alert (requires authentication)
+router.get("/:id", auth, alertsController.getAlert);
+
+// Update a price alert (requires authentication)
+router.put("/:id", auth, alertsController.updateAlert);
+
+// Delete a price alert (requires authentication)
+router.delete("/:id", auth, alertsController.deleteAlert);
+
+module.exports = router;
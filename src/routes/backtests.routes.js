@@ -0,0 +1,18 @@
+const express = require("express");
+const router = express.Router();
+const backtestsController = require("../controllers/backtests.controller");
+const auth = require("../middleware/auth");
+
+// Start a backtest job (requires authentication)
+router.post("/", auth, backtestsController.createBacktest);
+
+// List your backtest jobs (requires authentication)
+router.get("/", auth, backtestsController.getBacktests);
+
+// Get a backtest job's status (requires authentication)
+router.get("/:id", auth, backtestsController.getBacktest);
+
+// Get a completed backtest's results (requires authentication)
+router.get("/:id/result", auth, backtestsController.getBacktestResult);
+
+module.exports = router;
@@ -2,7 +2,10 @@ const express = require("express");
 const router = express.Router();
 const cryptoController = require("../controllers/crypto.controller");
 
-// GET /api/crypto/wallex/markets - Get Wallex markets data
+// GET /api/crypto/wallex/markets - Get Wallex markets (?quote=USDT&search=btc&sort=volume&order=desc)
 router.get("/wallex/markets", cryptoController.getWallexMarkets);
 
+// GET /api/crypto/wallex/markets/:symbol - Get one Wallex market, e.g. BTC-USDT
+router.get("/wallex/markets/:symbol", cryptoController.getWallexMarket);
+
 module.exports = router;
@@ -0,0 +1,9 @@
+const express = require("express");
+const router = express.Router();
+const feedController = require("../controllers/feed.controller");
+const auth = require("../middleware/auth");
+
+// Get posts and signals of followed users (?sort=latest|forYou&cursor=&limit=)
+router.get("/", auth, feedController.getFeed);
+
+module.exports = router;
@@ -0,0 +1,9 @@
+const express = require("express");
+const router = express.Router();
+const leaderboardsController = require("../controllers/leaderboards.controller");
+
+// Get publishers ranked by score or win rate
+// (?metric=score|winRate&window=7d|30d|all&market=&quoteAsset=&minSignals=&limit=&offset=)
+router.get("/", leaderboardsController.getLeaderboard);
+
+module.exports = router;
@@ -0,0 +1,8 @@
+const express = require("express");
+const router = express.Router();
+const marketsController = require("../controllers/markets.controller");
+
+// List markets with the exchanges that support each (?quote=USDT&search=btc&exchange=kucoin)
+router.get("/", marketsController.getMarkets);
+
+module.exports = router;
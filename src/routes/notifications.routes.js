@@ -0,0 +1,18 @@
+const express = require("express");
+const router = express.Router();
+const notificationsController = require("../controllers/notifications.controller");
+const auth = require("../middleware/auth");
+
+// List the authenticated user's notifications (requires authentication)
+router.get("/", auth, notificationsController.getNotifications);
+
+// Count the authenticated user's unread notifications (requires authentication)
+router.get("/unread-count", auth, notificationsController.getUnreadCount);
+
+// Mark all notifications as read (requires authentication)
+router.post("/read-all", auth, notificationsController.markAllRead);
+
+// Mark a notification as read (requires authentication)
+router.post("/:id/read", auth, notificationsController.markRead);
+
+module.exports = router;
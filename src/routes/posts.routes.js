@@ -3,6 +3,15 @@ const router = express.Router();
 const { v4: uuidv4 } = require("uuid");
 const databaseService = require("../services/database.service");
 const auth = require("../middleware/auth");
+const optionalAuth = require("../middleware/optional-auth");
+const {
+  requireOwnership,
+  allowApiKey,
+  MODERATION_ROLES,
+} = require("../middleware/authorize");
+const postsController = require("../controllers/posts.controller");
+const subscriptionService = require("../services/subscription.service");
+const notificationService = require("../services/notification.service");
 
 // Helper function to get post by ID
 async function getPostById(id) {
@@ -10,38 +19,35 @@ async function getPostById(id) {
   return post || null;
 }
 
-// Get all posts
-router.get("/", async (req, res) => {
-  try {
-    const postKeys = await databaseService.keys("post:*");
-    const posts = [];
+// Only the publisher may edit a post; moderators may also remove posts and comments
+const canEditPost = requireOwnership((req) => getPostById(req.params.id), {
+  name: "Post",
+});
+const canRemovePost = requireOwnership((req) => getPostById(req.params.id), {
+  name: "Post",
+  roles: MODERATION_ROLES,
+});
+const canRemoveComment = requireOwnership(
+  (req) => databaseService.getComment(req.params.commentId),
+  {
+    name: "Comment",
+    ownerId: (comment) => comment.publisherId,
+    roles: MODERATION_ROLES,
+  }
+);
 
-    for (const key of postKeys) {
-      const postJson = await databaseService.get(key);
-      if (postJson) {
-        posts.push(postJson);
-      }
-    }
+// Name, username and image of the signed-in user, shown on their posts and comments
+async function getPublisher(req) {
+  const user = await databaseService.getUser(req.user.id);
+  if (!user) return null;
+  return { name: user.name, username: user.username, imageUrl: user.imageUrl };
+}
 
-    // Sort posts by date (newest first)
-    posts.sort((a, b) => Number(b.date) - Number(a.date));
-
-    return res.status(200).json({
-      success: true,
-      data: posts,
-    });
-  } catch (error) {
-    console.error("Error fetching posts:", error);
-    return res.status(500).json({
-      success: false,
-      message: "Failed to fetch posts",
-      error: error.message,
-    });
-  }
-});
+// Get posts, newest first (?page=&limit=&publishers=&tagName=)
+router.get("/", optionalAuth, postsController.getPosts);
 
 // Get a single post by ID
-router.get("/:id", async (req, res) => {
+router.get("/:id", optionalAuth, async (req, res) => {
   try {
     const { id } = req.params;
     const post = await getPostById(id);
@@ -53,9 +59,10 @@ router.get("/:id", async (req, res) => {
       });
     }
 
+    const access = await subscriptionService.getAccess(req.user?.id);
     return res.status(200).json({
       success: true,
-      data: post,
+      data: subscriptionService.redactPost(post, access),
     });
   } catch (error) {
     console.error("Error fetching post:", error);
@@ -67,15 +74,24 @@ router.get("/:id", async (req, res) => {
   }
 });
 
-// Create a new post (requires authentication)
-router.post("/", auth, async (req, res) => {
+// Create a new post (requires authentication or a posts:publish API key)
+router.post("/", allowApiKey("posts:publish"), auth, async (req, res) => {
   try {
-    const { content, publisher, isPremium, postImageHref } = req.body;
+    const { content, isPremium, postImageHref } = req.body;
 
-    if (!content || !publisher) {
+    if (!content) {
       return res.status(400).json({
         success: false,
-        message: "Content and publisher are required",
+        message: "Content is required",
+      });
+    }
+
+    // Always published as the signed-in user, whatever the body says
+    const publisher = await getPublisher(req);
+    if (!publisher) {
+      return res.status(404).json({
+        success: false,
+        message: "User not found",
       });
     }
 
@@ -111,8 +127,8 @@ router.post("/", auth, async (req, res) => {
   }
 });
 
-// Edit a post (requires authentication)
-router.put("/:id", auth, async (req, res) => {
+// Edit a post (requires authentication, publisher only)
+router.put("/:id", auth, canEditPost, async (req, res) => {
   try {
     const { id } = req.params;
     const { content, postImageHref, removePostImage } = req.body;
@@ -163,8 +179,8 @@ router.put("/:id", auth, async (req, res) => {
   }
 });
 
-// Remove a post (requires authentication)
-router.delete("/:id", auth, async (req, res) => {
+// Remove a post (requires authentication, publisher or moderators)
+router.delete("/:id", auth, canRemovePost, async (req, res) => {
   try {
     const { id } = req.params;
     const exists = await databaseService.exists(`post:${id}`);
@@ -196,17 +212,8 @@ router.delete("/:id", auth, async (req, res) => {
 router.post("/:id/like", auth, async (req, res) => {
   try {
     const { id } = req.params;
-    const { user } = req.body;
-
-    if (!user || !user.username) {
-      return res.status(400).json({
-        success: false,
-        message: "User information is required",
-      });
-    }
-
-    // Get the user ID from the username
-    const userRecord = await databaseService.getUser(user.username);
+    // Act as the signed-in user
+    const userRecord = await databaseService.getUserSummary(req.user.id);
     if (!userRecord) {
       return res.status(404).json({
         success: false,
@@ -226,11 +233,15 @@ router.post("/:id/like", auth, async (req, res) => {
 
     // Get the updated post to return
     const updatedPost = await getPostById(id);
+    await notificationService.notifyPostLike(updatedPost, userRecord.id);
 
     return res.status(200).json({
       success: true,
       message: "Post liked successfully",
-      data: updatedPost,
+      data: subscriptionService.redactPost(
+        updatedPost,
+        await subscriptionService.getAccess(req.user.id)
+      ),
     });
   } catch (error) {
     console.error("Error liking post:", error);
@@ -246,17 +257,8 @@ router.post("/:id/like", auth, async (req, res) => {
 router.post("/:id/dislike", auth, async (req, res) => {
   try {
     const { id } = req.params;
-    const { user } = req.body;
-
-    if (!user || !user.username) {
-      return res.status(400).json({
-        success: false,
-        message: "User information is required",
-      });
-    }
-
-    // Get the user ID from the username
-    const userRecord = await databaseService.getUser(user.username);
+    // Act as the signed-in user
+    const userRecord = await databaseService.getUserSummary(req.user.id);
     if (!userRecord) {
       return res.status(404).json({
         success: false,
@@ -280,7 +282,10 @@ router.post("/:id/dislike", auth, async (req, res) => {
     return res.status(200).json({
       success: true,
       message: "Post disliked successfully",
-      data: updatedPost,
+      data: subscriptionService.redactPost(
+        updatedPost,
+        await subscriptionService.getAccess(req.user.id)
+      ),
     });
   } catch (error) {
     console.error("Error disliking post:", error);
@@ -296,12 +301,12 @@ router.post("/:id/dislike", auth, async (req, res) => {
 router.post("/:id/comments", auth, async (req, res) => {
   try {
     const { id } = req.params;
-    const { body, publisher } = req.body;
+    const { body } = req.body;
 
-    if (!body || !publisher) {
+    if (!body) {
       return res.status(400).json({
         success: false,
-        message: "Comment body and publisher are required",
+        message: "Comment body is required",
       });
     }
 
@@ -314,6 +319,15 @@ router.post("/:id/comments", auth, async (req, res) => {
       });
     }
 
+    // Always commented as the signed-in user, whatever the body says
+    const publisher = await getPublisher(req);
+    if (!publisher) {
+      return res.status(404).json({
+        success: false,
+        message: "User not found",
+      });
+    }
+
     const newComment = {
       commentId: uuidv4(),
       postId: id,
@@ -325,6 +339,7 @@ router.post("/:id/comments", auth, async (req, res) => {
 
     // Use the new createComment method
     const createdComment = await databaseService.createComment(id, newComment);
+    await notificationService.notifyPostComment(post, createdComment);
 
     return res.status(201).json({
       success: true,
@@ -341,57 +356,53 @@ router.post("/:id/comments", auth, async (req, res) => {
   }
 });
 
-// Delete a comment (requires authentication)
-router.delete("/:id/comments/:commentId", auth, async (req, res) => {
-  try {
-    const { id, commentId } = req.params;
+// Delete a comment (requires authentication, commenter or moderators)
+router.delete(
+  "/:id/comments/:commentId",
+  auth,
+  canRemoveComment,
+  async (req, res) => {
+    try {
+      const { id, commentId } = req.params;
+
+      // Use the new deleteComment method
+      const result = await databaseService.deleteComment(id, commentId);
+
+      if (result.notFound) {
+        return res.status(404).json({
+          success: false,
+          message: "Comment not found",
+        });
+      }
 
-    // Use the new deleteComment method
-    const result = await databaseService.deleteComment(id, commentId);
+      if (result.unauthorized) {
+        return res.status(403).json({
+          success: false,
+          message: "Comment does not belong to this post",
+        });
+      }
 
-    if (result.notFound) {
-      return res.status(404).json({
-        success: false,
-        message: "Comment not found",
+      return res.status(200).json({
+        success: true,
+        message: "Comment deleted successfully",
       });
-    }
-
-    if (result.unauthorized) {
-      return res.status(403).json({
+    } catch (error) {
+      console.error("Error deleting comment:", error);
+      return res.status(500).json({
         success: false,
-        message: "Comment does not belong to this post",
+        message: "Failed to delete comment",
+        error: error.message,
       });
     }
-
-    return res.status(200).json({
-      success: true,
-      message: "Comment deleted successfully",
-    });
-  } catch (error) {
-    console.error("Error deleting comment:", error);
-    return res.status(500).json({
-      success: false,
-      message: "Failed to delete comment",
-      error: error.message,
-    });
   }
-});
+);
 
 // Like a comment (requires authentication)
 router.post("/:id/comments/:commentId/like", auth, async (req, res) => {
   try {
     const { id, commentId } = req.params;
-    const { user } = req.body;
-
-    if (!user || !user.username) {
-      return res.status(400).json({
-        success: false,
-        message: "User information is required",
-      });
-    }
-
-    // Get the user ID from the username
-    const userRecord = await databaseService.getUser(user.username);
+    // Act as the signed-in user
+    const userRecord = await databaseService.getUserSummary(req.user.id);
     if (!userRecord) {
       return res.status(404).json({
         success: false,
@@ -428,17 +439,8 @@ router.post("/:id/comments/:commentId/like", auth, async (req, res) => {
 router.post("/:id/comments/:commentId/dislike", auth, async (req, res) => {
   try {
     const { id, commentId } = req.params;
-    const { user } = req.body;
-
-    if (!user || !user.username) {
-      return res.status(400).json({
-        success: false,
-        message: "User information is required",
-      });
-    }
-
-    // Get the user ID from the username
-    const userRecord = await databaseService.getUser(user.username);
+    // Act as the signed-in user
+    const userRecord = await databaseService.getUserSummary(req.user.id);
     if (!userRecord) {
       return res.status(404).json({
         success: false,
@@ -0,0 +1,10 @@
+const express = require("express");
+const router = express.Router();
+const searchController = require("../controllers/search.controller");
+const auth = require("../middleware/auth");
+
+// Search users, posts, signals and news
+// (?q=&type=users,posts,signals,news&limit=&offset=)
+router.get("/", auth, searchController.search);
+
+module.exports = router;
@@ -2,20 +2,55 @@ const express = require("express");
 const router = express.Router();
 const signalsController = require("../controllers/signals.controller");
 const auth = require("../middleware/auth");
+const optionalAuth = require("../middleware/optional-auth");
+const {
+  requireRole,
+  requireOwnership,
+  allowApiKey,
+  MODERATION_ROLES,
+} = require("../middleware/authorize");
+const databaseService = require("../services/database.service");
 const multer = require("multer");
 const upload = multer();
 
+// The signal in :id, for the ownership checks
+const loadSignal = (req) => databaseService.getSignal(req.params.id);
+
 // Get all signals
-router.get("/", signalsController.getSignals);
+router.get("/", optionalAuth, signalsController.getSignals);
 
 // Get top signals in a timeframe
-router.get("/top", signalsController.getTopSignals);
+router.get("/top", optionalAuth, signalsController.getTopSignals);
+
+// Get background lifecycle scheduler status, e.g. queue depth and last run (requires authentication, admins only)
+router.get(
+  "/scheduler/status",
+  auth,
+  requireRole("admin"),
+  signalsController.getSchedulerStatus
+);
+
+// Get live price tracker status, e.g. tracked markets and last poll (requires authentication, admins only)
+router.get(
+  "/tracker/status",
+  auth,
+  requireRole("admin"),
+  signalsController.getTrackerStatus
+);
 
 // Get a single signal by ID
-router.get("/:id", signalsController.getSignalById);
+router.get("/:id", optionalAuth, signalsController.getSignalById);
 
-// Create a new signal (requires authentication)
-router.post("/", auth, signalsController.createSignal);
+// Get the scoring outcome of a closed signal (exit reason, hits, excursions)
+router.get("/:id/outcome", optionalAuth, signalsController.getSignalOutcome);
+
+// Create a new signal (requires authentication or a signals:publish API key)
+router.post(
+  "/",
+  allowApiKey("signals:publish"),
+  auth,
+  signalsController.createSignal
+);
 
 // Update signal status (requires authentication)
 router.put("/:id/status", auth, signalsController.updateSignalStatus);
@@ -26,21 +61,32 @@ router.post("/:id/like", auth, signalsController.likeSignal);
 // Dislike a signal (requires authentication)
 router.post("/:id/dislike", auth, signalsController.dislikeSignal);
 
-// Edit a signal (requires authentication)
-router.put("/:id", auth, signalsController.updateSignal);
+// Edit a signal (requires authentication, publisher only)
+router.put(
+  "/:id",
+  auth,
+  requireOwnership(loadSignal, { name: "Signal" }),
+  signalsController.updateSignal
+);
 
-// Delete a signal (requires authentication)
-router.delete("/:id", auth, signalsController.deleteSignal);
+// Delete a signal (requires authentication, publisher or moderators)
+router.delete(
+  "/:id",
+  auth,
+  requireOwnership(loadSignal, { name: "Signal", roles: MODERATION_ROLES }),
+  signalsController.deleteSignal
+);
 
-// Upload image (requires authentication)
+// Upload image (requires authentication or a signals:publish API key)
 router.post(
   "/upload",
+  allowApiKey("signals:publish"),
   auth,
   upload.single("file"),
   signalsController.uploadImage
 );
 
-// Calculate reward for a hypothetical trade (public endpoint)
-router.post("/reward", signalsController.calculateReward);
+// Calculate reward for a hypothetical trade (requires authentication)
+router.post("/reward", auth, signalsController.calculateReward);
 
 module.exports = router;
@@ -0,0 +1,27 @@
+const express = require("express");
+const router = express.Router();
+const subscriptionsController = require("../controllers/subscriptions.controller");
+const auth = require("../middleware/auth");
+
+// Get a publisher's subscription plans
+router.get("/plans/:username", subscriptionsController.getPlans);
+
+// Create a subscription plan (requires authentication)
+router.post("/plans", auth, subscriptionsController.createPlan);
+
+// Stop offering a subscription plan (requires authentication)
+router.delete("/plans/:planId", auth, subscriptionsController.deactivatePlan);
+
+// List the authenticated publisher's subscribers (requires authentication)
+router.get("/subscribers", auth, subscriptionsController.getSubscribers);
+
+// List the authenticated user's subscriptions (requires authentication)
+router.get("/", auth, subscriptionsController.getSubscriptions);
+
+// Subscribe to a publisher's plan (requires authentication)
+router.post("/", auth, subscriptionsController.subscribe);
+
+// Cancel a subscription at the end of its paid period (requires authentication)
+router.post("/:id/cancel", auth, subscriptionsController.cancelSubscription);
+
+module.exports = router;
@@ -0,0 +1,12 @@
+const express = require("express");
+const router = express.Router();
+const tagsController = require("../controllers/tags.controller");
+const optionalAuth = require("../middleware/optional-auth");
+
+// Get trending hashtags and cashtags (?window=1h|24h|7d&type=hashtag|cashtag&limit=)
+router.get("/trending", tagsController.getTrendingTags);
+
+// Get posts and signals mentioning an asset, e.g. /assets/BTC (?before=&limit=)
+router.get("/assets/:asset", optionalAuth, tagsController.getAssetMentions);
+
+module.exports = router;
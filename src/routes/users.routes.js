@@ -2,6 +2,7 @@ const express = require("express");
 const router = express.Router();
 const usersController = require("../controllers/users.controller");
 const auth = require("../middleware/auth");
+const { requireRole, requireSelf } = require("../middleware/authorize");
 
 // Get all users
 router.get("/", usersController.getAllUsers);
@@ -34,9 +35,49 @@ router.get("/debug-cookies", (req, res) => {
 // Get current authenticated user (requires authentication)
 router.get("/me", auth, usersController.getCurrentUser);
 
+// List the devices the current user is signed in on (requires authentication)
+router.get("/me/sessions", auth, usersController.getSessions);
+
+// Sign out of every device (requires authentication)
+router.delete("/me/sessions", auth, usersController.revokeAllSessions);
+
+// Sign out of one device (requires authentication)
+router.delete("/me/sessions/:sessionId", auth, usersController.revokeSession);
+
+// List the current user's API keys (requires authentication)
+router.get("/me/api-keys", auth, usersController.getApiKeys);
+
+// Create an API key; the key is only shown in this response (requires authentication)
+router.post("/me/api-keys", auth, usersController.createApiKey);
+
+// Revoke an API key (requires authentication)
+router.delete("/me/api-keys/:keyId", auth, usersController.revokeApiKey);
+
+// Get two-factor authentication status (requires authentication)
+router.get("/me/2fa", auth, usersController.getTwoFactorStatus);
+
+// Start two-factor enrollment (requires authentication)
+router.post("/me/2fa/setup", auth, usersController.setupTwoFactor);
+
+// Confirm two-factor enrollment with a code (requires authentication)
+router.post("/me/2fa/enable", auth, usersController.enableTwoFactor);
+
+// Replace two-factor backup codes (requires authentication)
+router.post(
+  "/me/2fa/backup-codes",
+  auth,
+  usersController.regenerateBackupCodes
+);
+
+// Turn two-factor authentication off (requires authentication)
+router.post("/me/2fa/disable", auth, usersController.disableTwoFactor);
+
 // Get signals count for a specific user
 router.get("/:username/signals/count", usersController.getUserSignalsCount);
 
+// Get performance stats for a specific user (?from=&to=&market=)
+router.get("/:username/stats", usersController.getUserStats);
+
 // Get user by username - MUST come after specific routes
 router.get("/:username", usersController.getUserByUsername);
 
@@ -46,28 +87,88 @@ router.post("/register", usersController.registerUser);
 // Login user
 router.post("/login", usersController.loginUser);
 
+// Finish logging in with a two-factor code
+router.post("/login/2fa", usersController.verifyLoginChallenge);
+
 // Logout user
 router.post("/logout", usersController.logoutUser);
 
-// Follow user (requires authentication)
-router.post("/:followerUsername/follow", auth, usersController.followUser);
-
-// Unfollow user (requires authentication)
-router.post("/:followerUsername/unfollow", auth, usersController.unfollowUser);
-
-// Block user (requires authentication)
-router.post("/:blockerUsername/block", auth, usersController.blockUser);
-
-// Unblock user (requires authentication)
-router.post("/:blockerUsername/unblock", auth, usersController.unblockUser);
-
-// Update bookmarks (requires authentication)
-router.put("/:username/bookmarks", auth, usersController.updateBookmarks);
-
-// Update profile (requires authentication)
-router.put("/:username", auth, usersController.updateProfile);
-
-// Update user score based on signal targets (requires authentication)
-router.put("/:username/score", auth, usersController.updateUserScore);
+// Get new auth cookies with the refresh token cookie
+router.post("/refresh", usersController.refreshSession);
+
+// Email a password reset link
+router.post("/password/forgot", usersController.forgotPassword);
+
+// Set a new password with a reset token
+router.post("/password/reset", usersController.resetPassword);
+
+// Change password (requires authentication)
+router.post("/password/change", auth, usersController.changePassword);
+
+// Verify email address with a verification token
+router.post("/email/verify", usersController.verifyEmail);
+
+// Resend the verification email (requires authentication)
+router.post(
+  "/email/verification",
+  auth,
+  usersController.resendVerificationEmail
+);
+
+// Follow user (requires authentication, as yourself)
+router.post(
+  "/:followerUsername/follow",
+  auth,
+  requireSelf("followerUsername"),
+  usersController.followUser
+);
+
+// Unfollow user (requires authentication, as yourself)
+router.post(
+  "/:followerUsername/unfollow",
+  auth,
+  requireSelf("followerUsername"),
+  usersController.unfollowUser
+);
+
+// Block user (requires authentication, as yourself)
+router.post(
+  "/:blockerUsername/block",
+  auth,
+  requireSelf("blockerUsername"),
+  usersController.blockUser
+);
+
+// Unblock user (requires authentication, as yourself)
+router.post(
+  "/:blockerUsername/unblock",
+  auth,
+  requireSelf("blockerUsername"),
+  usersController.unblockUser
+);
+
+// Update bookmarks (requires authentication, own bookmarks only)
+router.put(
+  "/:username/bookmarks",
+  auth,
+  requireSelf("username"),
+  usersController.updateBookmarks
+);
+
+// Change a user's role (requires authentication, admins only)
+router.put(
+  "/:username/role",
+  auth,
+  requireRole("admin"),
+  usersController.updateUserRole
+);
+
+// Update profile (requires authentication, own profile or admins)
+router.put(
+  "/:username",
+  auth,
+  requireSelf("username", { roles: ["admin"] }),
+  usersController.updateProfile
+);
 
 module.exports = router;
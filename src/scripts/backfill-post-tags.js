@@ -0,0 +1,48 @@
+const databaseService = require("../services/database.service");
+
+/**
+ * Parse hashtags and cashtags out of every post's content into the tag table.
+ * New and edited posts are tagged when they are saved; this covers posts from
+ * before tags existed. Safe to run again, each post's tags are replaced.
+ */
+async function backfillPostTags() {
+  try {
+    const postIds = await databaseService.getPostIds();
+    console.log(`Found ${postIds.length} posts to tag`);
+
+    let taggedCount = 0;
+    let failedCount = 0;
+    for (const postId of postIds) {
+      try {
+        const tags = await databaseService.syncPostTags(postId);
+        if (tags && tags.length > 0) taggedCount += 1;
+      } catch (error) {
+        failedCount += 1;
+        console.error(`❌ Failed to tag post ${postId}:`, error.message);
+      }
+    }
+
+    console.log("\n=== Tag Backfill Complete ===");
+    console.log(`Total posts found: ${postIds.length}`);
+    console.log(`✅ Posts with tags: ${taggedCount}`);
+    console.log(`❌ Failed: ${failedCount}`);
+  } catch (error) {
+    console.error("Tag backfill failed:", error);
+    throw error;
+  }
+}
+
+// Run the backfill if this script is executed directly
+if (require.main === module) {
+  backfillPostTags()
+    .then(() => {
+      console.log("Tag backfill script completed");
+      process.exit(0);
+    })
+    .catch((error) => {
+      console.error("Tag backfill script failed:", error);
+      process.exit(1);
+    });
+}
+
+module.exports = backfillPostTags;
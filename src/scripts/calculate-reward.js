@@ -1,8 +1,21 @@
 const ccxt = require("ccxt");
 
+const SIGNAL_DIRECTIONS = ["long", "short"];
+
+// Constants of the original scoring algorithm ("v1")
+const V1_SCORING_PARAMS = {
+  rewardBase: 1,
+  timeCost: 0.99999999, // Decay per hour between the signal's start and a hit
+  targetCost: 0.99, // Decay per target index
+};
+
 /**
  * Fetch OHLCV data between two ISO8601 times.
  * Returns candles as arrays: [timestamp, open, high, low, close, volume]
+ * Candles come from the configured market data provider (ccxt or fixture
+ * files, see market-data.service). Candles already in the candle cache are
+ * served from Postgres; only missing ranges are fetched from the exchange
+ * (set CANDLE_CACHE_ENABLED=false to skip it).
  */
 async function getData(
   exchangeId,
@@ -11,59 +24,43 @@ async function getData(
   startTimeIso,
   endTimeIso
 ) {
+  const marketDataService = require("../services/market-data.service");
+  const provider = marketDataService.getProvider();
+  // Only network providers go through the (Postgres) candle cache
+  const candleCacheService = provider.cacheable
+    ? require("../services/candle-cache.service")
+    : null;
+
   // Allow a single exchange id or a prioritized list for fallback
   const exchangesToTry = Array.isArray(exchangeId) ? exchangeId : [exchangeId];
-
-  // Helper to build exchange instance with sane defaults
-  const build = (id) => {
-    const ExchangeClass = ccxt[id];
-    if (!ExchangeClass) return null;
-    const ex = new ExchangeClass({
-      enableRateLimit: true,
-      timeout: 30000,
-    });
-    try {
-      ex.options = { ...(ex.options || {}), defaultType: "spot" };
-    } catch (_) {}
-    return ex;
-  };
-
-  // Use first valid exchange to parse timestamps
-  let parser = null;
-  for (const id of exchangesToTry) {
-    parser = build(id);
-    if (parser) break;
+  if (!exchangesToTry.some((id) => provider.supportsExchange(id))) {
+    throw new Error(`Unsupported exchangeId(s): ${exchangesToTry}`);
   }
-  if (!parser) throw new Error(`Unsupported exchangeId(s): ${exchangesToTry}`);
 
-  const startMs = parser.parse8601(startTimeIso);
-  const endMs = parser.parse8601(endTimeIso);
+  const startMs = ccxt.parse8601(startTimeIso);
+  const endMs = ccxt.parse8601(endTimeIso);
   if (!Number.isFinite(startMs) || !Number.isFinite(endMs)) {
     throw new Error("Invalid startTime or endTime - must be ISO8601 strings");
   }
 
-  const tfMs =
-    parser.parseTimeframe && parser.parseTimeframe(timeframe)
-      ? parser.parseTimeframe(timeframe) * 1000
-      : 60_000;
+  const tfMs = ccxt.parseTimeframe(timeframe) * 1000 || 60_000;
 
   let lastError = null;
   for (const id of exchangesToTry) {
-    const ex = build(id);
-    if (!ex) continue;
-    let since = Math.floor(startMs / tfMs) * tfMs;
-    const all = [];
+    if (!provider.supportsExchange(id)) continue;
     try {
-      try {
-        await ex.loadMarkets();
-      } catch (_) {}
-      while (since < endMs) {
-        let batch = await ex.fetchOHLCV(market, timeframe, since, 1000);
-        if (!batch || batch.length === 0) break;
-        all.push(...batch);
-        const lastTs = batch[batch.length - 1][0];
-        since = lastTs === since ? since + 1 : lastTs + 1;
-      }
+      const all = candleCacheService?.enabled
+        ? await candleCacheService.getCandles({
+            exchange: id,
+            market,
+            timeframe,
+            timeframeMs: tfMs,
+            startMs,
+            endMs,
+            fetchRange: (fromMs, toMs) =>
+              provider.fetchRange(id, market, timeframe, fromMs, toMs),
+          })
+        : await provider.fetchRange(id, market, timeframe, startMs, endMs);
       if (all.length) {
         return { candles: all, startMs };
       }
@@ -79,15 +76,33 @@ async function getData(
 }
 
 /**
- * Calculate reward based on entry, stop loss, and targets.
+ * Calculate reward based on entry, stop loss, and targets, along with what
+ * produced it: when entry, stop and each target were hit, how far price moved
+ * for and against the trade, and the time decay applied.
  * Mirrors the original Python logic with safe time handling.
+ * Short trades are scored as the mirror image of long ones: entry, stop and
+ * targets are reached from the opposite side and price moves count inverted.
+ * `params` holds the strategy constants (rewardBase, timeCost, targetCost).
  */
-function rewarding(candles, entryPoint, stopLoss, targets, startMs) {
+function rewardingBreakdown(
+  candles,
+  entryPoint,
+  stopLoss,
+  targets,
+  startMs,
+  direction = "long",
+  params = V1_SCORING_PARAMS
+) {
   let exitedByStop = false;
   let exitTimeMs = null;
-  const rewardBase = 1;
-  const timeCost = 0.99999999;
-  const targetCost = 0.99;
+  const { rewardBase, timeCost, targetCost } = params;
+
+  const isShort = direction === "short";
+  // Relative price move from -> to, positive when it favors the trade
+  const gain = (from, to) => (isShort ? from - to : to - from) / from;
+  const reaches = (high, low, level) =>
+    isShort ? low <= level : high >= level;
+  const stopHit = (high, low) => (isShort ? high >= stopLoss : low <= stopLoss);
 
   // Normalize targets to a list of numbers and keep their original index
   const normalizedTargets = targets.map((t, idx) => ({
@@ -100,15 +115,47 @@ function rewarding(candles, entryPoint, stopLoss, targets, startMs) {
   const hoursBetween = (t1, t0) =>
     Math.abs(Number(t1) - Number(t0)) / 3_600_000;
 
+  let entryHitAt = null;
+  let maxFavorableExcursion = 0;
+  let maxAdverseExcursion = 0;
+
+  const summarize = (reward, exit, timeDecay = 1) => ({
+    reward,
+    exit, // "close_time" | "stop_loss" | "entry_not_reached" | "entry_not_held"
+    entryHit: entryHitAt !== null,
+    entryHitAt,
+    stoplossHit: exitedByStop,
+    stoplossHitAt: exitedByStop ? exitTimeMs : null,
+    maxFavorableExcursion,
+    maxAdverseExcursion,
+    timeDecay,
+    targets: normalizedTargets.map((t) => ({
+      index: t.index,
+      value: t.value,
+      touched: t.touched,
+      touchedAt: t.timestamp,
+    })),
+  });
+
   // Iterate candles until entry is reached
   for (const c of candles) {
     const ts = c[0];
     const high = c[2];
     const low = c[3];
 
-    if (high >= entryPoint) {
+    if (reaches(high, low, entryPoint)) {
+      if (entryHitAt === null) entryHitAt = ts;
+      maxFavorableExcursion = Math.max(
+        maxFavorableExcursion,
+        gain(entryPoint, isShort ? low : high)
+      );
+      maxAdverseExcursion = Math.min(
+        maxAdverseExcursion,
+        gain(entryPoint, isShort ? high : low)
+      );
+
       // Stop loss check
-      if (low <= stopLoss) {
+      if (stopHit(high, low)) {
         exitedByStop = true;
         exitTimeMs = ts;
         break;
@@ -116,14 +163,17 @@ function rewarding(candles, entryPoint, stopLoss, targets, startMs) {
 
       // Check targets
       for (const tgt of normalizedTargets) {
-        if (!tgt.touched && high >= tgt.value) {
+        if (!tgt.touched && reaches(high, low, tgt.value)) {
           tgt.touched = true;
           tgt.timestamp = ts;
         }
       }
     } else {
       // Original code returns 0 immediately if entry not touched on this bar
-      return 0;
+      return summarize(
+        0,
+        entryHitAt === null ? "entry_not_reached" : "entry_not_held"
+      );
     }
   }
 
@@ -135,12 +185,14 @@ function rewarding(candles, entryPoint, stopLoss, targets, startMs) {
 
   if (exitedByStop && !maxTouched) {
     const hours = hoursBetween(exitTimeMs, startMs);
-    const penalty = ((stopLoss - entryPoint) / entryPoint) * timeCost ** hours;
-    return -penalty * rewardBase;
+    const decay = timeCost ** hours;
+    // The move from entry to the stop is against the trade, so this is negative
+    const loss = gain(entryPoint, stopLoss) * decay;
+    return summarize(loss * rewardBase, "stop_loss", decay);
   }
 
   if (!maxTouched) {
-    return 0;
+    return summarize(0, "close_time");
   }
 
   const maxTargetValue = maxTouched.value;
@@ -148,7 +200,7 @@ function rewarding(candles, entryPoint, stopLoss, targets, startMs) {
   const maxHours = hoursBetween(maxTargetTime, startMs);
 
   const maxTouchedReward =
-    ((maxTargetValue - entryPoint) / entryPoint) *
+    gain(entryPoint, maxTargetValue) *
     timeCost ** maxHours *
     targetCost ** maxTouched.index;
 
@@ -159,7 +211,7 @@ function rewarding(candles, entryPoint, stopLoss, targets, startMs) {
     if (tgt.touched) {
       const hours = hoursBetween(tgt.timestamp, startMs);
       touchedSum +=
-        ((tgt.value - entryPoint) / entryPoint) *
+        gain(entryPoint, tgt.value) *
         timeCost ** hours *
         targetCost ** tgt.index;
       touchedCount += 1;
@@ -174,7 +226,7 @@ function rewarding(candles, entryPoint, stopLoss, targets, startMs) {
     if (!tgt.touched) {
       const hours = maxTargetTime ? hoursBetween(maxTargetTime, startMs) : 0;
       notTouchedSum -=
-        ((tgt.value - maxTargetValue) / maxTargetValue) *
+        gain(maxTargetValue, tgt.value) *
         timeCost ** hours *
         targetCost ** tgt.index;
       notTouchedCount += 1;
@@ -185,13 +237,98 @@ function rewarding(candles, entryPoint, stopLoss, targets, startMs) {
     : 0;
 
   const reward = maxTouchedReward + rewardPerTouched + rewardPerNotTouched;
-  return reward * rewardBase;
+  return summarize(
+    reward * rewardBase,
+    exitedByStop ? "stop_loss" : "close_time",
+    timeCost ** maxHours
+  );
 }
 
 /**
- * High-level function to fetch data and compute reward
+ * Calculate reward based on entry, stop loss, and targets.
+ * See rewardingBreakdown for the details behind the number.
  */
-async function calculateReward(params) {
+function rewarding(
+  candles,
+  entryPoint,
+  stopLoss,
+  targets,
+  startMs,
+  direction = "long"
+) {
+  return rewardingBreakdown(
+    candles,
+    entryPoint,
+    stopLoss,
+    targets,
+    startMs,
+    direction
+  ).reward;
+}
+
+/**
+ * Scoring strategies by version. Scores from different versions are not
+ * comparable, so every scored signal records the version that produced it.
+ * A strategy is `{ description, score(input) }` where input is
+ * `{ candles, entryPoint, stopLoss, targets, startMs, direction }` and score
+ * returns the same shape as rewardingBreakdown.
+ */
+const scoringStrategies = new Map();
+
+function registerScoringStrategy(version, strategy) {
+  if (!version || typeof strategy?.score !== "function") {
+    throw new Error("A scoring strategy needs a version and a score function");
+  }
+  if (scoringStrategies.has(version)) {
+    throw new Error(`Scoring strategy ${version} is already registered`);
+  }
+  scoringStrategies.set(version, { ...strategy, version });
+}
+
+// Version used for newly closed signals, configurable with SCORING_VERSION
+function getCurrentScoringVersion() {
+  return process.env.SCORING_VERSION || "v1";
+}
+
+function getScoringStrategy(version = getCurrentScoringVersion()) {
+  const strategy = scoringStrategies.get(version);
+  if (!strategy) {
+    throw new Error(
+      `Unknown scoring version "${version}" - available: ${Array.from(
+        scoringStrategies.keys()
+      ).join(", ")}`
+    );
+  }
+  return strategy;
+}
+
+function listScoringStrategies() {
+  return Array.from(scoringStrategies.values()).map(
+    ({ version, description, params }) => ({ version, description, params })
+  );
+}
+
+registerScoringStrategy("v1", {
+  description:
+    "Time-decayed gain of touched targets minus missed ones, or the decayed loss when stopped out",
+  params: V1_SCORING_PARAMS,
+  score: ({ candles, entryPoint, stopLoss, targets, startMs, direction }) =>
+    rewardingBreakdown(
+      candles,
+      entryPoint,
+      stopLoss,
+      targets,
+      startMs,
+      direction,
+      V1_SCORING_PARAMS
+    ),
+});
+
+/**
+ * High-level function to fetch data and compute reward with its breakdown
+ * under the given scoring version (the current one by default)
+ */
+async function calculateRewardBreakdown(params) {
   const {
     exchangeId = ["kucoin", "gateio", "mexc", "binance"],
     market,
@@ -201,6 +338,8 @@ async function calculateReward(params) {
     entryPoint,
     stopLoss,
     targets,
+    direction = "long",
+    scoringVersion = getCurrentScoringVersion(),
   } = params;
 
   if (!market) throw new Error("market is required (e.g., 'BTC/USDT')");
@@ -210,6 +349,11 @@ async function calculateReward(params) {
     throw new Error("entryPoint and stopLoss are required");
   if (!Array.isArray(targets) || targets.length === 0)
     throw new Error("targets must be a non-empty array of numbers");
+  if (!SIGNAL_DIRECTIONS.includes(direction))
+    throw new Error(
+      `direction must be one of: ${SIGNAL_DIRECTIONS.join(", ")}`
+    );
+  const strategy = getScoringStrategy(scoringVersion);
 
   const { candles, startMs } = await getData(
     exchangeId,
@@ -218,18 +362,43 @@ async function calculateReward(params) {
     startTime,
     endTime
   );
-  const reward = rewarding(
+  const breakdown = strategy.score({
     candles,
-    Number(entryPoint),
-    Number(stopLoss),
-    targets.map(Number),
-    startMs
-  );
+    entryPoint: Number(entryPoint),
+    stopLoss: Number(stopLoss),
+    targets: targets.map(Number),
+    startMs,
+    direction,
+  });
+  return {
+    ...breakdown,
+    scoringVersion: strategy.version,
+    direction,
+    timeframe,
+    startMs,
+    endMs: Date.parse(endTime),
+    candleCount: candles.length,
+  };
+}
+
+/**
+ * High-level function to fetch data and compute reward
+ */
+async function calculateReward(params) {
+  const { reward } = await calculateRewardBreakdown(params);
   return reward;
 }
 
 module.exports = {
+  SIGNAL_DIRECTIONS,
+  V1_SCORING_PARAMS,
   getData,
   rewarding,
+  rewardingBreakdown,
   calculateReward,
+  calculateRewardBreakdown,
+  registerScoringStrategy,
+  getCurrentScoringVersion,
+  getScoringStrategy,
+  listScoringStrategies,
 };
@@ -0,0 +1,84 @@
+const assert = require("assert");
+const fs = require("fs");
+const path = require("path");
+const marketDataService = require("../services/market-data.service");
+const { getData } = require("./calculate-reward");
+const useTestDatabase = require("./use-test-database");
+
+const FIXTURE_FILE = path.join(
+  __dirname,
+  "../../fixtures/candles/BTC-USDT_1m.json"
+);
+// A market no exchange lists, so real cached candles are never touched
+const EXCHANGE = "kucoin";
+const MARKET = "CHECK/USDT";
+const TIMEFRAME = "1m";
+
+/**
+ * Seed the candle fixture into the Postgres candle cache with seed-candles.js
+ * and read it back through getData with exchange access turned off, checking
+ * that seeded candles are enough to score offline. Needs TEST_DATABASE_URL;
+ * the seeded candles are removed again afterwards.
+ */
+async function checkCandleCache() {
+  useTestDatabase();
+  // Loaded only now, so they connect to the test database
+  const databaseService = require("../services/database.service");
+  const candleCacheService = require("../services/candle-cache.service");
+  const seedCandles = require("./seed-candles");
+
+  assert.ok(
+    candleCacheService.enabled,
+    "The candle cache is disabled (CANDLE_CACHE_ENABLED=false)"
+  );
+
+  const candles = JSON.parse(fs.readFileSync(FIXTURE_FILE, "utf8"));
+  const key = [EXCHANGE, MARKET, TIMEFRAME];
+
+  // Leftovers of an earlier run that did not finish
+  await databaseService.deleteCandles(...key);
+
+  try {
+    await seedCandles({
+      file: FIXTURE_FILE,
+      exchange: EXCHANGE,
+      market: MARKET,
+      timeframe: TIMEFRAME,
+    });
+
+    const provider = marketDataService.use("ccxt");
+    provider.fetchRange = async () => {
+      throw new Error("Exchange access is turned off for this check");
+    };
+
+    const { candles: cached } = await getData(
+      EXCHANGE,
+      MARKET,
+      TIMEFRAME,
+      new Date(candles[0][0]).toISOString(),
+      new Date(candles[candles.length - 1][0]).toISOString()
+    );
+    assert.deepStrictEqual(cached, candles);
+
+    const added = await candleCacheService.seedCandles(...key, 60_000, candles);
+    assert.strictEqual(added, 0, "Seeding the same candles twice added some");
+
+    console.log(
+      `✅ ${cached.length} seeded candles were served from the cache without exchange access`
+    );
+  } finally {
+    await databaseService.deleteCandles(...key);
+  }
+}
+
+// Run the check if this script is executed directly
+if (require.main === module) {
+  checkCandleCache()
+    .then(() => process.exit(0))
+    .catch((error) => {
+      console.error("❌ Candle cache check failed:", error.message);
+      process.exit(1);
+    });
+}
+
+module.exports = checkCandleCache;
@@ -0,0 +1,56 @@
+const assert = require("assert");
+const path = require("path");
+const marketDataService = require("../services/market-data.service");
+const { calculateRewardBreakdown } = require("./calculate-reward");
+
+const FIXTURE_DIR = path.join(__dirname, "../../fixtures/candles");
+
+// A long BTC/USDT signal over fixtures/candles/BTC-USDT_1m.json: the first two
+// targets are touched at 00:03 and 00:06, the third and the stop never are
+const SIGNAL = {
+  market: "BTC/USDT",
+  startTime: "2024-01-01T00:00:00.000Z",
+  endTime: "2024-01-01T00:09:00.000Z",
+  entryPoint: 42000,
+  stopLoss: 41500,
+  targets: [42300, 42600, 43000],
+  scoringVersion: "v1",
+};
+const EXPECTED_SCORE = 0.0155828973;
+
+/**
+ * Score a signal from the candle fixtures with the file market data provider,
+ * so the offline scoring path is checked without network or database.
+ */
+async function checkFixtureReplay() {
+  console.log(`Replaying candles from ${FIXTURE_DIR}...`);
+  marketDataService.use("file", { dir: FIXTURE_DIR });
+
+  const breakdown = await calculateRewardBreakdown(SIGNAL);
+
+  assert.strictEqual(breakdown.candleCount, 10);
+  assert.strictEqual(breakdown.exit, "close_time");
+  assert.strictEqual(breakdown.entryHitAt, Date.parse(SIGNAL.startTime));
+  assert.deepStrictEqual(
+    breakdown.targets.map((t) => t.touched),
+    [true, true, false]
+  );
+  assert.ok(
+    Math.abs(breakdown.reward - EXPECTED_SCORE) < 1e-9,
+    `Expected score ${EXPECTED_SCORE}, got ${breakdown.reward}`
+  );
+
+  console.log(`✅ Fixture replay scored ${breakdown.reward} as expected`);
+}
+
+// Run the check if this script is executed directly
+if (require.main === module) {
+  checkFixtureReplay()
+    .then(() => process.exit(0))
+    .catch((error) => {
+      console.error("❌ Fixture replay check failed:", error.message);
+      process.exit(1);
+    });
+}
+
+module.exports = checkFixtureReplay;
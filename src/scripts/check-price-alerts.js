@@ -0,0 +1,89 @@
+const assert = require("assert");
+const crypto = require("crypto");
+const priceFeedService = require("../services/price-feed.service");
+const useTestDatabase = require("./use-test-database");
+
+// A market no exchange lists, quoted by the fake price feed only
+const MARKET = "CHECK/USDT";
+const TARGET_PRICE = 70000;
+// Prices set between two polls; the spike to 70200 in the second poll
+// crosses the target even though the poll ends below it
+const POLLS = [[69000], [69800, 70200, 69900], [70500], [69500, 71000]];
+
+/**
+ * Drive a one-shot "above" alert across its target with the fake price feed
+ * and check it triggers, and notifies its user, exactly once. Needs
+ * TEST_DATABASE_URL; the alert belongs to a throwaway user that is deleted
+ * afterwards, and only that alert is checked.
+ */
+async function checkPriceAlerts() {
+  useTestDatabase();
+  // Loaded only now, so they connect to the test database
+  const databaseService = require("../services/database.service");
+  const priceAlertService = require("../services/price-alert.service");
+
+  const feed = priceFeedService.use("fake");
+
+  const username = `price_alert_check_${crypto.randomBytes(4).toString("hex")}`;
+  const user = await databaseService.createUser({
+    name: "Price alert check",
+    username,
+    email: `${username}@example.invalid`,
+    // Not a bcrypt hash, so nobody can sign in as this user
+    password: "!",
+  });
+
+  try {
+    const { alert: alertData } = priceAlertService.normalizeAlert({
+      marketName: MARKET,
+      condition: "above",
+      targetPrice: TARGET_PRICE,
+    });
+    const { id: alertId } = await databaseService.createPriceAlert(
+      user.id,
+      alertData
+    );
+
+    let now = Date.now();
+    let triggered = 0;
+    for (const prices of POLLS) {
+      for (const price of prices) feed.setPrice(MARKET, price);
+      now += priceAlertService.intervalMs;
+
+      // Like runOnce, only active alerts are checked
+      const alert = await databaseService.getPriceAlert(alertId);
+      if (alert.isActive) {
+        triggered += await priceAlertService.checkMarket(MARKET, [alert], now);
+      }
+    }
+
+    const alert = await databaseService.getPriceAlert(alertId);
+    const { notifications } = await databaseService.getNotifications(user.id);
+
+    assert.strictEqual(triggered, 1);
+    assert.strictEqual(alert.triggerCount, 1);
+    assert.strictEqual(alert.isActive, false);
+    assert.strictEqual(notifications.length, 1);
+    assert.strictEqual(notifications[0].type, "price_alert");
+    assert.strictEqual(notifications[0].data.alertId, alertId);
+    assert.strictEqual(notifications[0].data.price, 69900);
+
+    console.log(
+      `✅ Alert on ${MARKET} above ${TARGET_PRICE} triggered and notified once`
+    );
+  } finally {
+    await databaseService.deleteUser(username);
+  }
+}
+
+// Run the check if this script is executed directly
+if (require.main === module) {
+  checkPriceAlerts()
+    .then(() => process.exit(0))
+    .catch((error) => {
+      console.error("❌ Price alert check failed:", error.message);
+      process.exit(1);
+    });
+}
+
+module.exports = checkPriceAlerts;
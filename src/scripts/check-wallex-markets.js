@@ -0,0 +1,77 @@
+const assert = require("assert");
+const path = require("path");
+const wallexService = require("../services/wallex.service");
+
+const FIXTURE_FILE = path.join(__dirname, "../../fixtures/wallex/markets.json");
+
+/**
+ * Load Wallex markets from the recorded response in fixtures/wallex and check
+ * normalization, filtering, sorting and the single-market lookup, then that
+ * cached markets are served as stale once the source is gone. Needs neither
+ * network nor database.
+ */
+async function checkWallexMarkets() {
+  wallexService.file = FIXTURE_FILE;
+  wallexService.cache = null;
+
+  const { markets, stale } = await wallexService.getMarkets();
+  assert.strictEqual(stale, false);
+  assert.strictEqual(markets.length, 5);
+  // Sorted by volume, highest first, by default
+  assert.strictEqual(markets[0].id, "USDTTMN");
+
+  const { market } = await wallexService.getMarket("btc-usdt");
+  assert.deepStrictEqual(market, {
+    symbol: "BTC/USDT",
+    id: "BTCUSDT",
+    base: "BTC",
+    quote: "USDT",
+    baseName: "Bitcoin",
+    lastPrice: 67012.45,
+    change24h: 1.84,
+    volume: 12.53241,
+    quoteVolume: 839820.17,
+  });
+
+  const { markets: tomanMarkets } = await wallexService.getMarkets({
+    quote: "TMN",
+  });
+  assert.deepStrictEqual(
+    tomanMarkets.map((m) => m.id),
+    ["USDTTMN", "BTCTMN"]
+  );
+
+  const { markets: bitcoinMarkets } = await wallexService.getMarkets({
+    search: "BITCOIN",
+    sort: "lastPrice",
+    order: "asc",
+  });
+  assert.deepStrictEqual(
+    bitcoinMarkets.map((m) => m.id),
+    ["BTCUSDT", "BTCTMN"]
+  );
+
+  // Past the TTL and the stale window, with the source unavailable
+  wallexService.file = path.join(__dirname, "missing-markets.json");
+  wallexService.cache.fetchedAt -=
+    wallexService.ttlMs + wallexService.staleWhileRevalidateMs;
+  const cached = await wallexService.getMarkets();
+  assert.strictEqual(cached.stale, true);
+  assert.strictEqual(cached.markets.length, 5);
+
+  console.log(
+    `✅ ${markets.length} recorded Wallex markets were normalized and served offline`
+  );
+}
+
+// Run the check if this script is executed directly
+if (require.main === module) {
+  checkWallexMarkets()
+    .then(() => process.exit(0))
+    .catch((error) => {
+      console.error("❌ Wallex markets check failed:", error.message);
+      process.exit(1);
+    });
+}
+
+module.exports = checkWallexMarkets;
@@ -0,0 +1,113 @@
+const databaseService = require("../services/database.service");
+const signalLifecycleService = require("../services/signal-lifecycle.service");
+const {
+  getCurrentScoringVersion,
+  getScoringStrategy,
+} = require("./calculate-reward");
+
+// Parse --version=v2, --all and --dry-run from the command line
+function parseArgs(argv) {
+  const options = { version: getCurrentScoringVersion(), all: false };
+  for (const arg of argv) {
+    if (arg.startsWith("--version=")) {
+      options.version = arg.slice("--version=".length);
+    } else if (arg === "--all") {
+      options.all = true;
+    } else if (arg === "--dry-run") {
+      options.dryRun = true;
+    }
+  }
+  return options;
+}
+
+async function rescoreSignals({ version, all = false, dryRun = false } = {}) {
+  try {
+    const strategy = getScoringStrategy(version || getCurrentScoringVersion());
+    console.log(
+      `Starting signal rescoring with scoring ${strategy.version}: ${strategy.description}`
+    );
+
+    console.log(
+      "Closed signals per scoring version:",
+      await databaseService.countSignalsByScoringVersion()
+    );
+
+    const signalIds = await databaseService.getSignalIdsToRescore(
+      strategy.version,
+      all
+    );
+    console.log(`Found ${signalIds.length} signals to rescore`);
+
+    if (signalIds.length === 0) {
+      console.log(
+        `All closed signals are already scored by ${strategy.version}`
+      );
+      return;
+    }
+
+    if (dryRun) {
+      console.log("Dry run: no signals were changed");
+      return;
+    }
+
+    let rescoredCount = 0;
+    let unchangedCount = 0;
+    let failedCount = 0;
+
+    for (const signalId of signalIds) {
+      try {
+        const signal = await databaseService.getSignal(signalId);
+        if (!signal) continue;
+
+        const { score, previousScore, changed } =
+          await signalLifecycleService.scoreSignal(signal, strategy.version);
+
+        // Move the publisher's score by the difference only, so adjustments
+        // made outside of signal scoring are kept
+        await databaseService.creditSignalScore(signalId, score);
+
+        if (changed) {
+          console.log(
+            `✅ Rescored signal ${signalId}: ${previousScore} -> ${score}`
+          );
+          rescoredCount++;
+        } else {
+          unchangedCount++;
+        }
+      } catch (error) {
+        console.error(`❌ Error rescoring signal ${signalId}:`, error.message);
+        failedCount++;
+      }
+    }
+
+    console.log("\n=== Rescoring Complete ===");
+    console.log(`Total signals found: ${signalIds.length}`);
+    console.log(`✅ Score changed: ${rescoredCount}`);
+    console.log(`⏭️  Same score: ${unchangedCount}`);
+    console.log(`❌ Failed: ${failedCount}`);
+
+    if (failedCount > 0) {
+      console.log(
+        "\n⚠️  Some signals are still on another scoring version. Run this script again to retry them."
+      );
+    }
+  } catch (error) {
+    console.error("Rescoring failed:", error);
+    throw error;
+  }
+}
+
+// Run the rescoring if this script is executed directly
+if (require.main === module) {
+  rescoreSignals(parseArgs(process.argv.slice(2)))
+    .then(() => {
+      console.log("Rescoring script completed");
+      process.exit(0);
+    })
+    .catch((error) => {
+      console.error("Rescoring script failed:", error);
+      process.exit(1);
+    });
+}
+
+module.exports = rescoreSignals;
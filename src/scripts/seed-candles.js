@@ -0,0 +1,69 @@
+const fs = require("fs");
+const path = require("path");
+const ccxt = require("ccxt");
+const candleCacheService = require("../services/candle-cache.service");
+
+// Parse the candles file and --exchange=, --market=, --timeframe= from the command line
+function parseArgs(argv) {
+  const options = { exchange: "kucoin", timeframe: "1m" };
+  for (const arg of argv) {
+    if (arg.startsWith("--exchange=")) {
+      options.exchange = arg.slice("--exchange=".length);
+    } else if (arg.startsWith("--market=")) {
+      options.market = arg.slice("--market=".length);
+    } else if (arg.startsWith("--timeframe=")) {
+      options.timeframe = arg.slice("--timeframe=".length);
+    } else {
+      options.file = arg;
+    }
+  }
+  return options;
+}
+
+/**
+ * Load candles from a JSON file of [timestamp, open, high, low, close, volume]
+ * arrays into the candle cache, so signals can be scored without exchange access.
+ */
+async function seedCandles({ file, exchange, market, timeframe }) {
+  if (!file || !market) {
+    throw new Error(
+      "Usage: node src/scripts/seed-candles.js <candles.json> --market=BTC/USDT [--exchange=kucoin] [--timeframe=1m]"
+    );
+  }
+
+  const candles = JSON.parse(fs.readFileSync(path.resolve(file), "utf8"));
+  if (!Array.isArray(candles) || candles.some((c) => !Array.isArray(c))) {
+    throw new Error("Candles file must contain an array of OHLCV arrays");
+  }
+
+  const timeframeMs = ccxt.parseTimeframe(timeframe) * 1000;
+
+  console.log(
+    `Seeding ${candles.length} ${timeframe} candles for ${market} on ${exchange}...`
+  );
+  const count = await candleCacheService.seedCandles(
+    exchange,
+    market,
+    timeframe,
+    timeframeMs,
+    candles
+  );
+  console.log(
+    `✅ Added ${count} candles (${candles.length - count} already cached)`
+  );
+}
+
+// Run the seeding if this script is executed directly
+if (require.main === module) {
+  seedCandles(parseArgs(process.argv.slice(2)))
+    .then(() => {
+      console.log("Seeding script completed");
+      process.exit(0);
+    })
+    .catch((error) => {
+      console.error("Seeding script failed:", error);
+      process.exit(1);
+    });
+}
+
+module.exports = seedCandles;
@@ -0,0 +1,22 @@
+/**
+ * Point Prisma at TEST_DATABASE_URL for checks that write rows of their own,
+ * so they never run against the DATABASE_URL database. Call it before
+ * database.service is loaded, since that connects as soon as it is required.
+ * @throws {Error} when no separate test database is configured
+ */
+function useTestDatabase() {
+  const url = process.env.TEST_DATABASE_URL;
+  if (!url) {
+    throw new Error(
+      "TEST_DATABASE_URL is not set - this check writes to the database and only runs against a test database"
+    );
+  }
+  if (url === process.env.DATABASE_URL) {
+    throw new Error(
+      "TEST_DATABASE_URL must point to a different database than DATABASE_URL"
+    );
+  }
+  process.env.DATABASE_URL = url;
+}
+
+module.exports = useTestDatabase;
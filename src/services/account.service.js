@@ -0,0 +1,205 @@
+const bcrypt = require("bcrypt");
+const crypto = require("crypto");
+const databaseService = require("./database.service");
+const sessionService = require("./session.service");
+const mailService = require("./mail.service");
+
+const PASSWORD_RESET = "password_reset";
+const EMAIL_VERIFICATION = "email_verification";
+
+const DEFAULT_PASSWORD_RESET_TTL_MS = 60 * 60 * 1000;
+const DEFAULT_EMAIL_VERIFICATION_TTL_MS = 24 * 60 * 60 * 1000;
+const DEFAULT_APP_URL = "https://signalisttech.com";
+const MIN_PASSWORD_LENGTH = 8;
+const MAX_PASSWORD_LENGTH = 72; // bcrypt ignores anything longer
+
+/**
+ * Password resets, password changes and email verification.
+ *
+ * Reset and verification links carry a random token, of which only a SHA-256
+ * hash is stored. Tokens expire, work once, and issuing a new one invalidates
+ * the user's earlier tokens of the same kind. Changing or resetting a password
+ * signs the user out everywhere else.
+ */
+class AccountService {
+  constructor() {
+    this.passwordResetTtlMs =
+      parseInt(process.env.PASSWORD_RESET_TTL_MS) ||
+      DEFAULT_PASSWORD_RESET_TTL_MS;
+    this.emailVerificationTtlMs =
+      parseInt(process.env.EMAIL_VERIFICATION_TTL_MS) ||
+      DEFAULT_EMAIL_VERIFICATION_TTL_MS;
+    this.appUrl = (process.env.APP_URL || DEFAULT_APP_URL).replace(/\/$/, "");
+  }
+
+  // @returns {string|null} why the password is not acceptable
+  validatePassword(password) {
+    if (typeof password !== "string") return "password is required";
+    if (password.length < MIN_PASSWORD_LENGTH) {
+      return `password must be at least ${MIN_PASSWORD_LENGTH} characters`;
+    }
+    if (password.length > MAX_PASSWORD_LENGTH) {
+      return `password must be at most ${MAX_PASSWORD_LENGTH} characters`;
+    }
+    return null;
+  }
+
+  async hashPassword(password) {
+    const salt = await bcrypt.genSalt(10);
+    return bcrypt.hash(password, salt);
+  }
+
+  // Store a new token for the user's current email and return it unhashed
+  async issueToken(user, type, ttlMs, now) {
+    const token = crypto.randomBytes(32).toString("base64url");
+    await databaseService.createUserToken(
+      user.id,
+      {
+        type,
+        tokenHash: sessionService.hashToken(token),
+        email: user.email,
+        expiresAt: now + ttlMs,
+      },
+      now
+    );
+    return token;
+  }
+
+  async sendVerificationEmail(user, now = Date.now()) {
+    const token = await this.issueToken(
+      user,
+      EMAIL_VERIFICATION,
+      this.emailVerificationTtlMs,
+      now
+    );
+    const link = `${this.appUrl}/verify-email?token=${token}`;
+    const hours = Math.round(this.emailVerificationTtlMs / (60 * 60 * 1000));
+
+    await mailService.send({
+      to: user.email,
+      subject: "Verify your Signalist email",
+      text: `Hi ${user.username},\n\nConfirm this is your email address by opening the link below:\n\n${link}\n\nThe link expires in ${hours} hours.`,
+      html: `<p>Hi ${user.username},</p><p>Confirm this is your email address by opening the link below:</p><p><a href="${link}">Verify email</a></p><p>The link expires in ${hours} hours.</p>`,
+    });
+  }
+
+  /**
+   * Email a reset link if an account uses this address. Resolves the same way
+   * either way, so the response does not reveal which emails are registered.
+   */
+  async requestPasswordReset(email, now = Date.now()) {
+    const user = await databaseService.getUserByEmail(String(email));
+    if (!user) return;
+
+    const token = await this.issueToken(
+      user,
+      PASSWORD_RESET,
+      this.passwordResetTtlMs,
+      now
+    );
+    const link = `${this.appUrl}/reset-password?token=${token}`;
+    const minutes = Math.round(this.passwordResetTtlMs / (60 * 1000));
+
+    await mailService.send({
+      to: user.email,
+      subject: "Reset your Signalist password",
+      text: `Hi ${user.username},\n\nSomeone asked to reset your password. If it was you, choose a new one here:\n\n${link}\n\nThe link expires in ${minutes} minutes. If you did not ask for this, you can ignore this email.`,
+      html: `<p>Hi ${user.username},</p><p>Someone asked to reset your password. If it was you, choose a new one here:</p><p><a href="${link}">Reset password</a></p><p>The link expires in ${minutes} minutes. If you did not ask for this, you can ignore this email.</p>`,
+    });
+  }
+
+  /**
+   * Set a new password with a reset token and sign out every session.
+   * @returns {Promise<{error: string|null, status: number}>}
+   */
+  async resetPassword(token, password, now = Date.now()) {
+    const fail = (error, status = 400) => ({ error, status });
+
+    if (!token) return fail("token is required");
+    const passwordError = this.validatePassword(password);
+    if (passwordError) return fail(passwordError);
+
+    const used = await databaseService.consumeUserToken(
+      sessionService.hashToken(String(token)),
+      PASSWORD_RESET,
+      now
+    );
+    // A link sent before the email changed must not work for the new address
+    if (!used || used.email !== used.user.email) {
+      return fail("Invalid or expired reset token");
+    }
+
+    await databaseService.setUserPassword(
+      used.userId,
+      await this.hashPassword(password)
+    );
+    await sessionService.revokeAll(used.userId, null, now);
+
+    return { error: null, status: 200 };
+  }
+
+  /**
+   * Change the signed-in user's password and sign out their other sessions.
+   * @returns {Promise<{error: string|null, status: number}>}
+   */
+  async changePassword(
+    username,
+    sessionId,
+    currentPassword,
+    newPassword,
+    now = Date.now()
+  ) {
+    const fail = (error, status = 400) => ({ error, status });
+
+    if (!currentPassword) return fail("currentPassword is required");
+    const passwordError = this.validatePassword(newPassword);
+    if (passwordError) return fail(passwordError);
+
+    const user = await databaseService.getUser(username);
+    if (!user) return fail("User not found", 404);
+
+    const isMatch = await bcrypt.compare(
+      String(currentPassword),
+      user.password
+    );
+    if (!isMatch) return fail("Current password is incorrect");
+
+    await databaseService.setUserPassword(
+      user.id,
+      await this.hashPassword(newPassword)
+    );
+    await sessionService.revokeAll(user.id, sessionId, now);
+
+    return { error: null, status: 200 };
+  }
+
+  /**
+   * Mark the email a verification token was sent to as verified.
+   * @returns {Promise<{error: string|null, status: number}>}
+   */
+  async verifyEmail(token, now = Date.now()) {
+    const fail = (error, status = 400) => ({ error, status });
+    if (!token) return fail("token is required");
+
+    const used = await databaseService.consumeUserToken(
+      sessionService.hashToken(String(token)),
+      EMAIL_VERIFICATION,
+      now
+    );
+    if (!used) return fail("Invalid or expired verification token");
+
+    const verified = await databaseService.markEmailVerified(
+      used.userId,
+      used.email
+    );
+    if (!verified) {
+      return fail("The email address has changed since this link was sent");
+    }
+
+    return { error: null, status: 200 };
+  }
+}
+
+// Create and export a singleton instance
+const accountService = new AccountService();
+module.exports = accountService;
@@ -0,0 +1,235 @@
+const crypto = require("crypto");
+const databaseService = require("./database.service");
+
+const KEY_PREFIX = "sgl_";
+const DISPLAY_PREFIX_LENGTH = 12;
+const SCOPES = ["read", "signals:publish", "posts:publish"];
+const SAFE_METHODS = ["GET", "HEAD", "OPTIONS"];
+const MAX_ACTIVE_KEYS = 10;
+const MAX_NAME_LENGTH = 100;
+
+const DEFAULT_RATE_LIMIT = 60;
+const DEFAULT_RATE_LIMIT_WINDOW_MS = 60_000;
+// lastUsedAt is only written when it is older than this, not on every request
+const LAST_USED_PRECISION_MS = 60_000;
+
+/**
+ * Personal API keys, for bots that cannot hold a session cookie.
+ *
+ * A key is shown once when it is created; only a SHA-256 hash is stored. Keys
+ * are sent as `Authorization: Bearer sgl_...` and act as their user, limited to
+ * their scopes: "read" for GET requests, and on the routes that opt in with
+ * allowApiKey, the scope those routes name. Every other request made with a
+ * key is refused. Each key may make API_KEY_RATE_LIMIT requests per
+ * API_KEY_RATE_LIMIT_WINDOW_MS; the counters live in memory.
+ */
+class ApiKeyService {
+  constructor() {
+    this.rateLimit =
+      parseInt(process.env.API_KEY_RATE_LIMIT) || DEFAULT_RATE_LIMIT;
+    this.rateLimitWindowMs =
+      parseInt(process.env.API_KEY_RATE_LIMIT_WINDOW_MS) ||
+      DEFAULT_RATE_LIMIT_WINDOW_MS;
+    // key id -> { startedAt, count }
+    this.windows = new Map();
+  }
+
+  hashKey(key) {
+    return crypto.createHash("sha256").update(key).digest("hex");
+  }
+
+  generateKey() {
+    return `${KEY_PREFIX}${crypto.randomBytes(32).toString("base64url")}`;
+  }
+
+  // The key in an "Authorization: Bearer sgl_..." header, null if there is none
+  getKeyFromRequest(req) {
+    const header = req.headers.authorization;
+    if (!header) return null;
+    const [type, key] = String(header).trim().split(/\s+/);
+    if (!/^bearer$/i.test(type) || !key || !key.startsWith(KEY_PREFIX)) {
+      return null;
+    }
+    return key;
+  }
+
+  // The scope a request made with a key needs, null if keys may not make it
+  requiredScope(req) {
+    if (req.apiKeyScope) return req.apiKeyScope;
+    return SAFE_METHODS.includes(req.method) ? "read" : null;
+  }
+
+  /**
+   * Validate a new key's name and scopes.
+   * @returns {{key: Object|null, error: string|null}}
+   */
+  normalizeKey(input = {}) {
+    const fail = (error) => ({ key: null, error });
+
+    const name = typeof input.name === "string" ? input.name.trim() : "";
+    if (!name) return fail("name is required");
+    if (name.length > MAX_NAME_LENGTH) {
+      return fail(`name must be at most ${MAX_NAME_LENGTH} characters`);
+    }
+
+    if (!Array.isArray(input.scopes) || input.scopes.length === 0) {
+      return fail(`scopes must be a list of: ${SCOPES.join(", ")}`);
+    }
+    const unknown = input.scopes.filter((scope) => !SCOPES.includes(scope));
+    if (unknown.length > 0) {
+      return fail(
+        `Unknown scopes: ${unknown.join(", ")} - use: ${SCOPES.join(", ")}`
+      );
+    }
+
+    return {
+      key: { name, scopes: Array.from(new Set(input.scopes)) },
+      error: null,
+    };
+  }
+
+  /**
+   * Create a key. The returned `key` is the only time it can be seen.
+   * @returns {Promise<{apiKey: Object|null, key: string|null, error: string|null, status: number}>}
+   */
+  async createKey(userId, input) {
+    const fail = (error, status = 400) => ({
+      apiKey: null,
+      key: null,
+      error,
+      status,
+    });
+
+    const { key: keyData, error } = this.normalizeKey(input);
+    if (error) return fail(error);
+
+    const activeKeys = await databaseService.countActiveApiKeys(userId);
+    if (activeKeys >= MAX_ACTIVE_KEYS) {
+      return fail(
+        `You can have at most ${MAX_ACTIVE_KEYS} API keys, revoke one first`,
+        409
+      );
+    }
+
+    const key = this.generateKey();
+    const apiKey = await databaseService.createApiKey(userId, {
+      ...keyData,
+      prefix: key.slice(0, DISPLAY_PREFIX_LENGTH),
+      keyHash: this.hashKey(key),
+    });
+
+    return {
+      apiKey: this.toPublicKey(apiKey),
+      key,
+      error: null,
+      status: 201,
+    };
+  }
+
+  async listKeys(userId) {
+    const keys = await databaseService.getActiveApiKeys(userId);
+    return keys.map((apiKey) => this.toPublicKey(apiKey));
+  }
+
+  async revokeKey(userId, keyId, now = Date.now()) {
+    return databaseService.revokeApiKey(userId, keyId, now);
+  }
+
+  toPublicKey({ keyHash, userId, user, ...apiKey }) {
+    return apiKey;
+  }
+
+  /**
+   * Check a key and whether it may make this request, and count the request.
+   * @param {string} key
+   * @param {string|null} scope - from requiredScope
+   * @returns {Promise<{payload: Object|null, error: string|null, status: number, rateLimit: Object|null}>}
+   *   payload is { id: username, apiKeyId, scopes }, like the decoded access
+   *   token the auth middleware puts on req.user
+   */
+  async authenticate(key, scope, now = Date.now()) {
+    const fail = (error, status = 401, rateLimit = null) => ({
+      payload: null,
+      error,
+      status,
+      rateLimit,
+    });
+
+    const apiKey = await databaseService.getApiKeyByHash(this.hashKey(key));
+    if (!apiKey || apiKey.revokedAt !== null) {
+      return fail("Invalid API key");
+    }
+    if (!scope) {
+      return fail("API keys cannot be used for this request", 403);
+    }
+    if (!apiKey.scopes.includes(scope)) {
+      return fail(`This API key does not have the ${scope} scope`, 403);
+    }
+
+    const rateLimit = this.consumeRateLimit(apiKey.id, now);
+    if (rateLimit.remaining < 0) {
+      return fail("API key rate limit exceeded", 429, {
+        ...rateLimit,
+        remaining: 0,
+      });
+    }
+
+    if (
+      apiKey.lastUsedAt === null ||
+      now - Number(apiKey.lastUsedAt) >= LAST_USED_PRECISION_MS
+    ) {
+      await databaseService.touchApiKey(apiKey.id, now);
+    }
+
+    return {
+      payload: {
+        id: apiKey.user.username,
+        apiKeyId: apiKey.id,
+        scopes: apiKey.scopes,
+      },
+      error: null,
+      status: 200,
+      rateLimit,
+    };
+  }
+
+  /**
+   * Count a request against a key's fixed rate limit window.
+   * @returns {{limit: number, remaining: number, resetAt: number}}
+   *   remaining is negative once the limit is exceeded
+   */
+  consumeRateLimit(keyId, now = Date.now()) {
+    let window = this.windows.get(keyId);
+    if (!window || now - window.startedAt >= this.rateLimitWindowMs) {
+      this.pruneWindows(now);
+      window = { startedAt: now, count: 0 };
+      this.windows.set(keyId, window);
+    }
+
+    window.count += 1;
+    return {
+      limit: this.rateLimit,
+      remaining: this.rateLimit - window.count,
+      resetAt: window.startedAt + this.rateLimitWindowMs,
+    };
+  }
+
+  pruneWindows(now) {
+    for (const [keyId, window] of this.windows) {
+      if (now - window.startedAt >= this.rateLimitWindowMs) {
+        this.windows.delete(keyId);
+      }
+    }
+  }
+
+  // Rate limit headers for a response to a request made with a key
+  setRateLimitHeaders(res, { limit, remaining, resetAt }) {
+    res.set("X-RateLimit-Limit", String(limit));
+    res.set("X-RateLimit-Remaining", String(Math.max(remaining, 0)));
+    res.set("X-RateLimit-Reset", String(Math.ceil(resetAt / 1000)));
+  }
+}
+
+// Create and export a singleton instance
+const apiKeyService = new ApiKeyService();
+module.exports = apiKeyService;
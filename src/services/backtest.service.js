@@ -0,0 +1,365 @@
+const databaseService = require("./database.service");
+
+// Exchanges tried in order when fetching candles, same as live scoring
+const BACKTEST_EXCHANGES = ["kucoin", "gateio", "mexc", "binance"];
+
+const DEFAULT_RULES = {
+  direction: "long",
+  entryOffsetPct: 0, // Entry this % below the signal candle's close (above for shorts)
+  stopLossPct: 2, // Stop this % away from entry, which is the trade's risk (1R)
+  targetMultiples: [1, 2, 3], // Targets at these multiples of the risk
+  holdCandles: 240, // How many candles each simulated signal stays open
+  everyCandles: null, // Candles between two signals, defaults to holdCandles
+};
+
+const MAX_CANDLES = parseInt(process.env.BACKTEST_MAX_CANDLES) || 100_000;
+const MAX_TRADES = parseInt(process.env.BACKTEST_MAX_TRADES) || 5000;
+const DISTRIBUTION_BUCKETS = 10;
+
+/**
+ * Runs signal rule sets over a market's history. Jobs are stored in Postgres
+ * and processed one at a time in the background; each simulated signal is
+ * scored with the same scoring strategy as real ones.
+ */
+class BacktestService {
+  constructor() {
+    this.isRunning = false;
+    this.started = false;
+  }
+
+  // Pick up jobs queued or interrupted before the last restart
+  async start() {
+    if (this.started) return;
+    this.started = true;
+
+    try {
+      const requeued = await databaseService.requeueRunningBacktestJobs();
+      if (requeued > 0) {
+        console.log(`🧪 Requeued ${requeued} interrupted backtest jobs`);
+      }
+    } catch (error) {
+      console.error("Error requeueing backtest jobs:", error);
+    }
+    this.processQueue();
+  }
+
+  /**
+   * Validate a backtest request and fill in defaults.
+   * @returns {{params: Object|null, error: string|null}}
+   */
+  normalizeParams(body = {}) {
+    const { parseTimeframe, parse8601 } = require("ccxt");
+    const {
+      SIGNAL_DIRECTIONS,
+      getCurrentScoringVersion,
+      listScoringStrategies,
+    } = require("../scripts/calculate-reward");
+
+    const fail = (error) => ({ params: null, error });
+
+    const { market, startTime, endTime, timeframe = "1m" } = body;
+    if (!market) return fail("market is required (e.g., 'BTC/USDT')");
+
+    const startMs = parse8601(startTime);
+    const endMs = parse8601(endTime);
+    if (!Number.isFinite(startMs) || !Number.isFinite(endMs)) {
+      return fail("startTime and endTime are required (ISO8601)");
+    }
+    if (endMs <= startMs) return fail("endTime must be after startTime");
+    if (endMs > Date.now()) return fail("endTime cannot be in the future");
+
+    const timeframeMs = parseTimeframe(timeframe) * 1000;
+    if (!Number.isFinite(timeframeMs) || timeframeMs <= 0) {
+      return fail(`Unsupported timeframe: ${timeframe}`);
+    }
+
+    const rules = { ...DEFAULT_RULES, ...(body.rules || {}) };
+    rules.everyCandles = rules.everyCandles ?? rules.holdCandles;
+
+    if (!SIGNAL_DIRECTIONS.includes(rules.direction)) {
+      return fail(`direction must be one of: ${SIGNAL_DIRECTIONS.join(", ")}`);
+    }
+    if (!Number.isFinite(rules.entryOffsetPct) || rules.entryOffsetPct < 0) {
+      return fail("entryOffsetPct must be a number >= 0");
+    }
+    if (
+      !Number.isFinite(rules.stopLossPct) ||
+      rules.stopLossPct <= 0 ||
+      rules.stopLossPct >= 100
+    ) {
+      return fail("stopLossPct must be a number between 0 and 100");
+    }
+    if (
+      !Array.isArray(rules.targetMultiples) ||
+      rules.targetMultiples.length === 0 ||
+      rules.targetMultiples.some(
+        (r, i, all) => !(r > 0) || (i && r <= all[i - 1])
+      )
+    ) {
+      return fail("targetMultiples must be increasing positive numbers");
+    }
+    for (const key of ["holdCandles", "everyCandles"]) {
+      if (!Number.isInteger(rules[key]) || rules[key] <= 0) {
+        return fail(`${key} must be a positive integer`);
+      }
+    }
+    // Short targets below zero can never be reached
+    const furthestTargetPct = rules.stopLossPct * rules.targetMultiples.at(-1);
+    if (rules.direction === "short" && furthestTargetPct >= 100) {
+      return fail("Short targets must stay above zero");
+    }
+
+    const candleCount = (endMs - startMs) / timeframeMs + rules.holdCandles;
+    if (candleCount > MAX_CANDLES) {
+      return fail(
+        `Range too large: at most ${MAX_CANDLES} ${timeframe} candles per backtest`
+      );
+    }
+    if ((endMs - startMs) / timeframeMs / rules.everyCandles > MAX_TRADES) {
+      return fail(
+        `Too many signals: at most ${MAX_TRADES} per backtest, increase everyCandles`
+      );
+    }
+
+    const scoringVersion = body.scoringVersion || getCurrentScoringVersion();
+    if (!listScoringStrategies().some((s) => s.version === scoringVersion)) {
+      return fail(`Unknown scoring version: ${scoringVersion}`);
+    }
+
+    // A single exchange or a prioritized list, of those signals are scored with
+    const exchangeId = body.exchangeId || BACKTEST_EXCHANGES;
+    const exchangeIds = Array.isArray(exchangeId) ? exchangeId : [exchangeId];
+    if (
+      exchangeIds.length === 0 ||
+      exchangeIds.some((id) => !BACKTEST_EXCHANGES.includes(id))
+    ) {
+      return fail(
+        `exchangeId must be one of: ${BACKTEST_EXCHANGES.join(", ")}`
+      );
+    }
+
+    return {
+      params: {
+        market,
+        exchangeId,
+        timeframe,
+        startTime: new Date(startMs).toISOString(),
+        endTime: new Date(endMs).toISOString(),
+        scoringVersion,
+        rules,
+      },
+      error: null,
+    };
+  }
+
+  async createJob(username, params) {
+    const job = await databaseService.createBacktestJob(username, params);
+    this.processQueue();
+    return job;
+  }
+
+  // Run queued jobs one after another until none are left
+  async processQueue() {
+    if (this.isRunning) return;
+    this.isRunning = true;
+
+    try {
+      let jobIds = await databaseService.getQueuedBacktestJobIds();
+      while (jobIds.length > 0) {
+        for (const jobId of jobIds) {
+          await this.runJob(jobId);
+        }
+        jobIds = await databaseService.getQueuedBacktestJobIds();
+      }
+    } catch (error) {
+      console.error("Backtest queue failed:", error);
+    } finally {
+      this.isRunning = false;
+    }
+  }
+
+  async runJob(jobId) {
+    const claimed = await databaseService.claimBacktestJob(jobId);
+    if (!claimed) return;
+
+    try {
+      const job = await databaseService.getBacktestJob(jobId);
+      const {
+        getData,
+        getScoringStrategy,
+      } = require("../scripts/calculate-reward");
+      const { parseTimeframe } = require("ccxt");
+      const { market, exchangeId, timeframe, startTime, endTime, rules } =
+        job.params;
+
+      const timeframeMs = parseTimeframe(timeframe) * 1000;
+      const startMs = Date.parse(startTime);
+      const endMs = Date.parse(endTime);
+
+      // Signals near the end still need their holding period after endTime
+      const { candles } = await getData(
+        exchangeId,
+        market,
+        timeframe,
+        startTime,
+        new Date(
+          Math.min(endMs + rules.holdCandles * timeframeMs, Date.now())
+        ).toISOString()
+      );
+      await databaseService.updateBacktestJob(jobId, { progress: 0.5 });
+
+      const trades = await this.simulate(
+        candles,
+        rules,
+        getScoringStrategy(job.params.scoringVersion),
+        startMs,
+        endMs
+      );
+
+      await databaseService.updateBacktestJob(jobId, {
+        status: "completed",
+        progress: 1,
+        result: { ...this.summarize(trades), trades },
+        finishedAt: Date.now(),
+      });
+    } catch (error) {
+      console.error(`Backtest job ${jobId} failed:`, error);
+      await databaseService
+        .updateBacktestJob(jobId, {
+          status: "failed",
+          error: error.message,
+          finishedAt: Date.now(),
+        })
+        .catch(() => {});
+    }
+  }
+
+  /**
+   * Open a simulated signal on every `everyCandles`-th candle in [startMs, endMs]
+   * and score it over the following `holdCandles` candles.
+   * @returns {Promise<Array>} One entry per simulated signal
+   */
+  async simulate(candles, rules, strategy, startMs, endMs) {
+    const isShort = rules.direction === "short";
+    const trades = [];
+
+    const firstIndex = candles.findIndex((c) => c[0] >= startMs);
+    if (firstIndex === -1) return trades;
+
+    for (let i = firstIndex; i < candles.length; i += rules.everyCandles) {
+      const [signalAt, , , , close] = candles[i];
+      if (signalAt > endMs) break;
+
+      // The signal is published at the candle's close, so it trades from the next one
+      const window = candles.slice(i + 1, i + 1 + rules.holdCandles);
+      if (window.length < rules.holdCandles) break;
+
+      const side = isShort ? -1 : 1;
+      const entry = close * (1 - (side * rules.entryOffsetPct) / 100);
+      const risk = (entry * rules.stopLossPct) / 100;
+      const stopLoss = entry - side * risk;
+      const targets = rules.targetMultiples.map((r) => entry + side * r * risk);
+
+      const breakdown = strategy.score({
+        candles: window,
+        entryPoint: entry,
+        stopLoss,
+        targets,
+        startMs: window[0][0],
+        direction: rules.direction,
+      });
+
+      trades.push({
+        openTime: window[0][0],
+        closeTime: window[window.length - 1][0],
+        entry,
+        stopLoss,
+        targets,
+        reward: breakdown.reward,
+        exit: breakdown.exit,
+        entryHit: breakdown.entryHit,
+        targetsHit: breakdown.targets.filter((t) => t.touched).length,
+      });
+
+      // Let other requests run during long simulations
+      if (trades.length % 200 === 0) {
+        await new Promise((resolve) => setImmediate(resolve));
+      }
+    }
+
+    return trades;
+  }
+
+  // Win rate, average reward, drawdown and outcome distribution of simulated trades
+  summarize(trades) {
+    const rewards = trades.map((t) => t.reward);
+    const entered = trades.filter((t) => t.entryHit);
+    // Won once a target is reached, lost when stopped out before any
+    const wins = entered.filter((t) => t.targetsHit > 0).length;
+    const losses = entered.filter(
+      (t) => t.exit === "stop_loss" && t.targetsHit === 0
+    ).length;
+    const sum = (values) => values.reduce((acc, v) => acc + v, 0);
+
+    // Largest drop of the cumulative reward from its previous peak
+    let equity = 0;
+    let peak = 0;
+    let maxDrawdown = 0;
+    for (const reward of rewards) {
+      equity += reward;
+      peak = Math.max(peak, equity);
+      maxDrawdown = Math.max(maxDrawdown, peak - equity);
+    }
+
+    const exits = {};
+    const targetsHit = {};
+    for (const trade of trades) {
+      exits[trade.exit] = (exits[trade.exit] || 0) + 1;
+      targetsHit[trade.targetsHit] = (targetsHit[trade.targetsHit] || 0) + 1;
+    }
+
+    return {
+      totalTrades: trades.length,
+      enteredTrades: entered.length,
+      wins,
+      losses,
+      winRate: entered.length ? wins / entered.length : 0,
+      averageReward: trades.length ? sum(rewards) / trades.length : 0,
+      averageEnteredReward: entered.length
+        ? sum(entered.map((t) => t.reward)) / entered.length
+        : 0,
+      totalReward: equity,
+      bestReward: rewards.length ? Math.max(...rewards) : 0,
+      worstReward: rewards.length ? Math.min(...rewards) : 0,
+      maxDrawdown,
+      exits,
+      targetsHit,
+      distribution: this.distribution(rewards),
+    };
+  }
+
+  // Histogram of rewards in equal-width buckets between the worst and best reward
+  distribution(rewards, buckets = DISTRIBUTION_BUCKETS) {
+    if (rewards.length === 0) return [];
+
+    const min = Math.min(...rewards);
+    const max = Math.max(...rewards);
+    if (min === max) return [{ from: min, to: max, count: rewards.length }];
+
+    const width = (max - min) / buckets;
+    const counts = new Array(buckets).fill(0);
+    for (const reward of rewards) {
+      counts[Math.min(Math.floor((reward - min) / width), buckets - 1)] += 1;
+    }
+
+    return counts.map((count, i) => ({
+      from: min + i * width,
+      to: i === buckets - 1 ? max : min + (i + 1) * width,
+      count,
+    }));
+  }
+}
+
+// Create and export a singleton instance
+const backtestService = new BacktestService();
+module.exports = backtestService;
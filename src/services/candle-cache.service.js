@@ -0,0 +1,147 @@
+const databaseService = require("./database.service");
+
+/**
+ * Postgres-backed store of OHLCV candles keyed by exchange, market, timeframe
+ * and timestamp. Requests are served from the store and only the ranges that
+ * were never fetched go to the exchange. Candles that may still be forming are
+ * returned but never stored, so a cached range never changes afterwards.
+ * A range counts as fetched up to the last candle the exchange returned.
+ */
+class CandleCacheService {
+  constructor() {
+    this.enabled = process.env.CANDLE_CACHE_ENABLED !== "false";
+  }
+
+  /**
+   * Candles of one exchange with open timestamps in [startMs, endMs].
+   * @param {Object} options
+   * @param {string} options.exchange - ccxt exchange id
+   * @param {string} options.market - e.g. "BTC/USDT"
+   * @param {string} options.timeframe - e.g. "1m"
+   * @param {number} options.timeframeMs - Length of one candle in ms
+   * @param {number} options.startMs
+   * @param {number} options.endMs
+   * @param {Function} options.fetchRange - (fromMs, toMs) => Promise<candles> from the exchange
+   * @param {number} [options.now]
+   * @returns {Promise<Array>} Candles sorted by timestamp
+   */
+  async getCandles({
+    exchange,
+    market,
+    timeframe,
+    timeframeMs,
+    startMs,
+    endMs,
+    fetchRange,
+    now = Date.now(),
+  }) {
+    const firstTs = Math.floor(startMs / timeframeMs) * timeframeMs;
+    const lastTs = Math.floor(endMs / timeframeMs) * timeframeMs;
+    // Anything newer than the last closed candle may still change
+    const lastClosedTs =
+      Math.floor(now / timeframeMs) * timeframeMs - timeframeMs;
+
+    const ranges = await databaseService.getCandleRanges(
+      exchange,
+      market,
+      timeframe,
+      firstTs,
+      lastTs
+    );
+
+    const forming = [];
+    for (const [fromMs, toMs] of this.missingRanges(
+      ranges,
+      firstTs,
+      lastTs,
+      timeframeMs
+    )) {
+      const fetched = (await fetchRange(fromMs, toMs)).filter(
+        (c) => c[0] >= fromMs && c[0] <= toMs
+      );
+
+      await databaseService.saveCandles(
+        exchange,
+        market,
+        timeframe,
+        fetched.filter((c) => c[0] <= lastClosedTs)
+      );
+      forming.push(...fetched.filter((c) => c[0] > lastClosedTs));
+
+      // Only as far as the exchange answered: a short or empty response may
+      // just be lagging or rate limited, so the rest is asked for again later
+      const lastFetchedTs = fetched.reduce((max, c) => Math.max(max, c[0]), -1);
+      const coveredTo = Math.min(toMs, lastClosedTs, lastFetchedTs);
+      if (coveredTo >= fromMs) {
+        await databaseService.addCandleRange(
+          exchange,
+          market,
+          timeframe,
+          fromMs,
+          coveredTo,
+          timeframeMs
+        );
+      }
+    }
+
+    const stored = await databaseService.getCandles(
+      exchange,
+      market,
+      timeframe,
+      firstTs,
+      lastTs
+    );
+    return [...stored, ...forming].sort((a, b) => a[0] - b[0]);
+  }
+
+  /**
+   * Parts of [firstTs, lastTs] not covered by the fetched ranges, as
+   * [fromMs, toMs] pairs of candle timestamps.
+   */
+  missingRanges(ranges, firstTs, lastTs, timeframeMs) {
+    const missing = [];
+    let cursor = firstTs;
+
+    const sorted = [...ranges].sort((a, b) => a.startTime - b.startTime);
+    for (const range of sorted) {
+      if (cursor > lastTs) break;
+      if (range.startTime > cursor) {
+        missing.push([cursor, Math.min(range.startTime - timeframeMs, lastTs)]);
+      }
+      cursor = Math.max(cursor, range.endTime + timeframeMs);
+    }
+
+    if (cursor <= lastTs) missing.push([cursor, lastTs]);
+    return missing;
+  }
+
+  /**
+   * Store candles without going to the exchange, e.g. to score offline.
+   * The range they span is marked as fetched.
+   * @returns {Promise<number>} Number of candles added
+   */
+  async seedCandles(exchange, market, timeframe, timeframeMs, candles) {
+    if (!candles.length) return 0;
+
+    const sorted = [...candles].sort((a, b) => a[0] - b[0]);
+    const count = await databaseService.saveCandles(
+      exchange,
+      market,
+      timeframe,
+      sorted
+    );
+    await databaseService.addCandleRange(
+      exchange,
+      market,
+      timeframe,
+      sorted[0][0],
+      sorted[sorted.length - 1][0],
+      timeframeMs
+    );
+    return count;
+  }
+}
+
+// Create and export a singleton instance
+const candleCacheService = new CandleCacheService();
+module.exports = candleCacheService;
@@ -1,4 +1,30 @@
-const { PrismaClient } = require("@prisma/client");
+const { PrismaClient, Prisma } = require("@prisma/client");
+const { parseTags, parseTagQuery } = require("../utils/tags");
+
+// ts_headline options for search results. Matches are wrapped in control
+// characters, not HTML, so user content can be escaped before they become
+// <mark></mark> (see highlightHtml)
+const HIGHLIGHT_START = "\u0002";
+const HIGHLIGHT_STOP = "\u0003";
+const SEARCH_HEADLINE_OPTIONS = `StartSel=${HIGHLIGHT_START}, StopSel=${HIGHLIGHT_STOP}, MaxWords=35, MinWords=15, MaxFragments=2`;
+
+const HTML_ESCAPES = {
+  "&": "&amp;",
+  "<": "&lt;",
+  ">": "&gt;",
+  '"': "&quot;",
+  "'": "&#39;",
+};
+
+// A ts_headline fragment as HTML: the text escaped, matches in <mark></mark>
+function highlightHtml(headline) {
+  return String(headline ?? "")
+    .replace(/[&<>"']/g, (char) => HTML_ESCAPES[char])
+    .split(HIGHLIGHT_START)
+    .join("<mark>")
+    .split(HIGHLIGHT_STOP)
+    .join("</mark>");
+}
 
 class DatabaseService {
   constructor() {
@@ -227,6 +253,8 @@ class DatabaseService {
         "bio",
         "score",
         "hasPremium",
+        "emailVerified",
+        "emailVerifiedAt",
       ];
 
       const updateData = {};
@@ -247,6 +275,19 @@ class DatabaseService {
     }
   }
 
+  async setUserRole(username, role) {
+    try {
+      return await this.prisma.user.update({
+        where: { username },
+        data: { role },
+        select: { id: true, username: true, role: true },
+      });
+    } catch (error) {
+      console.error(`Error setting role of ${username}:`, error);
+      throw error;
+    }
+  }
+
   async deleteUser(username) {
     try {
       await this.prisma.user.delete({
@@ -342,6 +383,76 @@ class DatabaseService {
     }
   }
 
+  // Ids of users this user blocked or was blocked by
+  async getBlockedUserIds(userId) {
+    try {
+      const blocks = await this.prisma.block.findMany({
+        where: { OR: [{ blockerId: userId }, { blockedId: userId }] },
+        select: { blockerId: true, blockedId: true },
+      });
+      return blocks.map((b) =>
+        b.blockerId === userId ? b.blockedId : b.blockerId
+      );
+    } catch (error) {
+      console.error(`Error getting blocked users of ${userId}:`, error);
+      throw error;
+    }
+  }
+
+  // Id, username, role and premium status of a user, without their relationships
+  async getUserSummary(username) {
+    try {
+      return await this.prisma.user.findUnique({
+        where: { username },
+        select: {
+          id: true,
+          username: true,
+          role: true,
+          hasPremium: true,
+          emailVerified: true,
+        },
+      });
+    } catch (error) {
+      console.error(`Error getting user summary ${username}:`, error);
+      throw error;
+    }
+  }
+
+  /**
+   * Who shows up in a user's home feed: the users they follow, minus anyone
+   * they blocked or who blocked them.
+   * @returns {Promise<{userId: string, publisherIds: string[]}|null>}
+   */
+  async getFeedPublisherIds(username) {
+    try {
+      const user = await this.prisma.user.findUnique({
+        where: { username },
+        select: { id: true },
+      });
+      if (!user) return null;
+
+      const [followings, blockedIds] = await Promise.all([
+        this.prisma.follow.findMany({
+          where: { followerId: user.id },
+          select: { followingId: true },
+        }),
+        this.getBlockedUserIds(user.id),
+      ]);
+
+      const blocked = new Set(blockedIds);
+
+      return {
+        userId: user.id,
+        publisherIds: followings
+          .map((f) => f.followingId)
+          .filter((id) => !blocked.has(id)),
+      };
+    } catch (error) {
+      console.error(`Error getting feed publishers for ${username}:`, error);
+      throw error;
+    }
+  }
+
   // Post operations
   async getPost(postId) {
     try {
@@ -393,6 +504,7 @@ class DatabaseService {
               },
             },
           },
+          tags: { include: { tag: true } },
         },
       });
 
@@ -403,6 +515,7 @@ class DatabaseService {
         ...post,
         username: post.user.username,
         userId: post.user.id,
+        tags: post.tags.map(({ tag }) => ({ name: tag.name, type: tag.type })),
         likes: post.likes.map((like) => ({
           name: like.user.name,
           username: like.user.username,
@@ -429,9 +542,12 @@ class DatabaseService {
     }
   }
 
-  async getAllPosts() {
+  // Optional where/orderBy/take narrow the query, e.g. for the home feed
+  async getAllPosts({ where, orderBy, take } = {}) {
     try {
       const posts = await this.prisma.post.findMany({
+        where,
+        take,
         include: {
           user: {
             select: {
@@ -478,14 +594,16 @@ class DatabaseService {
               },
             },
           },
+          tags: { include: { tag: true } },
         },
-        orderBy: { date: "desc" },
+        orderBy: orderBy || { date: "desc" },
       });
 
       return posts.map((post) => ({
         ...post,
         username: post.user.username,
         userId: post.user.id,
+        tags: post.tags.map(({ tag }) => ({ name: tag.name, type: tag.type })),
         likes: post.likes.map((like) => ({
           name: like.user.name,
           username: like.user.username,
@@ -517,9 +635,10 @@ class DatabaseService {
       // Transform old Redis format to new PostgreSQL format
       const transformedData = {};
 
-      // Handle content
+      // Handle content and the tags mentioned in it
       if (postData.content !== undefined) {
         transformedData.content = postData.content;
+        transformedData.tags = { create: this.postTagsData(postData.content) };
       }
 
       // Handle postImageHref
@@ -581,9 +700,13 @@ class DatabaseService {
       // Transform old Redis format to new PostgreSQL format
       const transformedData = {};
 
-      // Handle content
+      // Handle content, replacing the tags of the previous content
       if (postData.content !== undefined) {
         transformedData.content = postData.content;
+        transformedData.tags = {
+          deleteMany: {},
+          create: this.postTagsData(postData.content),
+        };
       }
 
       // Handle postImageHref
@@ -711,6 +834,99 @@ class DatabaseService {
     }
   }
 
+  // Nested writes linking a post to the tags in its content, creating new tags
+  postTagsData(content) {
+    return parseTags(content).map(({ name, type }) => ({
+      tag: {
+        connectOrCreate: {
+          where: { name_type: { name, type } },
+          create: { name, type },
+        },
+      },
+    }));
+  }
+
+  // Prisma filter for posts mentioning a tag from a query, e.g. "#bitcoin", "$BTC" or "btc"
+  postTagWhere(tagName) {
+    const tags = parseTagQuery(tagName);
+    return { tags: { some: { tag: { OR: tags } } } };
+  }
+
+  // Re-derive a post's tags from its content, e.g. for posts created before tags existed
+  async syncPostTags(postId) {
+    try {
+      const post = await this.prisma.post.findUnique({
+        where: { id: postId },
+        select: { content: true },
+      });
+      if (!post) return null;
+
+      const tags = parseTags(post.content);
+      await this.prisma.post.update({
+        where: { id: postId },
+        data: {
+          tags: { deleteMany: {}, create: this.postTagsData(post.content) },
+        },
+      });
+      return tags;
+    } catch (error) {
+      console.error(`Error syncing tags of post ${postId}:`, error);
+      throw error;
+    }
+  }
+
+  async getPostIds() {
+    try {
+      const posts = await this.prisma.post.findMany({
+        select: { id: true },
+        orderBy: { date: "asc" },
+      });
+      return posts.map((post) => post.id);
+    } catch (error) {
+      console.error("Error getting post ids:", error);
+      throw error;
+    }
+  }
+
+  /**
+   * Tags used in the most posts published since a time
+   * @param {number} since - Unix ms
+   * @param {Object} [options]
+   * @param {string} [options.type] - Only "hashtag" or "cashtag" tags
+   * @param {number} [options.take]
+   * @returns {Promise<Array<{name: string, type: string, posts: number}>>}
+   */
+  async getTrendingTags(since, { type, take = 10 } = {}) {
+    try {
+      const where = { post: { date: { gte: BigInt(since) } } };
+      if (type) where.tag = { type };
+
+      const groups = await this.prisma.postTag.groupBy({
+        by: ["tagId"],
+        where,
+        _count: { postId: true },
+        orderBy: [{ _count: { postId: "desc" } }, { tagId: "asc" }],
+        take,
+      });
+
+      const tags = await this.prisma.tag.findMany({
+        where: { id: { in: groups.map((group) => group.tagId) } },
+      });
+      const byId = new Map(tags.map((tag) => [tag.id, tag]));
+
+      return groups
+        .filter((group) => byId.has(group.tagId))
+        .map((group) => ({
+          name: byId.get(group.tagId).name,
+          type: byId.get(group.tagId).type,
+          posts: group._count.postId,
+        }));
+    } catch (error) {
+      console.error("Error getting trending tags:", error);
+      throw error;
+    }
+  }
+
   // Signal operations
   async getSignal(signalId) {
     try {
@@ -760,6 +976,7 @@ class DatabaseService {
           id: target.id,
           value: target.value,
           touched: target.touched,
+          touchedAt: target.touchedAt,
         })),
         openTime: signal.openTime,
         closeTime: signal.closeTime,
@@ -775,9 +992,13 @@ class DatabaseService {
     }
   }
 
-  async getAllSignals() {
+  // Optional where/orderBy/skip/take narrow the query, e.g. for top signals
+  async getAllSignals({ where, orderBy, skip, take } = {}) {
     try {
       const signals = await this.prisma.signal.findMany({
+        where,
+        skip,
+        take,
         include: {
           user: {
             select: {
@@ -803,7 +1024,7 @@ class DatabaseService {
             },
           },
         },
-        orderBy: { date: "desc" },
+        orderBy: orderBy || { date: "desc" },
       });
 
       return signals.map((signal) => ({
@@ -821,6 +1042,7 @@ class DatabaseService {
           id: target.id,
           value: target.value,
           touched: target.touched,
+          touchedAt: target.touchedAt,
         })),
         openTime: signal.openTime,
         closeTime: signal.closeTime,
@@ -836,6 +1058,146 @@ class DatabaseService {
     }
   }
 
+  // Prisma filter for the signal list query parameters
+  signalsWhere({
+    publishers,
+    market,
+    status,
+    openFrom,
+    openTo,
+    closeFrom,
+    closeTo,
+  } = {}) {
+    const where = {};
+    if (publishers && publishers.length > 0) {
+      where.user = { username: { in: publishers } };
+    }
+    if (market) where.marketName = market;
+    if (status) where.status = status;
+
+    const range = (from, to) => {
+      const filter = {};
+      if (Number.isFinite(from)) filter.gte = BigInt(from);
+      if (Number.isFinite(to)) filter.lte = BigInt(to);
+      return Object.keys(filter).length ? filter : undefined;
+    };
+    const openTime = range(openFrom, openTo);
+    const closeTime = range(closeFrom, closeTo);
+    if (openTime) where.openTime = openTime;
+    if (closeTime) where.closeTime = closeTime;
+
+    return where;
+  }
+
+  // Cursors point at the last signal of a page as "<date>:<id>", base64url encoded
+  encodeSignalCursor(signal) {
+    return Buffer.from(`${signal.date}:${signal.id}`).toString("base64url");
+  }
+
+  decodeSignalCursor(cursor) {
+    const [date, id] = Buffer.from(String(cursor), "base64url")
+      .toString()
+      .split(":");
+    if (!/^\d+$/.test(date || "") || !id) {
+      throw new Error("Invalid cursor");
+    }
+    return { date: BigInt(date), id };
+  }
+
+  /**
+   * One page of signals, newest first, filtered in the database.
+   * Pages continue after `cursor` (stable while signals are added or removed)
+   * or, without one, start at `(page - 1) * limit` for older clients.
+   * @returns {Promise<{signals: Array, totalCount: number, hasMore: boolean, nextCursor: string|null}>}
+   */
+  async getSignalsPage(filters = {}, { cursor, page = 1, limit = 10 } = {}) {
+    try {
+      const where = this.signalsWhere(filters);
+      const pageWhere = { ...where };
+
+      if (cursor) {
+        const after = this.decodeSignalCursor(cursor);
+        // Rows sorting after the cursor's (date, id) in descending order
+        pageWhere.AND = [
+          {
+            OR: [
+              { date: { lt: after.date } },
+              { date: after.date, id: { lt: after.id } },
+            ],
+          },
+        ];
+      }
+
+      const [rows, totalCount] = await Promise.all([
+        this.getAllSignals({
+          where: pageWhere,
+          orderBy: [{ date: "desc" }, { id: "desc" }],
+          skip: cursor ? undefined : (page - 1) * limit,
+          take: limit + 1,
+        }),
+        this.prisma.signal.count({ where }),
+      ]);
+
+      const hasMore = rows.length > limit;
+      const signals = rows.slice(0, limit);
+
+      return {
+        signals,
+        totalCount,
+        hasMore,
+        nextCursor:
+          hasMore && signals.length
+            ? this.encodeSignalCursor(signals[signals.length - 1])
+            : null,
+      };
+    } catch (error) {
+      console.error("Error getting signals page:", error);
+      throw error;
+    }
+  }
+
+  // Open signals with what price tracking needs (publisher and targets)
+  async getOpenSignals() {
+    try {
+      const signals = await this.prisma.signal.findMany({
+        where: { status: "open" },
+        include: {
+          user: {
+            select: {
+              id: true,
+              name: true,
+              username: true,
+              imageUrl: true,
+              hasPremium: true,
+              score: true,
+            },
+          },
+          targets: { orderBy: { createdAt: "asc" } },
+        },
+      });
+
+      return signals.map((signal) => ({
+        ...signal,
+        username: signal.user.username,
+        userId: signal.user.id,
+        market: {
+          name: signal.marketName,
+          uuid: signal.marketUuid,
+          quoteAsset: signal.quoteAsset,
+        },
+        targets: signal.targets.map((target) => ({
+          id: target.id,
+          value: target.value,
+          touched: target.touched,
+          touchedAt: target.touchedAt,
+        })),
+      }));
+    } catch (error) {
+      console.error("Error getting open signals:", error);
+      throw error;
+    }
+  }
+
   async createSignal(signalData) {
     try {
       // Transform old Redis format to new PostgreSQL format
@@ -853,6 +1215,9 @@ class DatabaseService {
       }
 
       // Handle trading fields
+      if (signalData.direction !== undefined) {
+        transformedData.direction = signalData.direction;
+      }
       if (signalData.entry !== undefined) {
         transformedData.entry = signalData.entry;
       }
@@ -887,6 +1252,9 @@ class DatabaseService {
       if (signalData.score !== undefined) {
         transformedData.score = signalData.score;
       }
+      if (signalData.scoringVersion !== undefined) {
+        transformedData.scoringVersion = signalData.scoringVersion;
+      }
 
       // Handle user relationship if publisher is provided
       if (signalData.user && signalData.user.username) {
@@ -987,6 +1355,9 @@ class DatabaseService {
       }
 
       // Handle trading fields
+      if (signalData.direction !== undefined) {
+        transformedData.direction = signalData.direction;
+      }
       if (signalData.entry !== undefined) {
         transformedData.entry = signalData.entry;
       }
@@ -1018,6 +1389,12 @@ class DatabaseService {
       if (signalData.score !== undefined) {
         transformedData.score = signalData.score;
       }
+      if (signalData.stoplossHitAt !== undefined) {
+        transformedData.stoplossHitAt =
+          signalData.stoplossHitAt === null
+            ? null
+            : BigInt(signalData.stoplossHitAt);
+      }
 
       // Handle user relationship if publisher is provided
       if (signalData.publisher && signalData.publisher.username) {
@@ -1074,12 +1451,18 @@ class DatabaseService {
     try {
       // Update each target individually
       for (const target of targets) {
+        const data = {
+          value: target.value,
+          touched: target.touched,
+        };
+        if (target.touchedAt !== undefined) {
+          data.touchedAt =
+            target.touchedAt === null ? null : BigInt(target.touchedAt);
+        }
+
         await this.prisma.signalTarget.update({
           where: { id: target.id },
-          data: {
-            value: target.value,
-            touched: target.touched,
-          },
+          data,
         });
       }
 
@@ -1091,134 +1474,510 @@ class DatabaseService {
     }
   }
 
-  // Update user score
-  async updateUserScore(username, scoreChange) {
+  // Move a signal from one status to another only if it is still in the expected one.
+  // Returns false when another request or worker already made the transition.
+  async transitionSignalStatus(signalId, fromStatus, toStatus) {
     try {
-      const user = await this.prisma.user.update({
-        where: { username },
-        data: {
-          score: {
-            increment: scoreChange,
-          },
-        },
-        select: {
-          id: true,
-          name: true,
-          username: true,
-          imageUrl: true,
-          hasPremium: true,
-          score: true,
-        },
+      const result = await this.prisma.signal.updateMany({
+        where: { id: signalId, status: fromStatus },
+        data: { status: toStatus },
       });
-
-      return user;
+      return result.count > 0;
     } catch (error) {
-      console.error(`Error updating user score for ${username}:`, error);
+      console.error(
+        `Error transitioning signal ${signalId} from ${fromStatus} to ${toStatus}:`,
+        error
+      );
       throw error;
     }
   }
 
-  async deleteSignal(signalId) {
+  // Signals that should have opened or closed by the given unix timestamp
+  dueSignalsWhere(dueBefore) {
+    const cutoff = BigInt(Math.floor(dueBefore));
+    return {
+      OR: [
+        { status: "not_opened", openTime: { gt: 0, lte: cutoff } },
+        { status: "open", closeTime: { gt: 0, lte: cutoff } },
+      ],
+    };
+  }
+
+  async getDueSignalIds(dueBefore, limit) {
     try {
-      await this.prisma.signal.delete({
-        where: { id: signalId },
+      const signals = await this.prisma.signal.findMany({
+        where: this.dueSignalsWhere(dueBefore),
+        select: { id: true },
+        orderBy: { openTime: "asc" },
+        take: limit,
       });
-      return true;
+      return signals.map((signal) => signal.id);
     } catch (error) {
-      console.error(`Error deleting signal ${signalId}:`, error);
+      console.error("Error getting due signals:", error);
       throw error;
     }
   }
 
-  // Message operations
-  async getMessages(roomId) {
+  async countDueSignals(dueBefore) {
     try {
-      const messages = await this.prisma.message.findMany({
-        where: { roomId },
-        include: {
-          user: {
-            select: {
-              id: true,
-              name: true,
-              username: true,
-              imageUrl: true,
-            },
-          },
-        },
-        orderBy: { date: "asc" },
+      return await this.prisma.signal.count({
+        where: this.dueSignalsWhere(dueBefore),
       });
-
-      return messages.map((message) => ({
-        ...message,
-        username: message.user.username,
-        userId: message.user.id,
-        sender: {
-          name: message.user.name,
-          username: message.user.username,
-          imageUrl: message.user.imageUrl,
-        },
-      }));
     } catch (error) {
-      console.error(`Error getting messages for room ${roomId}:`, error);
+      console.error("Error counting due signals:", error);
       throw error;
     }
   }
 
-  async createMessage(messageData) {
+  // Closed signals with valid times whose publisher has not been credited,
+  // e.g. because scoring failed, that were tried fewer than maxAttempts times
+  // and not since retryBefore
+  unscoredSignalsWhere(retryBefore, maxAttempts) {
+    return {
+      status: "closed",
+      creditedScore: null,
+      openTime: { gt: 0 },
+      closeTime: { gt: 0 },
+      scoringAttempts: { lt: maxAttempts },
+      OR: [
+        { scoringAttemptAt: { lt: BigInt(Math.floor(retryBefore)) } },
+        // Never tried, e.g. the process stopped right after closing it
+        { scoringAttemptAt: null, updatedAt: { lt: new Date(retryBefore) } },
+      ],
+    };
+  }
+
+  // Least tried first, then the longest waiting
+  async getUnscoredSignalIds(retryBefore, maxAttempts, limit) {
     try {
-      const message = await this.prisma.message.create({
-        data: messageData,
-        include: {
-          user: {
-            select: {
-              id: true,
-              name: true,
-              username: true,
-              imageUrl: true,
-            },
-          },
-        },
+      const signals = await this.prisma.signal.findMany({
+        where: this.unscoredSignalsWhere(retryBefore, maxAttempts),
+        select: { id: true },
+        orderBy: [{ scoringAttempts: "asc" }, { scoringAttemptAt: "asc" }],
+        take: limit,
       });
-
-      return {
-        ...message,
-        username: message.user.username,
-        userId: message.user.id,
-        sender: {
-          name: message.user.name,
-          username: message.user.username,
-          imageUrl: message.user.imageUrl,
-        },
-      };
+      return signals.map((signal) => signal.id);
     } catch (error) {
-      console.error("Error creating message:", error);
+      console.error("Error getting unscored signals:", error);
       throw error;
     }
   }
 
-  async createMessageRoom(roomData) {
+  async countUnscoredSignals(retryBefore, maxAttempts) {
     try {
-      const room = await this.prisma.messageRoom.create({
-        data: roomData,
+      return await this.prisma.signal.count({
+        where: this.unscoredSignalsWhere(retryBefore, maxAttempts),
       });
-      return room;
     } catch (error) {
-      console.error("Error creating message room:", error);
+      console.error("Error counting unscored signals:", error);
       throw error;
     }
   }
 
-  async addUserToRoom(roomId, userId) {
+  // Closed signals that are still uncredited after maxAttempts scoring attempts
+  async countAbandonedScorings(maxAttempts) {
     try {
-      const participant = await this.prisma.messageRoomParticipant.create({
-        data: {
-          roomId,
-          userId,
+      return await this.prisma.signal.count({
+        where: {
+          status: "closed",
+          creditedScore: null,
+          scoringAttempts: { gte: maxAttempts },
         },
       });
-      return participant;
     } catch (error) {
-      console.error(`Error adding user ${userId} to room ${roomId}:`, error);
+      console.error("Error counting abandoned scorings:", error);
+      throw error;
+    }
+  }
+
+  async recordScoringAttempt(signalId, now) {
+    try {
+      await this.prisma.signal.update({
+        where: { id: signalId },
+        data: {
+          scoringAttempts: { increment: 1 },
+          scoringAttemptAt: BigInt(now),
+        },
+      });
+    } catch (error) {
+      console.error(
+        `Error recording scoring attempt of signal ${signalId}:`,
+        error
+      );
+      throw error;
+    }
+  }
+
+  // Store how a signal was scored, replacing any previous outcome for it
+  async upsertSignalOutcome(signalId, outcome) {
+    try {
+      const toBigInt = (value) =>
+        value === null || value === undefined ? null : BigInt(value);
+
+      const data = {
+        score: outcome.score,
+        scoringVersion: outcome.scoringVersion || "v1",
+        exit: outcome.exit,
+        direction: outcome.direction || "long",
+        timeframe: outcome.timeframe || "1m",
+        entryHit: Boolean(outcome.entryHit),
+        entryHitAt: toBigInt(outcome.entryHitAt),
+        stoplossHit: Boolean(outcome.stoplossHit),
+        stoplossHitAt: toBigInt(outcome.stoplossHitAt),
+        targets: outcome.targets || [],
+        maxFavorableExcursion: outcome.maxFavorableExcursion || 0,
+        maxAdverseExcursion: outcome.maxAdverseExcursion || 0,
+        timeDecay: outcome.timeDecay ?? 1,
+        candleCount: outcome.candleCount || 0,
+        startTime: BigInt(outcome.startTime),
+        endTime: BigInt(outcome.endTime),
+      };
+
+      return await this.prisma.signalOutcome.upsert({
+        where: { signalId },
+        create: { signalId, ...data },
+        update: data,
+      });
+    } catch (error) {
+      console.error(`Error saving outcome for signal ${signalId}:`, error);
+      throw error;
+    }
+  }
+
+  async getSignalOutcome(signalId) {
+    try {
+      return await this.prisma.signalOutcome.findUnique({
+        where: { signalId },
+      });
+    } catch (error) {
+      console.error(`Error getting outcome for signal ${signalId}:`, error);
+      throw error;
+    }
+  }
+
+  // A user's signals with just what performance stats need, optionally
+  // limited to signals opened in [fromMs, toMs] and to one market
+  async getUserSignalsForStats(username, { fromMs, toMs, marketName } = {}) {
+    try {
+      const where = { user: { username } };
+      if (fromMs !== undefined || toMs !== undefined) {
+        where.openTime = {};
+        if (fromMs !== undefined) where.openTime.gte = BigInt(fromMs);
+        if (toMs !== undefined) where.openTime.lte = BigInt(toMs);
+      }
+      if (marketName) where.marketName = marketName;
+
+      const signals = await this.prisma.signal.findMany({
+        where,
+        select: {
+          id: true,
+          marketName: true,
+          status: true,
+          score: true,
+          openTime: true,
+          closeTime: true,
+          stoplossHitAt: true,
+          targets: { select: { touched: true } },
+        },
+        orderBy: { openTime: "asc" },
+      });
+
+      return signals.map((signal) => ({
+        ...signal,
+        openTime: Number(signal.openTime),
+        closeTime: Number(signal.closeTime),
+        stoplossHitAt:
+          signal.stoplossHitAt === null ? null : Number(signal.stoplossHitAt),
+      }));
+    } catch (error) {
+      console.error(`Error getting signals for stats of ${username}:`, error);
+      throw error;
+    }
+  }
+
+  // IDs of closed signals to rescore under a scoring version, oldest first.
+  // Signals already scored by that version are left out unless `all` is set.
+  async getSignalIdsToRescore(scoringVersion, all = false) {
+    try {
+      const where = { status: "closed" };
+      if (!all) {
+        where.OR = [
+          { scoringVersion: null },
+          { scoringVersion: { not: scoringVersion } },
+        ];
+      }
+
+      const signals = await this.prisma.signal.findMany({
+        where,
+        select: { id: true },
+        orderBy: { closeTime: "asc" },
+      });
+      return signals.map((signal) => signal.id);
+    } catch (error) {
+      console.error("Error getting signals to rescore:", error);
+      throw error;
+    }
+  }
+
+  // Count closed signals per scoring version, e.g. { v1: 120, unscored: 3 }
+  async countSignalsByScoringVersion() {
+    try {
+      const groups = await this.prisma.signal.groupBy({
+        by: ["scoringVersion"],
+        where: { status: "closed" },
+        _count: { _all: true },
+      });
+      return Object.fromEntries(
+        groups.map((group) => [
+          group.scoringVersion || "unscored",
+          group._count._all,
+        ])
+      );
+    } catch (error) {
+      console.error("Error counting signals by scoring version:", error);
+      throw error;
+    }
+  }
+
+  // Leaderboard operations
+  // Closed signals counted by leaderboards: closed since `since` (if set),
+  // optionally only one market or quote asset
+  leaderboardSignalsWhere({ since, marketName, quoteAsset } = {}) {
+    const where = { status: "closed" };
+    if (since) where.closeTime = { gte: BigInt(since) };
+    if (marketName) where.marketName = marketName;
+    if (quoteAsset) where.quoteAsset = quoteAsset;
+    return where;
+  }
+
+  /**
+   * Closed signal totals per publisher: { userId, signals, score }.
+   * Sorted by summed score when `take` is given, otherwise unsorted.
+   * @param {Object} filters - See leaderboardSignalsWhere
+   * @param {Object} [options]
+   * @param {number} [options.minSignals] - Leave out publishers with fewer signals
+   * @param {boolean} [options.winsOnly] - Only count signals that reached a target
+   * @param {string[]} [options.userIds] - Only these publishers
+   * @param {number} [options.skip]
+   * @param {number} [options.take]
+   */
+  async getPublisherSignalTotals(
+    filters,
+    { minSignals = 1, winsOnly = false, userIds, skip, take } = {}
+  ) {
+    try {
+      const where = this.leaderboardSignalsWhere(filters);
+      if (winsOnly) where.targets = { some: { touched: true } };
+      if (userIds) where.userId = { in: userIds };
+
+      const groups = await this.prisma.signal.groupBy({
+        by: ["userId"],
+        where,
+        _count: { _all: true },
+        _sum: { score: true },
+        having: minSignals > 1 ? { id: { _count: { gte: minSignals } } } : {},
+        orderBy:
+          take !== undefined
+            ? [{ _sum: { score: "desc" } }, { userId: "asc" }]
+            : undefined,
+        skip,
+        take,
+      });
+
+      return groups.map((group) => ({
+        userId: group.userId,
+        signals: group._count._all,
+        score: group._sum.score || 0,
+      }));
+    } catch (error) {
+      console.error("Error getting publisher signal totals:", error);
+      throw error;
+    }
+  }
+
+  // Public profile fields of the given users, keyed by id
+  async getUsersByIds(userIds) {
+    try {
+      const users = await this.prisma.user.findMany({
+        where: { id: { in: userIds } },
+        select: {
+          id: true,
+          name: true,
+          username: true,
+          imageUrl: true,
+          hasPremium: true,
+          score: true,
+        },
+      });
+      return new Map(users.map((user) => [user.id, user]));
+    } catch (error) {
+      console.error("Error getting users by ids:", error);
+      throw error;
+    }
+  }
+
+  // Update user score
+  async updateUserScore(username, scoreChange) {
+    try {
+      const user = await this.prisma.user.update({
+        where: { username },
+        data: {
+          score: {
+            increment: scoreChange,
+          },
+        },
+        select: {
+          id: true,
+          name: true,
+          username: true,
+          imageUrl: true,
+          hasPremium: true,
+          score: true,
+        },
+      });
+
+      return user;
+    } catch (error) {
+      console.error(`Error updating user score for ${username}:`, error);
+      throw error;
+    }
+  }
+
+  // Bring the publisher's score in line with a signal's score: add the
+  // difference to what was credited for it before (nothing, the first time).
+  // The signal row is claimed first, so concurrent calls never credit twice.
+  // Returns the amount added, or null if another call got there first.
+  async creditSignalScore(signalId, score) {
+    try {
+      return await this.prisma.$transaction(async (tx) => {
+        const signal = await tx.signal.findUnique({
+          where: { id: signalId },
+          select: { userId: true, creditedScore: true },
+        });
+        if (!signal) return null;
+
+        const claimed = await tx.signal.updateMany({
+          where: { id: signalId, creditedScore: signal.creditedScore },
+          data: { creditedScore: score },
+        });
+        if (claimed.count === 0) return null;
+
+        const delta = score - (signal.creditedScore ?? 0);
+        if (delta !== 0) {
+          await tx.user.update({
+            where: { id: signal.userId },
+            data: { score: { increment: delta } },
+          });
+        }
+        return delta;
+      });
+    } catch (error) {
+      console.error(`Error crediting score of signal ${signalId}:`, error);
+      throw error;
+    }
+  }
+
+  async deleteSignal(signalId) {
+    try {
+      await this.prisma.signal.delete({
+        where: { id: signalId },
+      });
+      return true;
+    } catch (error) {
+      console.error(`Error deleting signal ${signalId}:`, error);
+      throw error;
+    }
+  }
+
+  // Message operations
+  async getMessages(roomId) {
+    try {
+      const messages = await this.prisma.message.findMany({
+        where: { roomId },
+        include: {
+          user: {
+            select: {
+              id: true,
+              name: true,
+              username: true,
+              imageUrl: true,
+            },
+          },
+        },
+        orderBy: { date: "asc" },
+      });
+
+      return messages.map((message) => ({
+        ...message,
+        username: message.user.username,
+        userId: message.user.id,
+        sender: {
+          name: message.user.name,
+          username: message.user.username,
+          imageUrl: message.user.imageUrl,
+        },
+      }));
+    } catch (error) {
+      console.error(`Error getting messages for room ${roomId}:`, error);
+      throw error;
+    }
+  }
+
+  async createMessage(messageData) {
+    try {
+      const message = await this.prisma.message.create({
+        data: messageData,
+        include: {
+          user: {
+            select: {
+              id: true,
+              name: true,
+              username: true,
+              imageUrl: true,
+            },
+          },
+        },
+      });
+
+      return {
+        ...message,
+        username: message.user.username,
+        userId: message.user.id,
+        sender: {
+          name: message.user.name,
+          username: message.user.username,
+          imageUrl: message.user.imageUrl,
+        },
+      };
+    } catch (error) {
+      console.error("Error creating message:", error);
+      throw error;
+    }
+  }
+
+  async createMessageRoom(roomData) {
+    try {
+      const room = await this.prisma.messageRoom.create({
+        data: roomData,
+      });
+      return room;
+    } catch (error) {
+      console.error("Error creating message room:", error);
+      throw error;
+    }
+  }
+
+  async addUserToRoom(roomId, userId) {
+    try {
+      const participant = await this.prisma.messageRoomParticipant.create({
+        data: {
+          roomId,
+          userId,
+        },
+      });
+      return participant;
+    } catch (error) {
+      console.error(`Error adding user ${userId} to room ${roomId}:`, error);
       throw error;
     }
   }
@@ -1354,6 +2113,17 @@ class DatabaseService {
     }
   }
 
+  async getComment(commentId) {
+    try {
+      return await this.prisma.comment.findUnique({
+        where: { commentId },
+      });
+    } catch (error) {
+      console.error(`Error getting comment ${commentId}:`, error);
+      throw error;
+    }
+  }
+
   async deleteComment(postId, commentId) {
     try {
       const comment = await this.prisma.comment.findUnique({
@@ -1642,6 +2412,1271 @@ class DatabaseService {
     }
   }
 
+  // Notification operations
+  notificationInclude() {
+    return {
+      user: { select: { username: true } },
+      actor: {
+        select: {
+          id: true,
+          name: true,
+          username: true,
+          imageUrl: true,
+        },
+      },
+    };
+  }
+
+  // One notification per recipient, all created together
+  async createNotifications(notifications) {
+    try {
+      return await this.prisma.$transaction(
+        notifications.map((data) =>
+          this.prisma.notification.create({
+            data,
+            include: this.notificationInclude(),
+          })
+        )
+      );
+    } catch (error) {
+      console.error("Error creating notifications:", error);
+      throw error;
+    }
+  }
+
+  /**
+   * A page of a user's notifications, newest first, continuing after the
+   * notification with id `cursor`.
+   * @returns {Promise<{notifications: Array, hasMore: boolean}>}
+   */
+  async getNotifications(
+    userId,
+    { cursor, limit = 20, unreadOnly = false } = {}
+  ) {
+    try {
+      const rows = await this.prisma.notification.findMany({
+        where: { userId, ...(unreadOnly ? { read: false } : {}) },
+        include: this.notificationInclude(),
+        orderBy: [{ createdAt: "desc" }, { id: "desc" }],
+        ...(cursor ? { cursor: { id: cursor }, skip: 1 } : {}),
+        take: limit + 1,
+      });
+      return {
+        notifications: rows.slice(0, limit),
+        hasMore: rows.length > limit,
+      };
+    } catch (error) {
+      console.error(`Error getting notifications of ${userId}:`, error);
+      throw error;
+    }
+  }
+
+  async getNotification(notificationId) {
+    try {
+      return await this.prisma.notification.findUnique({
+        where: { id: notificationId },
+      });
+    } catch (error) {
+      console.error(`Error getting notification ${notificationId}:`, error);
+      throw error;
+    }
+  }
+
+  // Mark some (or, without ids, all) of a user's notifications as read
+  async markNotificationsRead(userId, notificationIds) {
+    try {
+      const { count } = await this.prisma.notification.updateMany({
+        where: {
+          userId,
+          read: false,
+          ...(notificationIds ? { id: { in: notificationIds } } : {}),
+        },
+        data: { read: true },
+      });
+      return count;
+    } catch (error) {
+      console.error(`Error marking notifications of ${userId} read:`, error);
+      throw error;
+    }
+  }
+
+  async countUnreadNotifications(userId) {
+    try {
+      return await this.prisma.notification.count({
+        where: { userId, read: false },
+      });
+    } catch (error) {
+      console.error(`Error counting notifications of ${userId}:`, error);
+      throw error;
+    }
+  }
+
+  async getSignalBookmarkerIds(signalId) {
+    try {
+      const bookmarks = await this.prisma.signalBookmark.findMany({
+        where: { signalId },
+        select: { userId: true },
+      });
+      return bookmarks.map((bookmark) => bookmark.userId);
+    } catch (error) {
+      console.error(`Error getting bookmarkers of signal ${signalId}:`, error);
+      throw error;
+    }
+  }
+
+  // Account token operations
+  /**
+   * Store a new token for a user, invalidating their unused tokens of the
+   * same type so only the latest email works.
+   */
+  async createUserToken(userId, tokenData, now) {
+    try {
+      const [, token] = await this.prisma.$transaction([
+        this.prisma.userToken.updateMany({
+          where: { userId, type: tokenData.type, usedAt: null },
+          data: { usedAt: now },
+        }),
+        this.prisma.userToken.create({ data: { ...tokenData, userId } }),
+      ]);
+      return token;
+    } catch (error) {
+      console.error(
+        `Error creating ${tokenData.type} token for ${userId}:`,
+        error
+      );
+      throw error;
+    }
+  }
+
+  /**
+   * Mark an unused, unexpired token as used.
+   * @returns {Promise<Object|null>} the token with its user, null if it cannot be used
+   */
+  async consumeUserToken(tokenHash, type, now) {
+    try {
+      const { count } = await this.prisma.userToken.updateMany({
+        where: {
+          tokenHash,
+          type,
+          usedAt: null,
+          expiresAt: { gt: BigInt(now) },
+        },
+        data: { usedAt: now },
+      });
+      if (count === 0) return null;
+
+      return await this.prisma.userToken.findUnique({
+        where: { tokenHash },
+        include: {
+          user: { select: { id: true, username: true, email: true } },
+        },
+      });
+    } catch (error) {
+      console.error(`Error consuming ${type} token:`, error);
+      throw error;
+    }
+  }
+
+  async setUserPassword(userId, hashedPassword) {
+    try {
+      await this.prisma.user.update({
+        where: { id: userId },
+        data: { password: hashedPassword },
+      });
+      return true;
+    } catch (error) {
+      console.error(`Error setting password of ${userId}:`, error);
+      throw error;
+    }
+  }
+
+  /**
+   * Mark a user's email as verified, if it is still the address that was verified.
+   * @returns {Promise<boolean>}
+   */
+  async markEmailVerified(userId, email) {
+    try {
+      const { count } = await this.prisma.user.updateMany({
+        where: { id: userId, email },
+        data: { emailVerified: true, emailVerifiedAt: new Date() },
+      });
+      return count === 1;
+    } catch (error) {
+      console.error(`Error verifying email of ${userId}:`, error);
+      throw error;
+    }
+  }
+
+  // Two-factor operations
+  async getTwoFactor(userId) {
+    try {
+      return await this.prisma.twoFactor.findUnique({ where: { userId } });
+    } catch (error) {
+      console.error(`Error getting two-factor settings of ${userId}:`, error);
+      throw error;
+    }
+  }
+
+  // Store a secret for an enrollment that is not confirmed yet
+  async savePendingTwoFactor(userId, secret) {
+    try {
+      return await this.prisma.twoFactor.upsert({
+        where: { userId },
+        create: { userId, secret },
+        update: { secret, enabledAt: null, lastUsedStep: null },
+      });
+    } catch (error) {
+      console.error(`Error saving two-factor secret of ${userId}:`, error);
+      throw error;
+    }
+  }
+
+  async enableTwoFactor(userId, step, codeHashes, now) {
+    try {
+      await this.prisma.$transaction([
+        this.prisma.twoFactor.update({
+          where: { userId },
+          data: { enabledAt: now, lastUsedStep: step },
+        }),
+        this.prisma.user.update({
+          where: { id: userId },
+          data: { twoFactorEnabled: true },
+        }),
+        this.prisma.twoFactorBackupCode.deleteMany({ where: { userId } }),
+        this.prisma.twoFactorBackupCode.createMany({
+          data: codeHashes.map((codeHash) => ({ userId, codeHash })),
+        }),
+      ]);
+      return true;
+    } catch (error) {
+      console.error(`Error enabling two-factor for ${userId}:`, error);
+      throw error;
+    }
+  }
+
+  async disableTwoFactor(userId) {
+    try {
+      await this.prisma.$transaction([
+        this.prisma.twoFactorBackupCode.deleteMany({ where: { userId } }),
+        this.prisma.twoFactor.deleteMany({ where: { userId } }),
+        this.prisma.user.update({
+          where: { id: userId },
+          data: { twoFactorEnabled: false },
+        }),
+      ]);
+      return true;
+    } catch (error) {
+      console.error(`Error disabling two-factor for ${userId}:`, error);
+      throw error;
+    }
+  }
+
+  /**
+   * Record that the code of a time step was used.
+   * @returns {Promise<boolean>} false if that step or a later one was used already
+   */
+  async useTwoFactorStep(userId, step) {
+    try {
+      const { count } = await this.prisma.twoFactor.updateMany({
+        where: {
+          userId,
+          enabledAt: { not: null },
+          OR: [{ lastUsedStep: null }, { lastUsedStep: { lt: BigInt(step) } }],
+        },
+        data: { lastUsedStep: step },
+      });
+      return count === 1;
+    } catch (error) {
+      console.error(`Error using two-factor code of ${userId}:`, error);
+      throw error;
+    }
+  }
+
+  async replaceBackupCodes(userId, codeHashes) {
+    try {
+      await this.prisma.$transaction([
+        this.prisma.twoFactorBackupCode.deleteMany({ where: { userId } }),
+        this.prisma.twoFactorBackupCode.createMany({
+          data: codeHashes.map((codeHash) => ({ userId, codeHash })),
+        }),
+      ]);
+      return true;
+    } catch (error) {
+      console.error(`Error replacing backup codes of ${userId}:`, error);
+      throw error;
+    }
+  }
+
+  /**
+   * Mark an unused backup code as used.
+   * @returns {Promise<boolean>} false if the user has no such unused code
+   */
+  async useBackupCode(userId, codeHash, now) {
+    try {
+      const { count } = await this.prisma.twoFactorBackupCode.updateMany({
+        where: { userId, codeHash, usedAt: null },
+        data: { usedAt: now },
+      });
+      return count > 0;
+    } catch (error) {
+      console.error(`Error using backup code of ${userId}:`, error);
+      throw error;
+    }
+  }
+
+  async countUnusedBackupCodes(userId) {
+    try {
+      return await this.prisma.twoFactorBackupCode.count({
+        where: { userId, usedAt: null },
+      });
+    } catch (error) {
+      console.error(`Error counting backup codes of ${userId}:`, error);
+      throw error;
+    }
+  }
+
+  // API key operations
+  async createApiKey(userId, keyData) {
+    try {
+      return await this.prisma.apiKey.create({
+        data: { ...keyData, userId },
+      });
+    } catch (error) {
+      console.error(`Error creating API key for ${userId}:`, error);
+      throw error;
+    }
+  }
+
+  async countActiveApiKeys(userId) {
+    try {
+      return await this.prisma.apiKey.count({
+        where: { userId, revokedAt: null },
+      });
+    } catch (error) {
+      console.error(`Error counting API keys of ${userId}:`, error);
+      throw error;
+    }
+  }
+
+  async getActiveApiKeys(userId) {
+    try {
+      return await this.prisma.apiKey.findMany({
+        where: { userId, revokedAt: null },
+        orderBy: { createdAt: "desc" },
+      });
+    } catch (error) {
+      console.error(`Error getting API keys of ${userId}:`, error);
+      throw error;
+    }
+  }
+
+  // The key with this hash and the username it acts as
+  async getApiKeyByHash(keyHash) {
+    try {
+      return await this.prisma.apiKey.findUnique({
+        where: { keyHash },
+        include: { user: { select: { id: true, username: true } } },
+      });
+    } catch (error) {
+      console.error("Error getting API key by hash:", error);
+      throw error;
+    }
+  }
+
+  async touchApiKey(keyId, now) {
+    try {
+      await this.prisma.apiKey.update({
+        where: { id: keyId },
+        data: { lastUsedAt: now },
+      });
+    } catch (error) {
+      console.error(`Error updating API key ${keyId}:`, error);
+      throw error;
+    }
+  }
+
+  /**
+   * Revoke one of a user's keys.
+   * @returns {Promise<boolean>} false if the user has no such active key
+   */
+  async revokeApiKey(userId, keyId, now) {
+    try {
+      const { count } = await this.prisma.apiKey.updateMany({
+        where: { id: keyId, userId, revokedAt: null },
+        data: { revokedAt: now },
+      });
+      return count === 1;
+    } catch (error) {
+      console.error(`Error revoking API key ${keyId}:`, error);
+      throw error;
+    }
+  }
+
+  // Session operations
+  async createSession(userId, sessionData) {
+    try {
+      return await this.prisma.session.create({
+        data: { ...sessionData, userId },
+      });
+    } catch (error) {
+      console.error(`Error creating session for ${userId}:`, error);
+      throw error;
+    }
+  }
+
+  async getSession(sessionId) {
+    try {
+      return await this.prisma.session.findUnique({
+        where: { id: sessionId },
+      });
+    } catch (error) {
+      console.error(`Error getting session ${sessionId}:`, error);
+      throw error;
+    }
+  }
+
+  // The session a refresh token belongs to, now or before its last rotation
+  async getSessionByTokenHash(tokenHash) {
+    try {
+      return await this.prisma.session.findFirst({
+        where: {
+          OR: [
+            { refreshTokenHash: tokenHash },
+            { previousTokenHash: tokenHash },
+          ],
+        },
+        include: { user: { select: { id: true, username: true } } },
+      });
+    } catch (error) {
+      console.error("Error getting session by token:", error);
+      throw error;
+    }
+  }
+
+  /**
+   * Swap a session's refresh token, only if it still holds oldHash and is
+   * not revoked, so two concurrent refreshes cannot both succeed.
+   * @returns {Promise<boolean>} false if the token was already rotated or revoked
+   */
+  async rotateSessionToken(sessionId, oldHash, newHash, expiresAt) {
+    try {
+      const { count } = await this.prisma.session.updateMany({
+        where: { id: sessionId, refreshTokenHash: oldHash, revokedAt: null },
+        data: {
+          refreshTokenHash: newHash,
+          previousTokenHash: oldHash,
+          expiresAt,
+          lastUsedAt: new Date(),
+        },
+      });
+      return count === 1;
+    } catch (error) {
+      console.error(`Error rotating session ${sessionId}:`, error);
+      throw error;
+    }
+  }
+
+  // Sessions that are neither revoked nor expired, most recently used first
+  async getActiveSessions(userId, now) {
+    try {
+      return await this.prisma.session.findMany({
+        where: { userId, revokedAt: null, expiresAt: { gt: BigInt(now) } },
+        orderBy: { lastUsedAt: "desc" },
+      });
+    } catch (error) {
+      console.error(`Error getting sessions of ${userId}:`, error);
+      throw error;
+    }
+  }
+
+  async revokeSession(sessionId, now) {
+    try {
+      const { count } = await this.prisma.session.updateMany({
+        where: { id: sessionId, revokedAt: null },
+        data: { revokedAt: now },
+      });
+      return count === 1;
+    } catch (error) {
+      console.error(`Error revoking session ${sessionId}:`, error);
+      throw error;
+    }
+  }
+
+  // Revoke every session of a user, except exceptSessionId when given
+  async revokeUserSessions(userId, now, exceptSessionId = null) {
+    try {
+      const { count } = await this.prisma.session.updateMany({
+        where: {
+          userId,
+          revokedAt: null,
+          ...(exceptSessionId ? { id: { not: exceptSessionId } } : {}),
+        },
+        data: { revokedAt: now },
+      });
+      return count;
+    } catch (error) {
+      console.error(`Error revoking sessions of ${userId}:`, error);
+      throw error;
+    }
+  }
+
+  // Price alert operations
+  async createPriceAlert(userId, alertData) {
+    try {
+      return await this.prisma.priceAlert.create({
+        data: { ...alertData, userId },
+      });
+    } catch (error) {
+      console.error(`Error creating price alert for ${userId}:`, error);
+      throw error;
+    }
+  }
+
+  async getPriceAlert(alertId) {
+    try {
+      return await this.prisma.priceAlert.findUnique({
+        where: { id: alertId },
+      });
+    } catch (error) {
+      console.error(`Error getting price alert ${alertId}:`, error);
+      throw error;
+    }
+  }
+
+  async getUserPriceAlerts(userId, { activeOnly = false } = {}) {
+    try {
+      return await this.prisma.priceAlert.findMany({
+        where: { userId, ...(activeOnly ? { isActive: true } : {}) },
+        orderBy: { createdAt: "desc" },
+      });
+    } catch (error) {
+      console.error(`Error getting price alerts of ${userId}:`, error);
+      throw error;
+    }
+  }
+
+  async countActivePriceAlerts(userId) {
+    try {
+      return await this.prisma.priceAlert.count({
+        where: { userId, isActive: true },
+      });
+    } catch (error) {
+      console.error(`Error counting price alerts of ${userId}:`, error);
+      throw error;
+    }
+  }
+
+  // Every alert still waiting to trigger, for the evaluation loop
+  async getActivePriceAlerts() {
+    try {
+      return await this.prisma.priceAlert.findMany({
+        where: { isActive: true },
+      });
+    } catch (error) {
+      console.error("Error getting active price alerts:", error);
+      throw error;
+    }
+  }
+
+  async updatePriceAlert(alertId, alertData) {
+    try {
+      return await this.prisma.priceAlert.update({
+        where: { id: alertId },
+        data: alertData,
+      });
+    } catch (error) {
+      console.error(`Error updating price alert ${alertId}:`, error);
+      throw error;
+    }
+  }
+
+  async deletePriceAlert(alertId) {
+    try {
+      await this.prisma.priceAlert.delete({ where: { id: alertId } });
+      return true;
+    } catch (error) {
+      console.error(`Error deleting price alert ${alertId}:`, error);
+      throw error;
+    }
+  }
+
+  // Subscription operations
+  async createSubscriptionPlan(username, planData) {
+    try {
+      return await this.prisma.subscriptionPlan.create({
+        data: {
+          ...planData,
+          publisher: { connect: { username } },
+        },
+      });
+    } catch (error) {
+      console.error(`Error creating subscription plan for ${username}:`, error);
+      throw error;
+    }
+  }
+
+  async getSubscriptionPlan(planId) {
+    try {
+      return await this.prisma.subscriptionPlan.findUnique({
+        where: { id: planId },
+        include: { publisher: { select: { id: true, username: true } } },
+      });
+    } catch (error) {
+      console.error(`Error getting subscription plan ${planId}:`, error);
+      throw error;
+    }
+  }
+
+  async getPublisherPlans(username, activeOnly = true) {
+    try {
+      return await this.prisma.subscriptionPlan.findMany({
+        where: {
+          publisher: { username },
+          ...(activeOnly ? { isActive: true } : {}),
+        },
+        orderBy: { price: "asc" },
+      });
+    } catch (error) {
+      console.error(`Error getting subscription plans of ${username}:`, error);
+      throw error;
+    }
+  }
+
+  // Plans are deactivated rather than deleted so existing subscriptions keep them
+  async deactivateSubscriptionPlan(planId) {
+    try {
+      return await this.prisma.subscriptionPlan.update({
+        where: { id: planId },
+        data: { isActive: false },
+      });
+    } catch (error) {
+      console.error(`Error deactivating subscription plan ${planId}:`, error);
+      throw error;
+    }
+  }
+
+  async getSubscription(subscriptionId) {
+    try {
+      return await this.prisma.subscription.findUnique({
+        where: { id: subscriptionId },
+        include: { plan: true },
+      });
+    } catch (error) {
+      console.error(`Error getting subscription ${subscriptionId}:`, error);
+      throw error;
+    }
+  }
+
+  async getSubscriptionTo(subscriberId, publisherId) {
+    try {
+      return await this.prisma.subscription.findUnique({
+        where: { subscriberId_publisherId: { subscriberId, publisherId } },
+        include: { plan: true },
+      });
+    } catch (error) {
+      console.error(
+        `Error getting subscription of ${subscriberId} to ${publisherId}:`,
+        error
+      );
+      throw error;
+    }
+  }
+
+  // A subscriber has at most one subscription per publisher, renewed in place
+  async saveSubscription(subscriberId, publisherId, data) {
+    try {
+      const subscriptionData = {
+        ...data,
+        currentPeriodEnd: BigInt(data.currentPeriodEnd),
+        canceledAt: data.canceledAt ? BigInt(data.canceledAt) : null,
+      };
+      return await this.prisma.subscription.upsert({
+        where: { subscriberId_publisherId: { subscriberId, publisherId } },
+        update: subscriptionData,
+        create: { subscriberId, publisherId, ...subscriptionData },
+        include: { plan: true },
+      });
+    } catch (error) {
+      console.error(
+        `Error saving subscription of ${subscriberId} to ${publisherId}:`,
+        error
+      );
+      throw error;
+    }
+  }
+
+  async updateSubscription(subscriptionId, data) {
+    try {
+      const updateData = { ...data };
+      if (data.currentPeriodEnd !== undefined) {
+        updateData.currentPeriodEnd = BigInt(data.currentPeriodEnd);
+      }
+      if (data.canceledAt !== undefined) {
+        updateData.canceledAt =
+          data.canceledAt === null ? null : BigInt(data.canceledAt);
+      }
+      return await this.prisma.subscription.update({
+        where: { id: subscriptionId },
+        data: updateData,
+        include: { plan: true },
+      });
+    } catch (error) {
+      console.error(`Error updating subscription ${subscriptionId}:`, error);
+      throw error;
+    }
+  }
+
+  async getUserSubscriptions(username) {
+    try {
+      return await this.prisma.subscription.findMany({
+        where: { subscriber: { username } },
+        include: {
+          plan: true,
+          publisher: {
+            select: {
+              id: true,
+              name: true,
+              username: true,
+              imageUrl: true,
+              hasPremium: true,
+              score: true,
+            },
+          },
+        },
+        orderBy: { createdAt: "desc" },
+      });
+    } catch (error) {
+      console.error(`Error getting subscriptions of ${username}:`, error);
+      throw error;
+    }
+  }
+
+  async getPublisherSubscribers(username) {
+    try {
+      return await this.prisma.subscription.findMany({
+        where: { publisher: { username } },
+        include: {
+          plan: true,
+          subscriber: {
+            select: {
+              id: true,
+              name: true,
+              username: true,
+              imageUrl: true,
+            },
+          },
+        },
+        orderBy: { createdAt: "desc" },
+      });
+    } catch (error) {
+      console.error(`Error getting subscribers of ${username}:`, error);
+      throw error;
+    }
+  }
+
+  // Publishers whose premium content a user has paid access to right now
+  async getSubscribedPublisherIds(userId, now = Date.now()) {
+    try {
+      const subscriptions = await this.prisma.subscription.findMany({
+        where: {
+          subscriberId: userId,
+          status: { in: ["active", "canceled"] },
+          currentPeriodEnd: { gt: BigInt(now) },
+        },
+        select: { publisherId: true },
+      });
+      return subscriptions.map((s) => s.publisherId);
+    } catch (error) {
+      console.error(`Error getting subscribed publishers of ${userId}:`, error);
+      throw error;
+    }
+  }
+
+  // Those of the given users with paid access to a publisher right now
+  async getPaidSubscriberIds(publisherId, subscriberIds, now = Date.now()) {
+    try {
+      const subscriptions = await this.prisma.subscription.findMany({
+        where: {
+          publisherId,
+          subscriberId: { in: subscriberIds },
+          status: { in: ["active", "canceled"] },
+          currentPeriodEnd: { gt: BigInt(now) },
+        },
+        select: { subscriberId: true },
+      });
+      return subscriptions.map((s) => s.subscriberId);
+    } catch (error) {
+      console.error(`Error getting paid subscribers of ${publisherId}:`, error);
+      throw error;
+    }
+  }
+
+  // Active subscriptions whose paid period is over
+  async getDueSubscriptions(now, take) {
+    try {
+      return await this.prisma.subscription.findMany({
+        where: { status: "active", currentPeriodEnd: { lte: BigInt(now) } },
+        include: { plan: true },
+        orderBy: { currentPeriodEnd: "asc" },
+        take,
+      });
+    } catch (error) {
+      console.error("Error getting due subscriptions:", error);
+      throw error;
+    }
+  }
+
+  // Canceled subscriptions stop granting access at the end of the paid period
+  async expireCanceledSubscriptions(now) {
+    try {
+      const { count } = await this.prisma.subscription.updateMany({
+        where: { status: "canceled", currentPeriodEnd: { lte: BigInt(now) } },
+        data: { status: "expired" },
+      });
+      return count;
+    } catch (error) {
+      console.error("Error expiring canceled subscriptions:", error);
+      throw error;
+    }
+  }
+
+  // Search operations
+  // Documents are built with the 'simple' configuration (no stemming or stop
+  // words) so usernames, tickers and non-English text match as typed. They
+  // must stay in sync with the GIN indexes of the add_search migration.
+
+  // Conditions hiding blocked users and premium content the viewer has no access to
+  searchVisibility(userColumn, premiumColumn, { blockedIds, publisherIds }) {
+    const conditions = [];
+    if (blockedIds.length > 0) {
+      conditions.push(
+        Prisma.sql`${userColumn} NOT IN (${Prisma.join(blockedIds)})`
+      );
+    }
+    if (premiumColumn) {
+      conditions.push(
+        Prisma.sql`(${premiumColumn} = false OR ${userColumn} IN (${Prisma.join(
+          publisherIds
+        )}))`
+      );
+    }
+    return conditions.length
+      ? Prisma.sql`AND ${Prisma.join(conditions, " AND ")}`
+      : Prisma.empty;
+  }
+
+  /**
+   * Users whose username, name or bio match a tsquery, best matches first.
+   * Every search* method returns `{ results, total }`; results carry `rank`
+   * and a `highlight` fragment of escaped HTML with matches wrapped in
+   * <mark></mark>.
+   */
+  async searchUsers(tsquery, viewer, { skip = 0, take = 10 } = {}) {
+    try {
+      const rows = await this.prisma.$queryRaw`
+        SELECT u.id, u.username, u.name, u."imageUrl", u."hasPremium", u.score,
+          ts_rank(${this.userSearchDocument()}, q.query) AS rank,
+          ts_headline('simple', coalesce(u.bio, ''), q.query, ${SEARCH_HEADLINE_OPTIONS}) AS highlight,
+          count(*) OVER() AS total
+        FROM users u, to_tsquery('simple', ${tsquery}) AS q(query)
+        WHERE ${this.userSearchDocument()} @@ q.query
+          ${this.searchVisibility(Prisma.sql`u.id`, null, viewer)}
+        ORDER BY rank DESC, u.score DESC, u.username ASC
+        OFFSET ${skip} LIMIT ${take}`;
+      return this.searchResults(rows);
+    } catch (error) {
+      console.error("Error searching users:", error);
+      throw error;
+    }
+  }
+
+  userSearchDocument() {
+    return Prisma.sql`(
+      setweight(to_tsvector('simple', u."username"), 'A') ||
+      setweight(to_tsvector('simple', u."name"), 'A') ||
+      setweight(to_tsvector('simple', coalesce(u."bio", '')), 'B')
+    )`;
+  }
+
+  async searchPosts(tsquery, viewer, { skip = 0, take = 10 } = {}) {
+    try {
+      const rows = await this.prisma.$queryRaw`
+        SELECT p.id, p.content, p."postImageHref", p.date, p."isPremium",
+          u.username, u.name, u."imageUrl",
+          ts_rank(to_tsvector('simple', p."content"), q.query) AS rank,
+          ts_headline('simple', p.content, q.query, ${SEARCH_HEADLINE_OPTIONS}) AS highlight,
+          count(*) OVER() AS total
+        FROM posts p
+          JOIN users u ON u.id = p."userId",
+          to_tsquery('simple', ${tsquery}) AS q(query)
+        WHERE to_tsvector('simple', p."content") @@ q.query
+          ${this.searchVisibility(
+            Prisma.sql`p."userId"`,
+            Prisma.sql`p."isPremium"`,
+            viewer
+          )}
+        ORDER BY rank DESC, p.date DESC
+        OFFSET ${skip} LIMIT ${take}`;
+      return this.searchResults(rows);
+    } catch (error) {
+      console.error("Error searching posts:", error);
+      throw error;
+    }
+  }
+
+  async searchSignals(tsquery, viewer, { skip = 0, take = 10 } = {}) {
+    try {
+      const rows = await this.prisma.$queryRaw`
+        SELECT s.id, s."marketName", s.direction, s.status, s.date, s."isPremium",
+          s.description, u.username, u.name, u."imageUrl",
+          ts_rank(${this.signalSearchDocument()}, q.query) AS rank,
+          ts_headline('simple', coalesce(s.description, ''), q.query, ${SEARCH_HEADLINE_OPTIONS}) AS highlight,
+          count(*) OVER() AS total
+        FROM signals s
+          JOIN users u ON u.id = s."userId",
+          to_tsquery('simple', ${tsquery}) AS q(query)
+        WHERE ${this.signalSearchDocument()} @@ q.query
+          ${this.searchVisibility(
+            Prisma.sql`s."userId"`,
+            Prisma.sql`s."isPremium"`,
+            viewer
+          )}
+        ORDER BY rank DESC, s.date DESC
+        OFFSET ${skip} LIMIT ${take}`;
+      return this.searchResults(rows);
+    } catch (error) {
+      console.error("Error searching signals:", error);
+      throw error;
+    }
+  }
+
+  signalSearchDocument() {
+    return Prisma.sql`(
+      setweight(to_tsvector('simple', replace(s."marketName", '/', ' ')), 'A') ||
+      setweight(to_tsvector('simple', coalesce(s."description", '')), 'B')
+    )`;
+  }
+
+  async searchNews(tsquery, viewer, { skip = 0, take = 10 } = {}) {
+    try {
+      const rows = await this.prisma.$queryRaw`
+        SELECT n.id, n.url, n.title, n.description, n."imageUrl", n.source, n."publishedAt",
+          ts_rank(to_tsvector('simple', n."title"), q.query) AS rank,
+          ts_headline('simple', n.title, q.query, ${SEARCH_HEADLINE_OPTIONS}) AS highlight,
+          count(*) OVER() AS total
+        FROM news_articles n, to_tsquery('simple', ${tsquery}) AS q(query)
+        WHERE to_tsvector('simple', n."title") @@ q.query
+        ORDER BY rank DESC, n."publishedAt" DESC
+        OFFSET ${skip} LIMIT ${take}`;
+      return this.searchResults(rows);
+    } catch (error) {
+      console.error("Error searching news:", error);
+      throw error;
+    }
+  }
+
+  // Split the window count off search rows and turn highlights into HTML
+  searchResults(rows) {
+    return {
+      results: rows.map(({ total, highlight, ...row }) => ({
+        ...row,
+        highlight: highlightHtml(highlight),
+      })),
+      total: rows.length ? Number(rows[0].total) : 0,
+    };
+  }
+
+  // Store news articles, updating ones seen before (matched by url)
+  async saveNewsArticles(articles) {
+    try {
+      for (const article of articles) {
+        if (!article.url || article.url === "#") continue;
+
+        const data = {
+          title: article.title,
+          description: article.description || null,
+          imageUrl: article.image_url || null,
+          source: article.source?.title || null,
+          publishedAt: new Date(article.published_at),
+        };
+        await this.prisma.newsArticle.upsert({
+          where: { url: article.url },
+          update: data,
+          create: { url: article.url, ...data },
+        });
+      }
+    } catch (error) {
+      console.error("Error saving news articles:", error);
+      throw error;
+    }
+  }
+
+  // Candle cache operations
+  // Candles are returned in ccxt's shape: [timestamp, open, high, low, close, volume]
+  async getCandles(exchange, market, timeframe, fromMs, toMs) {
+    try {
+      const candles = await this.prisma.candle.findMany({
+        where: {
+          exchange,
+          market,
+          timeframe,
+          timestamp: { gte: BigInt(fromMs), lte: BigInt(toMs) },
+        },
+        orderBy: { timestamp: "asc" },
+      });
+
+      return candles.map((c) => [
+        Number(c.timestamp),
+        c.open,
+        c.high,
+        c.low,
+        c.close,
+        c.volume,
+      ]);
+    } catch (error) {
+      console.error(`Error getting candles for ${exchange} ${market}:`, error);
+      throw error;
+    }
+  }
+
+  async saveCandles(exchange, market, timeframe, candles) {
+    try {
+      if (!candles.length) return 0;
+
+      const { count } = await this.prisma.candle.createMany({
+        data: candles.map((c) => ({
+          exchange,
+          market,
+          timeframe,
+          timestamp: BigInt(c[0]),
+          open: Number(c[1]),
+          high: Number(c[2]),
+          low: Number(c[3]),
+          close: Number(c[4]),
+          volume: Number(c[5] || 0),
+        })),
+        skipDuplicates: true,
+      });
+      return count;
+    } catch (error) {
+      console.error(`Error saving candles for ${exchange} ${market}:`, error);
+      throw error;
+    }
+  }
+
+  // Fetched ranges overlapping [fromMs, toMs] as { startTime, endTime } in ms
+  async getCandleRanges(exchange, market, timeframe, fromMs, toMs) {
+    try {
+      const ranges = await this.prisma.candleRange.findMany({
+        where: {
+          exchange,
+          market,
+          timeframe,
+          startTime: { lte: BigInt(toMs) },
+          endTime: { gte: BigInt(fromMs) },
+        },
+        orderBy: { startTime: "asc" },
+      });
+
+      return ranges.map((range) => ({
+        startTime: Number(range.startTime),
+        endTime: Number(range.endTime),
+      }));
+    } catch (error) {
+      console.error(
+        `Error getting candle ranges for ${exchange} ${market}:`,
+        error
+      );
+      throw error;
+    }
+  }
+
+  // Record [startMs, endMs] as fetched, merging it with overlapping or adjacent ranges
+  async addCandleRange(
+    exchange,
+    market,
+    timeframe,
+    startMs,
+    endMs,
+    timeframeMs
+  ) {
+    try {
+      return await this.prisma.$transaction(async (tx) => {
+        const key = { exchange, market, timeframe };
+        const touching = await tx.candleRange.findMany({
+          where: {
+            ...key,
+            startTime: { lte: BigInt(endMs + timeframeMs) },
+            endTime: { gte: BigInt(startMs - timeframeMs) },
+          },
+        });
+
+        const startTime = Math.min(
+          startMs,
+          ...touching.map((range) => Number(range.startTime))
+        );
+        const endTime = Math.max(
+          endMs,
+          ...touching.map((range) => Number(range.endTime))
+        );
+
+        if (touching.length) {
+          await tx.candleRange.deleteMany({
+            where: { id: { in: touching.map((range) => range.id) } },
+          });
+        }
+
+        return await tx.candleRange.create({
+          data: {
+            ...key,
+            startTime: BigInt(startTime),
+            endTime: BigInt(endTime),
+          },
+        });
+      });
+    } catch (error) {
+      console.error(
+        `Error saving candle range for ${exchange} ${market}:`,
+        error
+      );
+      throw error;
+    }
+  }
+
+  // Forget every cached candle and fetched range of a market
+  async deleteCandles(exchange, market, timeframe) {
+    try {
+      const key = { exchange, market, timeframe };
+      const [candles] = await this.prisma.$transaction([
+        this.prisma.candle.deleteMany({ where: key }),
+        this.prisma.candleRange.deleteMany({ where: key }),
+      ]);
+      return candles.count;
+    } catch (error) {
+      console.error(`Error deleting candles for ${exchange} ${market}:`, error);
+      throw error;
+    }
+  }
+
+  // Backtest job operations
+  async createBacktestJob(username, params) {
+    try {
+      return await this.prisma.backtestJob.create({
+        data: {
+          params,
+          user: { connect: { username } },
+        },
+        select: this.backtestJobSelect(),
+      });
+    } catch (error) {
+      console.error(`Error creating backtest job for ${username}:`, error);
+      throw error;
+    }
+  }
+
+  // Everything but the (possibly large) result unless asked for
+  backtestJobSelect(includeResult = false) {
+    return {
+      id: true,
+      status: true,
+      params: true,
+      result: includeResult,
+      error: true,
+      progress: true,
+      startedAt: true,
+      finishedAt: true,
+      createdAt: true,
+      updatedAt: true,
+      user: { select: { username: true } },
+    };
+  }
+
+  async getBacktestJob(jobId, includeResult = false) {
+    try {
+      return await this.prisma.backtestJob.findUnique({
+        where: { id: jobId },
+        select: this.backtestJobSelect(includeResult),
+      });
+    } catch (error) {
+      console.error(`Error getting backtest job ${jobId}:`, error);
+      throw error;
+    }
+  }
+
+  async getUserBacktestJobs(username) {
+    try {
+      return await this.prisma.backtestJob.findMany({
+        where: { user: { username } },
+        select: this.backtestJobSelect(),
+        orderBy: { createdAt: "desc" },
+      });
+    } catch (error) {
+      console.error(`Error getting backtest jobs for ${username}:`, error);
+      throw error;
+    }
+  }
+
+  async getQueuedBacktestJobIds() {
+    try {
+      const jobs = await this.prisma.backtestJob.findMany({
+        where: { status: "queued" },
+        select: { id: true },
+        orderBy: { createdAt: "asc" },
+      });
+      return jobs.map((job) => job.id);
+    } catch (error) {
+      console.error("Error getting queued backtest jobs:", error);
+      throw error;
+    }
+  }
+
+  // Jobs left running by a previous process never finish, so queue them again
+  async requeueRunningBacktestJobs() {
+    try {
+      const { count } = await this.prisma.backtestJob.updateMany({
+        where: { status: "running" },
+        data: { status: "queued", progress: 0, startedAt: null },
+      });
+      return count;
+    } catch (error) {
+      console.error("Error requeueing backtest jobs:", error);
+      throw error;
+    }
+  }
+
+  // Move a queued job to running; false if another worker took it first
+  async claimBacktestJob(jobId) {
+    try {
+      const { count } = await this.prisma.backtestJob.updateMany({
+        where: { id: jobId, status: "queued" },
+        data: { status: "running", startedAt: BigInt(Date.now()) },
+      });
+      return count > 0;
+    } catch (error) {
+      console.error(`Error claiming backtest job ${jobId}:`, error);
+      throw error;
+    }
+  }
+
+  async updateBacktestJob(jobId, data) {
+    try {
+      const updateData = { ...data };
+      if (data.finishedAt !== undefined) {
+        updateData.finishedAt =
+          data.finishedAt === null ? null : BigInt(data.finishedAt);
+      }
+
+      return await this.prisma.backtestJob.update({
+        where: { id: jobId },
+        data: updateData,
+        select: this.backtestJobSelect(),
+      });
+    } catch (error) {
+      console.error(`Error updating backtest job ${jobId}:`, error);
+      throw error;
+    }
+  }
+
   // Generic operations for backward compatibility
   async get(key) {
     // This method maintains Redis-like interface for backward compatibility
@@ -0,0 +1,189 @@
+const databaseService = require("./database.service");
+
+const FEED_SORTS = ["latest", "forYou"];
+const DEFAULT_LIMIT = 20;
+const MAX_LIMIT = 50;
+
+const HOUR_MS = 60 * 60 * 1000;
+// "For you" ranks the most recent content of this window
+const FOR_YOU_WINDOW_MS = 7 * 24 * HOUR_MS;
+const FOR_YOU_CANDIDATES = 300;
+// Higher gravity makes older items sink faster
+const FOR_YOU_GRAVITY = 1.5;
+
+/**
+ * Home feed of the posts and signals of the users someone follows, without
+ * anyone they blocked or who blocked them.
+ *
+ * "latest" interleaves both by date, newest first, with a keyset cursor.
+ * "forYou" ranks recent items by engagement, publisher score and age; its
+ * cursor pins the ranking to the time of the first page.
+ */
+class FeedService {
+  /**
+   * Validate feed query parameters and fill in defaults.
+   * @returns {{options: Object|null, error: string|null}}
+   */
+  normalizeOptions(query = {}) {
+    const fail = (error) => ({ options: null, error });
+
+    const sort = query.sort || "latest";
+    if (!FEED_SORTS.includes(sort)) {
+      return fail(`sort must be one of: ${FEED_SORTS.join(", ")}`);
+    }
+
+    let cursor = null;
+    if (query.cursor) {
+      cursor = this.decodeCursor(sort, query.cursor);
+      if (!cursor) return fail("Invalid cursor");
+    }
+
+    const limit = Math.min(
+      Math.max(parseInt(query.limit) || DEFAULT_LIMIT, 1),
+      MAX_LIMIT
+    );
+
+    return { options: { sort, cursor, limit }, error: null };
+  }
+
+  // "latest" cursors are the last item's "<date>:<id>", "forYou" ones "<anchor>:<offset>"
+  encodeCursor(...parts) {
+    return Buffer.from(parts.join(":")).toString("base64url");
+  }
+
+  decodeCursor(sort, cursor) {
+    const [first, second] = Buffer.from(String(cursor), "base64url")
+      .toString()
+      .split(":");
+    if (!/^\d+$/.test(first || "") || !second) return null;
+
+    if (sort === "forYou") {
+      if (!/^\d+$/.test(second)) return null;
+      return { anchor: Number(first), offset: Number(second) };
+    }
+    return { date: BigInt(first), id: second };
+  }
+
+  /**
+   * @param {string} username - The user whose feed to build
+   * @returns {Promise<{items: Array, hasMore: boolean, nextCursor: string|null}|null>}
+   *   null if the user does not exist
+   */
+  async getFeed(username, options, now = Date.now()) {
+    const audience = await databaseService.getFeedPublisherIds(username);
+    if (!audience) return null;
+    if (audience.publisherIds.length === 0) {
+      return { items: [], hasMore: false, nextCursor: null };
+    }
+
+    return options.sort === "forYou"
+      ? this.getRankedFeed(audience.publisherIds, options, now)
+      : this.getLatestFeed(audience.publisherIds, options);
+  }
+
+  async getLatestFeed(publisherIds, { cursor, limit }) {
+    const where = { userId: { in: publisherIds } };
+    if (cursor) {
+      where.OR = [
+        { date: { lt: cursor.date } },
+        { date: cursor.date, id: { lt: cursor.id } },
+      ];
+    }
+    const query = {
+      where,
+      orderBy: [{ date: "desc" }, { id: "desc" }],
+      take: limit + 1,
+    };
+
+    // Each page can come entirely from either type, so fetch a full page of both
+    const [posts, signals] = await Promise.all([
+      databaseService.getAllPosts(query),
+      databaseService.getAllSignals(query),
+    ]);
+
+    const merged = this.toItems(posts, signals).sort(
+      (a, b) => this.compare(b.date, a.date) || this.compare(b.id, a.id)
+    );
+    const items = merged.slice(0, limit);
+    const hasMore = merged.length > limit;
+    const last = items[items.length - 1];
+
+    return {
+      items,
+      hasMore,
+      nextCursor: hasMore ? this.encodeCursor(last.date, last.id) : null,
+    };
+  }
+
+  async getRankedFeed(publisherIds, { cursor, limit }, now) {
+    const anchor = cursor ? cursor.anchor : now;
+    const offset = cursor ? cursor.offset : 0;
+    const query = {
+      where: {
+        userId: { in: publisherIds },
+        date: {
+          gte: BigInt(anchor - FOR_YOU_WINDOW_MS),
+          lte: BigInt(anchor),
+        },
+      },
+      orderBy: [{ date: "desc" }, { id: "desc" }],
+      take: FOR_YOU_CANDIDATES,
+    };
+
+    const [posts, signals, publishers] = await Promise.all([
+      databaseService.getAllPosts(query),
+      databaseService.getAllSignals(query),
+      databaseService.getUsersByIds(publisherIds),
+    ]);
+
+    const ranked = this.toItems(posts, signals)
+      .map((item) => ({
+        ...item,
+        rank: this.rank(item, publishers.get(item.userId), anchor),
+      }))
+      .sort((a, b) => b.rank - a.rank || this.compare(b.date, a.date));
+
+    const items = ranked.slice(offset, offset + limit);
+    const hasMore = ranked.length > offset + limit;
+
+    return {
+      items,
+      hasMore,
+      nextCursor: hasMore ? this.encodeCursor(anchor, offset + limit) : null,
+    };
+  }
+
+  // Engagement and publisher score push an item up, age pulls it down
+  rank(item, publisher, now) {
+    const content = item[item.type];
+    const engagement =
+      content.likes.length +
+      2 * (content.comments ? content.comments.length : 0);
+    const publisherScore = Math.max(publisher ? publisher.score : 0, 0);
+    const ageHours = Math.max(now - Number(item.date), 0) / HOUR_MS;
+
+    return (
+      ((1 + Math.log1p(engagement)) * (1 + Math.log1p(publisherScore))) /
+      Math.pow(ageHours + 2, FOR_YOU_GRAVITY)
+    );
+  }
+
+  toItems(posts, signals) {
+    const item = (type) => (content) => ({
+      type,
+      id: content.id,
+      userId: content.userId,
+      date: content.date,
+      [type]: content,
+    });
+    return [...posts.map(item("post")), ...signals.map(item("signal"))];
+  }
+
+  compare(a, b) {
+    return a < b ? -1 : a > b ? 1 : 0;
+  }
+}
+
+// Create and export a singleton instance
+const feedService = new FeedService();
+module.exports = feedService;
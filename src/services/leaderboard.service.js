@@ -0,0 +1,146 @@
+const databaseService = require("./database.service");
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// Rolling windows over signal close times; null means all time
+const LEADERBOARD_WINDOWS = {
+  "7d": 7 * DAY_MS,
+  "30d": 30 * DAY_MS,
+  all: null,
+};
+const LEADERBOARD_METRICS = ["score", "winRate"];
+
+const DEFAULT_LIMIT = 20;
+const MAX_LIMIT = 100;
+// Win rates of publishers with only a few signals say little
+const DEFAULT_MIN_SIGNALS_FOR_WIN_RATE = 5;
+
+/**
+ * Publisher rankings computed with aggregate queries over closed signals,
+ * so only one row per publisher ever leaves the database.
+ */
+class LeaderboardService {
+  /**
+   * Validate leaderboard query parameters and fill in defaults.
+   * @returns {{options: Object|null, error: string|null}}
+   */
+  normalizeOptions(query = {}) {
+    const fail = (error) => ({ options: null, error });
+
+    const metric = query.metric || "score";
+    if (!LEADERBOARD_METRICS.includes(metric)) {
+      return fail(`metric must be one of: ${LEADERBOARD_METRICS.join(", ")}`);
+    }
+
+    const window = query.window || "all";
+    if (!(window in LEADERBOARD_WINDOWS)) {
+      return fail(
+        `window must be one of: ${Object.keys(LEADERBOARD_WINDOWS).join(", ")}`
+      );
+    }
+
+    const defaultMinSignals =
+      metric === "winRate" ? DEFAULT_MIN_SIGNALS_FOR_WIN_RATE : 1;
+    const minSignals =
+      query.minSignals === undefined
+        ? defaultMinSignals
+        : parseInt(query.minSignals);
+    if (!Number.isInteger(minSignals) || minSignals < 1) {
+      return fail("minSignals must be a positive integer");
+    }
+
+    const limit = Math.min(parseInt(query.limit) || DEFAULT_LIMIT, MAX_LIMIT);
+    const offset = Math.max(parseInt(query.offset) || 0, 0);
+
+    return {
+      options: {
+        metric,
+        window,
+        market: query.market || null,
+        quoteAsset: query.quoteAsset || null,
+        minSignals,
+        limit,
+        offset,
+      },
+      error: null,
+    };
+  }
+
+  async getLeaderboard(options, now = Date.now()) {
+    const windowMs = LEADERBOARD_WINDOWS[options.window];
+    const filters = {
+      since: windowMs ? now - windowMs : null,
+      marketName: options.market,
+      quoteAsset: options.quoteAsset,
+    };
+
+    const rows =
+      options.metric === "winRate"
+        ? await this.rankByWinRate(filters, options)
+        : await this.rankByScore(filters, options);
+
+    const users = await databaseService.getUsersByIds(
+      rows.map((row) => row.userId)
+    );
+
+    return rows
+      .filter((row) => users.has(row.userId))
+      .map((row, index) => {
+        const { score: _, ...user } = users.get(row.userId);
+        return {
+          rank: options.offset + index + 1,
+          user,
+          score: row.score,
+          signals: row.signals,
+          wins: row.wins,
+          winRate: row.signals ? row.wins / row.signals : 0,
+          averageScore: row.signals ? row.score / row.signals : 0,
+        };
+      });
+  }
+
+  // Highest summed score first; only the requested page is aggregated in full
+  async rankByScore(filters, { minSignals, limit, offset }) {
+    const totals = await databaseService.getPublisherSignalTotals(filters, {
+      minSignals,
+      skip: offset,
+      take: limit,
+    });
+    const wins = await this.countWins(
+      filters,
+      totals.map((t) => t.userId)
+    );
+    return totals.map((t) => ({ ...t, wins: wins.get(t.userId) || 0 }));
+  }
+
+  // Highest share of winning signals first, then more signals, then higher score
+  async rankByWinRate(filters, { minSignals, limit, offset }) {
+    const totals = await databaseService.getPublisherSignalTotals(filters, {
+      minSignals,
+    });
+    const wins = await this.countWins(filters);
+
+    return totals
+      .map((t) => ({ ...t, wins: wins.get(t.userId) || 0 }))
+      .sort(
+        (a, b) =>
+          b.wins / b.signals - a.wins / a.signals ||
+          b.signals - a.signals ||
+          b.score - a.score
+      )
+      .slice(offset, offset + limit);
+  }
+
+  // userId -> number of signals that reached a target, the same wins as user stats
+  async countWins(filters, userIds) {
+    const wins = await databaseService.getPublisherSignalTotals(filters, {
+      winsOnly: true,
+      userIds,
+    });
+    return new Map(wins.map((w) => [w.userId, w.signals]));
+  }
+}
+
+// Create and export a singleton instance
+const leaderboardService = new LeaderboardService();
+module.exports = leaderboardService;
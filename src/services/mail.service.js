@@ -0,0 +1,147 @@
+const fs = require("fs");
+const path = require("path");
+const nodemailer = require("nodemailer");
+
+const DEFAULT_FROM = "Signalist <no-reply@signalisttech.com>";
+
+/**
+ * Sends mail through an SMTP server configured with SMTP_HOST, SMTP_PORT,
+ * SMTP_SECURE, SMTP_USER and SMTP_PASS.
+ */
+class SmtpMailTransport {
+  constructor() {
+    this.name = "smtp";
+    if (!process.env.SMTP_HOST) {
+      throw new Error("SMTP_HOST is required for the smtp mail transport");
+    }
+    const port = parseInt(process.env.SMTP_PORT) || 587;
+    this.transporter = nodemailer.createTransport({
+      host: process.env.SMTP_HOST,
+      port,
+      secure: process.env.SMTP_SECURE
+        ? process.env.SMTP_SECURE === "true"
+        : port === 465,
+      auth: process.env.SMTP_USER
+        ? { user: process.env.SMTP_USER, pass: process.env.SMTP_PASS }
+        : undefined,
+    });
+  }
+
+  /**
+   * @param {Object} message - { from, to, subject, text, html }
+   * @returns {Promise<{id: string|null}>}
+   */
+  async send(message) {
+    const info = await this.transporter.sendMail(message);
+    return { id: info.messageId || null };
+  }
+}
+
+/**
+ * Local stand-in for SMTP: writes every message as a JSON file into MAIL_DIR
+ * ("mail" by default), so links in them can be followed during development.
+ */
+class FileMailTransport {
+  constructor() {
+    this.name = "file";
+    this.dir = path.resolve(process.env.MAIL_DIR || "mail");
+  }
+
+  async send(message) {
+    await fs.promises.mkdir(this.dir, { recursive: true });
+    const id = `${Date.now()}-${Math.random().toString(36).slice(2, 8)}`;
+    await fs.promises.writeFile(
+      path.join(this.dir, `${id}.json`),
+      JSON.stringify({ ...message, sentAt: new Date().toISOString() }, null, 2)
+    );
+    return { id };
+  }
+}
+
+/**
+ * Local stand-in for SMTP that logs every message, and keeps it in `sent`
+ * for tests.
+ */
+class ConsoleMailTransport {
+  constructor() {
+    this.name = "console";
+    this.sent = [];
+  }
+
+  async send(message) {
+    this.sent.push(message);
+    console.log(
+      `📧 Mail to ${message.to}: ${message.subject}\n${message.text}`
+    );
+    return { id: null };
+  }
+}
+
+/**
+ * Picks the mail transport. MAIL_TRANSPORT selects one by name ("console" by
+ * default); other transports plug in with register(name, factory) and must
+ * implement send() like ConsoleMailTransport.
+ */
+class MailService {
+  constructor() {
+    this.transport = null;
+    this.factories = new Map([
+      ["smtp", () => new SmtpMailTransport()],
+      ["file", () => new FileMailTransport()],
+      ["console", () => new ConsoleMailTransport()],
+    ]);
+  }
+
+  register(name, factory) {
+    this.factories.set(name, factory);
+  }
+
+  getTransport() {
+    if (!this.transport) {
+      this.transport = this.createTransport(
+        process.env.MAIL_TRANSPORT || "console"
+      );
+    }
+    return this.transport;
+  }
+
+  // Switch transport at runtime, e.g. use("console") in tests
+  use(name, options = {}) {
+    this.transport = this.createTransport(name, options);
+    return this.transport;
+  }
+
+  createTransport(name, options = {}) {
+    const factory = this.factories.get(name);
+    if (!factory) {
+      throw new Error(
+        `Unknown mail transport "${name}" - registered: ${Array.from(
+          this.factories.keys()
+        ).join(", ")}`
+      );
+    }
+    return factory(options);
+  }
+
+  /**
+   * @param {Object} message
+   * @param {string} message.to
+   * @param {string} message.subject
+   * @param {string} message.text
+   * @param {string} [message.html]
+   * @returns {Promise<{id: string|null}>}
+   */
+  async send({ to, subject, text, html }) {
+    return this.getTransport().send({
+      from: process.env.MAIL_FROM || DEFAULT_FROM,
+      to,
+      subject,
+      text,
+      html,
+    });
+  }
+}
+
+// Create and export a singleton instance
+const mailService = new MailService();
+module.exports = mailService;
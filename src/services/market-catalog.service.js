@@ -0,0 +1,292 @@
+const marketDataService = require("./market-data.service");
+const wallexService = require("./wallex.service");
+const { normalizeMarketName } = require("../utils/markets");
+
+// The exchanges getData scores signals with, in the same order
+const CATALOG_EXCHANGES = ["kucoin", "gateio", "mexc", "binance"];
+const WALLEX = "wallex";
+
+const DEFAULT_REFRESH_INTERVAL_MS = 6 * 60 * 60 * 1000;
+const DEFAULT_LIMIT = 100;
+const MAX_LIMIT = 500;
+
+/**
+ * Spot markets listed on the exchanges signals are scored with, plus Wallex,
+ * as { symbol: "BTC/USDT", base, quote, exchanges: ["kucoin", ...] }.
+ *
+ * Symbol lists are loaded on first use and refreshed every
+ * MARKET_CATALOG_REFRESH_INTERVAL_MS. A source that fails to load keeps its
+ * previous list. Until an exchange list has loaded (e.g. offline, or with
+ * candle fixtures instead of ccxt), signal markets are only checked for
+ * their shape.
+ */
+class MarketCatalogService {
+  constructor() {
+    this.intervalMs =
+      parseInt(process.env.MARKET_CATALOG_REFRESH_INTERVAL_MS) ||
+      DEFAULT_REFRESH_INTERVAL_MS;
+    this.timer = null;
+    // source -> { symbols: string[], loadedAt, error }
+    this.sources = new Map();
+    // symbol -> market
+    this.markets = new Map();
+    // "BTCUSDT" -> symbol, to resolve symbols written without a separator
+    this.compactSymbols = new Map();
+    this.loading = null;
+  }
+
+  start() {
+    if (this.timer) return;
+    this.timer = setInterval(() => this.refresh(), this.intervalMs);
+    this.refresh();
+  }
+
+  stop() {
+    if (!this.timer) return;
+    clearInterval(this.timer);
+    this.timer = null;
+  }
+
+  // Load the catalog unless it was loaded before; later loads are the timer's job
+  async ensureLoaded() {
+    if (this.sources.size === 0) await this.refresh();
+  }
+
+  hasExchangeMarkets() {
+    return CATALOG_EXCHANGES.some(
+      (exchangeId) => this.sources.get(exchangeId)?.symbols.length > 0
+    );
+  }
+
+  // Reload every source; concurrent calls share one load
+  refresh() {
+    if (!this.loading) {
+      this.loading = this.loadSources().finally(() => {
+        this.loading = null;
+      });
+    }
+    return this.loading;
+  }
+
+  async loadSources() {
+    const provider = marketDataService.getProvider();
+    const loaders = [[WALLEX, () => this.loadWallexSymbols()]];
+    if (provider.getExchange) {
+      for (const exchangeId of CATALOG_EXCHANGES) {
+        loaders.push([
+          exchangeId,
+          () => this.loadExchangeSymbols(provider, exchangeId),
+        ]);
+      }
+    }
+
+    await Promise.all(
+      loaders.map(async ([source, load]) => {
+        const previous = this.sources.get(source);
+        try {
+          const symbols = await load();
+          this.sources.set(source, {
+            symbols,
+            loadedAt: Date.now(),
+            error: null,
+          });
+        } catch (error) {
+          console.error(`Error loading ${source} markets:`, error.message);
+          this.sources.set(source, {
+            symbols: previous ? previous.symbols : [],
+            loadedAt: previous ? previous.loadedAt : null,
+            error: error.message,
+          });
+        }
+      })
+    );
+
+    this.rebuild();
+  }
+
+  async loadExchangeSymbols(provider, exchangeId) {
+    const markets = await provider.getExchange(exchangeId).loadMarkets();
+    return Object.values(markets)
+      .filter((market) => market.spot && market.active !== false)
+      .map((market) => normalizeMarketName(market.symbol))
+      .filter(Boolean);
+  }
+
+  async loadWallexSymbols() {
+    const { markets } = await wallexService.getMarkets();
+    return markets
+      .map((market) => normalizeMarketName(market.symbol))
+      .filter(Boolean);
+  }
+
+  rebuild() {
+    const markets = new Map();
+    // Sources in a fixed order, so exchanges are listed the way getData tries them
+    for (const source of [...CATALOG_EXCHANGES, WALLEX]) {
+      const loaded = this.sources.get(source);
+      if (!loaded) continue;
+      for (const symbol of loaded.symbols) {
+        if (!markets.has(symbol)) {
+          const [base, quote] = symbol.split("/");
+          markets.set(symbol, { symbol, base, quote, exchanges: [] });
+        }
+        const { exchanges } = markets.get(symbol);
+        if (!exchanges.includes(source)) exchanges.push(source);
+      }
+    }
+
+    this.markets = markets;
+    this.compactSymbols = new Map(
+      Array.from(markets.keys()).map((symbol) => [
+        symbol.replace("/", ""),
+        symbol,
+      ])
+    );
+  }
+
+  /**
+   * Find a market however the client wrote it: "BTC/USDT", "btc-usdt", "BTCUSDT".
+   * @returns {Object|null}
+   */
+  find(value) {
+    if (typeof value !== "string") return null;
+    const normalized = normalizeMarketName(value.replace(/[-_]/, "/"));
+    if (normalized && this.markets.has(normalized)) {
+      return this.markets.get(normalized);
+    }
+    const compact = value.trim().toUpperCase();
+    const symbol = this.compactSymbols.get(compact);
+    return symbol ? this.markets.get(symbol) : null;
+  }
+
+  /**
+   * Canonical market fields for a new signal from the client's market object.
+   * @param {Object} market - { name | marketName, uuid | marketUuid, quoteAsset }
+   * @returns {Promise<{market: Object|null, error: string|null}>}
+   *   market holds marketName, marketUuid and quoteAsset
+   */
+  async resolveSignalMarket(market) {
+    const fail = (error) => ({ market: null, error });
+
+    const name = market?.name || market?.marketName;
+    if (!name) return fail("market name is required");
+
+    await this.ensureLoaded();
+    const uuid = market.uuid || market.marketUuid;
+    const found = this.find(String(name));
+
+    if (!found && !this.hasExchangeMarkets()) {
+      const symbol = normalizeMarketName(String(name).replace(/[-_]/, "/"));
+      if (!symbol) return fail("market name must look like BTC/USDT");
+      return {
+        market: {
+          marketName: symbol,
+          marketUuid: uuid || symbol,
+          quoteAsset: symbol.split("/")[1],
+        },
+        error: null,
+      };
+    }
+
+    if (!found) return fail(`Unknown market: ${name}`);
+    if (
+      market.quoteAsset &&
+      String(market.quoteAsset).toUpperCase() !== found.quote
+    ) {
+      return fail(`quoteAsset does not match ${found.symbol}`);
+    }
+    if (
+      this.hasExchangeMarkets() &&
+      !found.exchanges.some((source) => source !== WALLEX)
+    ) {
+      return fail(
+        `${found.symbol} is not traded on an exchange signals are scored with`
+      );
+    }
+
+    return {
+      market: {
+        marketName: found.symbol,
+        marketUuid: uuid || found.symbol,
+        quoteAsset: found.quote,
+      },
+      error: null,
+    };
+  }
+
+  /**
+   * Validate market list query parameters and fill in defaults.
+   * @returns {{options: Object|null, error: string|null}}
+   */
+  normalizeOptions(query = {}) {
+    const fail = (error) => ({ options: null, error });
+
+    const exchange = query.exchange
+      ? String(query.exchange).toLowerCase()
+      : null;
+    if (exchange && ![...CATALOG_EXCHANGES, WALLEX].includes(exchange)) {
+      return fail(
+        `exchange must be one of: ${[...CATALOG_EXCHANGES, WALLEX].join(", ")}`
+      );
+    }
+
+    return {
+      options: {
+        quote: query.quote ? String(query.quote).toUpperCase() : null,
+        search: query.search
+          ? String(query.search).trim().toUpperCase().replace(/[-_]/, "/")
+          : null,
+        exchange,
+        limit: Math.min(
+          Math.max(parseInt(query.limit) || DEFAULT_LIMIT, 1),
+          MAX_LIMIT
+        ),
+        offset: Math.max(parseInt(query.offset) || 0, 0),
+      },
+      error: null,
+    };
+  }
+
+  /**
+   * @returns {Promise<{markets: Object[], total: number}>}
+   */
+  async getMarkets({ quote, search, exchange, limit, offset }) {
+    await this.ensureLoaded();
+
+    const matches = Array.from(this.markets.values())
+      .filter(
+        (market) =>
+          (!quote || market.quote === quote) &&
+          (!exchange || market.exchanges.includes(exchange)) &&
+          (!search ||
+            market.symbol.includes(search) ||
+            market.symbol.replace("/", "").includes(search))
+      )
+      .sort((a, b) => a.symbol.localeCompare(b.symbol));
+
+    return {
+      markets: matches.slice(offset, offset + limit),
+      total: matches.length,
+    };
+  }
+
+  getStatus() {
+    return {
+      markets: this.markets.size,
+      sources: Object.fromEntries(
+        Array.from(this.sources.entries()).map(([source, loaded]) => [
+          source,
+          {
+            markets: loaded.symbols.length,
+            loadedAt: loaded.loadedAt,
+            error: loaded.error,
+          },
+        ])
+      ),
+    };
+  }
+}
+
+// Create and export a singleton instance
+const marketCatalogService = new MarketCatalogService();
+module.exports = marketCatalogService;
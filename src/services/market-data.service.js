@@ -0,0 +1,210 @@
+const fs = require("fs");
+const path = require("path");
+const ccxt = require("ccxt");
+
+// Candles are arrays in ccxt's shape: [timestamp, open, high, low, close, volume]
+
+/**
+ * Live candles from exchanges through ccxt. Exchange instances are reused so
+ * markets are loaded once per exchange.
+ */
+class CcxtMarketDataProvider {
+  constructor() {
+    this.name = "ccxt";
+    // Network data is worth keeping in the candle cache
+    this.cacheable = true;
+    this.exchanges = new Map();
+  }
+
+  supportsExchange(exchangeId) {
+    return Boolean(ccxt[exchangeId]);
+  }
+
+  // Build exchange instance with sane defaults
+  getExchange(exchangeId) {
+    if (this.exchanges.has(exchangeId)) return this.exchanges.get(exchangeId);
+
+    const ExchangeClass = ccxt[exchangeId];
+    if (!ExchangeClass) {
+      throw new Error(`Unsupported exchangeId: ${exchangeId}`);
+    }
+    const ex = new ExchangeClass({
+      enableRateLimit: true,
+      timeout: 30000,
+    });
+    try {
+      ex.options = { ...(ex.options || {}), defaultType: "spot" };
+    } catch (_) {}
+
+    this.exchanges.set(exchangeId, ex);
+    return ex;
+  }
+
+  // Fetch candles from fromMs up to toMs, page by page
+  async fetchRange(exchangeId, market, timeframe, fromMs, toMs) {
+    const ex = this.getExchange(exchangeId);
+    const tfMs = ccxt.parseTimeframe(timeframe) * 1000 || 60_000;
+
+    try {
+      await ex.loadMarkets();
+    } catch (_) {}
+
+    let since = Math.floor(fromMs / tfMs) * tfMs;
+    const all = [];
+    while (since <= toMs) {
+      let batch = await ex.fetchOHLCV(market, timeframe, since, 1000);
+      if (!batch || batch.length === 0) break;
+      all.push(...batch);
+      const lastTs = batch[batch.length - 1][0];
+      since = lastTs === since ? since + 1 : lastTs + 1;
+    }
+    return all;
+  }
+}
+
+/**
+ * Replays candles from fixture files, for tests and scoring without network.
+ * Files are looked up as `<dir>/<exchange>/<BASE-QUOTE>_<timeframe>.(json|csv)`
+ * and then `<dir>/<BASE-QUOTE>_<timeframe>.(json|csv)` for any exchange.
+ * JSON files hold OHLCV arrays or objects with timestamp/open/high/low/close/volume;
+ * CSV files hold the same columns, with an optional header row. Timestamps may be
+ * Unix ms or ISO8601 strings.
+ */
+class FileMarketDataProvider {
+  constructor(dir) {
+    this.name = "file";
+    // Fixtures are already local, keep them out of the candle cache
+    this.cacheable = false;
+    this.dir = path.resolve(dir);
+    this.files = new Map();
+  }
+
+  supportsExchange() {
+    return true;
+  }
+
+  async fetchRange(exchangeId, market, timeframe, fromMs, toMs) {
+    return this.loadCandles(exchangeId, market, timeframe).filter(
+      (c) => c[0] >= fromMs && c[0] <= toMs
+    );
+  }
+
+  fixturePaths(exchangeId, market, timeframe) {
+    const baseName = `${market.replace("/", "-")}_${timeframe}`;
+    return [path.join(this.dir, exchangeId), this.dir].flatMap((dir) => [
+      path.join(dir, `${baseName}.json`),
+      path.join(dir, `${baseName}.csv`),
+    ]);
+  }
+
+  loadCandles(exchangeId, market, timeframe) {
+    const file = this.fixturePaths(exchangeId, market, timeframe).find((p) =>
+      fs.existsSync(p)
+    );
+    if (!file) {
+      throw new Error(
+        `No candle fixture for ${market} ${timeframe} on ${exchangeId} in ${this.dir}`
+      );
+    }
+
+    if (!this.files.has(file)) {
+      const text = fs.readFileSync(file, "utf8");
+      const rows = file.endsWith(".csv")
+        ? this.parseCsv(text)
+        : this.parseJson(text);
+      this.files.set(
+        file,
+        rows.map((row) => this.toCandle(row)).sort((a, b) => a[0] - b[0])
+      );
+    }
+    return this.files.get(file);
+  }
+
+  parseJson(text) {
+    const rows = JSON.parse(text);
+    if (!Array.isArray(rows)) {
+      throw new Error("Candle fixture must contain an array of candles");
+    }
+    return rows.map((row) =>
+      Array.isArray(row)
+        ? row
+        : [row.timestamp, row.open, row.high, row.low, row.close, row.volume]
+    );
+  }
+
+  parseCsv(text) {
+    const rows = text
+      .split(/\r?\n/)
+      .map((line) => line.trim())
+      .filter(Boolean)
+      .map((line) => line.split(",").map((cell) => cell.trim()));
+
+    // Skip the header row if there is one
+    if (rows.length && isNaN(Number(rows[0][1]))) rows.shift();
+    return rows;
+  }
+
+  toCandle(row) {
+    const [timestamp, open, high, low, close, volume = 0] = row;
+    const ts = /^\d+$/.test(String(timestamp))
+      ? Number(timestamp)
+      : Date.parse(timestamp);
+    if (!Number.isFinite(ts)) {
+      throw new Error(`Invalid candle timestamp in fixture: ${timestamp}`);
+    }
+    return [
+      ts,
+      Number(open),
+      Number(high),
+      Number(low),
+      Number(close),
+      Number(volume),
+    ];
+  }
+}
+
+/**
+ * Picks where candles come from. MARKET_DATA_PROVIDER selects "ccxt" (default)
+ * or "file"; the file provider reads fixtures from MARKET_DATA_DIR.
+ */
+class MarketDataService {
+  constructor() {
+    this.provider = null;
+  }
+
+  getProvider() {
+    if (!this.provider) {
+      this.provider = this.createProvider(
+        process.env.MARKET_DATA_PROVIDER || "ccxt",
+        { dir: process.env.MARKET_DATA_DIR }
+      );
+    }
+    return this.provider;
+  }
+
+  // Switch provider at runtime, e.g. use("file", { dir: "fixtures/candles" })
+  use(name, options = {}) {
+    this.provider = this.createProvider(name, options);
+    return this.provider;
+  }
+
+  createProvider(name, { dir } = {}) {
+    switch (name) {
+      case "ccxt":
+        return new CcxtMarketDataProvider();
+      case "file":
+        if (!dir) {
+          throw new Error("MARKET_DATA_DIR is required for the file provider");
+        }
+        return new FileMarketDataProvider(dir);
+      default:
+        throw new Error(
+          `Unknown market data provider "${name}" - use "ccxt" or "file"`
+        );
+    }
+  }
+}
+
+// Create and export a singleton instance
+const marketDataService = new MarketDataService();
+module.exports = marketDataService;
@@ -0,0 +1,154 @@
+const priceFeedService = require("./price-feed.service");
+const { normalizeMarketName } = require("../utils/markets");
+
+const DEFAULT_INTERVAL_MS = 5000;
+const MAX_MARKETS_PER_SOCKET = 50;
+
+/**
+ * Live market prices over Socket.io. Clients send "subscribeMarket" and
+ * "unsubscribeMarket" with a market symbol (or a list of them) and receive
+ * "marketPrice" events with { market, price, high, low, change24h, at }.
+ *
+ * Each market has a single upstream poller no matter how many sockets
+ * watch it, and its price is fanned out to the market's room at most once
+ * per poll interval, only when it changed. New subscribers get the last
+ * known price right away. A poller stops once its room is empty.
+ */
+class MarketStreamService {
+  constructor() {
+    this.io = null;
+    this.intervalMs =
+      parseInt(process.env.MARKET_STREAM_INTERVAL_MS) || DEFAULT_INTERVAL_MS;
+    // marketName -> { timer, isPolling, last }
+    this.pollers = new Map();
+  }
+
+  // Socket.io server to stream through, set once at startup
+  setIo(io) {
+    this.io = io;
+  }
+
+  room(marketName) {
+    return `market:${marketName}`;
+  }
+
+  // Sockets currently watching a market
+  audience(marketName) {
+    const room = this.io?.sockets.adapter.rooms.get(this.room(marketName));
+    return room ? room.size : 0;
+  }
+
+  /**
+   * @param {Object} socket
+   * @param {string|string[]} markets
+   * @returns {{markets: string[], error: string|null}} the markets subscribed to
+   */
+  subscribe(socket, markets) {
+    const marketNames = this.normalizeMarkets(markets);
+    if (!marketNames) {
+      return { markets: [], error: "markets must look like BTC/USDT" };
+    }
+
+    const watching = Array.from(socket.rooms).filter((room) =>
+      room.startsWith("market:")
+    ).length;
+    const added = marketNames.filter(
+      (marketName) => !socket.rooms.has(this.room(marketName))
+    );
+    if (watching + added.length > MAX_MARKETS_PER_SOCKET) {
+      return {
+        markets: [],
+        error: `You can watch at most ${MAX_MARKETS_PER_SOCKET} markets`,
+      };
+    }
+
+    for (const marketName of marketNames) {
+      socket.join(this.room(marketName));
+      const poller = this.pollers.get(marketName);
+      if (poller?.last) {
+        socket.emit("marketPrice", poller.last);
+      } else if (!poller) {
+        this.startPoller(marketName);
+      }
+    }
+    return { markets: marketNames, error: null };
+  }
+
+  unsubscribe(socket, markets) {
+    const marketNames = this.normalizeMarkets(markets);
+    if (!marketNames) {
+      return { markets: [], error: "markets must look like BTC/USDT" };
+    }
+
+    for (const marketName of marketNames) {
+      socket.leave(this.room(marketName));
+    }
+    return { markets: marketNames, error: null };
+  }
+
+  normalizeMarkets(markets) {
+    const list = Array.isArray(markets) ? markets : [markets];
+    const marketNames = list.map(normalizeMarketName);
+    if (list.length === 0 || marketNames.includes(null)) return null;
+    return [...new Set(marketNames)];
+  }
+
+  startPoller(marketName) {
+    const poller = { timer: null, isPolling: false, last: null };
+    poller.timer = setInterval(() => this.poll(marketName), this.intervalMs);
+    this.pollers.set(marketName, poller);
+    this.poll(marketName);
+  }
+
+  stopPoller(marketName) {
+    const poller = this.pollers.get(marketName);
+    if (!poller) return;
+    clearInterval(poller.timer);
+    this.pollers.delete(marketName);
+  }
+
+  // Stop every poller, e.g. on shutdown
+  stop() {
+    for (const marketName of Array.from(this.pollers.keys())) {
+      this.stopPoller(marketName);
+    }
+  }
+
+  async poll(marketName) {
+    const poller = this.pollers.get(marketName);
+    if (!poller || poller.isPolling) return;
+
+    if (this.audience(marketName) === 0) {
+      this.stopPoller(marketName);
+      return;
+    }
+
+    poller.isPolling = true;
+    try {
+      const ticker = await priceFeedService.getProvider().getTicker(marketName);
+      if (!ticker || ticker.price === poller.last?.price) return;
+
+      poller.last = { market: marketName, ...ticker };
+      this.io.to(this.room(marketName)).emit("marketPrice", poller.last);
+    } catch (error) {
+      console.error(`Error streaming ${marketName}:`, error.message);
+    } finally {
+      poller.isPolling = false;
+    }
+  }
+
+  getStatus() {
+    return {
+      intervalMs: this.intervalMs,
+      markets: Array.from(this.pollers.keys()).map((marketName) => ({
+        market: marketName,
+        subscribers: this.audience(marketName),
+        price: this.pollers.get(marketName).last?.price ?? null,
+      })),
+    };
+  }
+}
+
+// Create and export a singleton instance
+const marketStreamService = new MarketStreamService();
+module.exports = marketStreamService;
@@ -0,0 +1,176 @@
+const databaseService = require("./database.service");
+
+const DEFAULT_LIMIT = 20;
+const MAX_LIMIT = 100;
+
+/**
+ * Stores notifications and pushes them to the recipient's personal Socket.io
+ * room (the username joined on "authenticate") as a "notification" event.
+ *
+ * Notifying never fails the action that caused it: errors are logged and
+ * swallowed. Users are not notified about their own actions or about users
+ * they blocked or were blocked by.
+ */
+class NotificationService {
+  constructor() {
+    this.io = null;
+  }
+
+  // Socket.io server to push notifications through, set once at startup
+  setIo(io) {
+    this.io = io;
+  }
+
+  /**
+   * @param {string[]} recipientIds
+   * @param {Object} notification
+   * @param {string} notification.type
+   * @param {string} [notification.actorId]
+   * @param {string} [notification.postId]
+   * @param {string} [notification.signalId]
+   * @param {Object} [notification.data]
+   */
+  async notify(recipientIds, { type, actorId, postId, signalId, data }) {
+    try {
+      let recipients = [...new Set(recipientIds)].filter(
+        (id) => id && id !== actorId
+      );
+      if (actorId && recipients.length > 0) {
+        const blocked = new Set(
+          await databaseService.getBlockedUserIds(actorId)
+        );
+        recipients = recipients.filter((id) => !blocked.has(id));
+      }
+      if (recipients.length === 0) return [];
+
+      const notifications = await databaseService.createNotifications(
+        recipients.map((userId) => ({
+          userId,
+          actorId: actorId || null,
+          type,
+          postId: postId || null,
+          signalId: signalId || null,
+          data: data || undefined,
+        }))
+      );
+
+      for (const notification of notifications) {
+        this.push(notification);
+      }
+      return notifications;
+    } catch (error) {
+      console.error(`Error sending ${type} notifications:`, error);
+      return [];
+    }
+  }
+
+  push(notification) {
+    if (!this.io) return;
+    const { user, ...payload } = notification;
+    this.io.to(user.username).emit("notification", payload);
+  }
+
+  async notifyFollow(followerUsername, followingUsername) {
+    try {
+      const [follower, following] = await Promise.all([
+        databaseService.getUserSummary(followerUsername),
+        databaseService.getUserSummary(followingUsername),
+      ]);
+      if (!follower || !following) return [];
+      return this.notify([following.id], {
+        type: "follow",
+        actorId: follower.id,
+      });
+    } catch (error) {
+      console.error("Error sending follow notification:", error);
+      return [];
+    }
+  }
+
+  async notifyPostLike(post, likerId) {
+    return this.notify([post.userId], {
+      type: "post_like",
+      actorId: likerId,
+      postId: post.id,
+    });
+  }
+
+  async notifyPostComment(post, comment) {
+    return this.notify([post.userId], {
+      type: "post_comment",
+      actorId: comment.publisherId,
+      postId: post.id,
+      data: { commentId: comment.commentId, body: comment.body },
+    });
+  }
+
+  async notifySignalLike(signal, likerId) {
+    return this.notify([signal.userId], {
+      type: "signal_like",
+      actorId: likerId,
+      signalId: signal.id,
+    });
+  }
+
+  /**
+   * Tell everyone who bookmarked a signal that it moved.
+   * @param {Object} signal
+   * @param {string} type - "signal_opened", "signal_target_hit" or "signal_closed"
+   * @param {Object} [data]
+   * @param {Object} [lockedData] - Sent instead of data to bookmarkers who
+   *   cannot see a premium signal
+   */
+  async notifySignalEvent(signal, type, data = {}, lockedData = data) {
+    try {
+      const bookmarkerIds = await databaseService.getSignalBookmarkerIds(
+        signal.id
+      );
+      // Like subscriptionService.canView: the publisher and paying subscribers
+      const viewerIds =
+        signal.isPremium && lockedData !== data
+          ? new Set([
+              signal.userId,
+              ...(await databaseService.getPaidSubscriberIds(
+                signal.userId,
+                bookmarkerIds
+              )),
+            ])
+          : null;
+      const canView = (id) => !viewerIds || viewerIds.has(id);
+
+      const send = (recipientIds, eventData) =>
+        this.notify(recipientIds, {
+          type,
+          signalId: signal.id,
+          data: { market: signal.marketName, ...eventData },
+        });
+      const sent = await Promise.all([
+        send(bookmarkerIds.filter(canView), data),
+        send(
+          bookmarkerIds.filter((id) => !canView(id)),
+          lockedData
+        ),
+      ]);
+      return sent.flat();
+    } catch (error) {
+      console.error(`Error sending ${type} notifications:`, error);
+      return [];
+    }
+  }
+
+  // Notification list query parameters with defaults filled in
+  normalizeListOptions(query = {}) {
+    return {
+      cursor: query.cursor || null,
+      limit: Math.min(
+        Math.max(parseInt(query.limit) || DEFAULT_LIMIT, 1),
+        MAX_LIMIT
+      ),
+      unreadOnly: query.unread === "true",
+    };
+  }
+}
+
+// Create and export a singleton instance
+const notificationService = new NotificationService();
+module.exports = notificationService;
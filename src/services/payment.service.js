@@ -0,0 +1,87 @@
+const { v4: uuidv4 } = require("uuid");
+
+/**
+ * Local stand-in for a payment processor, for development and tests. Every
+ * charge succeeds unless the payment method is "fake_declined".
+ */
+class FakePaymentProvider {
+  constructor() {
+    this.name = "fake";
+    this.charges = [];
+  }
+
+  /**
+   * @param {Object} charge
+   * @param {number} charge.amount - In the currency's major unit, e.g. 9.99
+   * @param {string} charge.currency - e.g. "USD"
+   * @param {string} charge.customerId - Id of the paying user
+   * @param {string} charge.description
+   * @param {string} [charge.paymentMethod] - Provider-specific token; the
+   *   provider's stored method for the customer is used when absent (renewals)
+   * @returns {Promise<{status: string, reference: string|null, reason: string|null}>}
+   *   status is "succeeded" or "declined"
+   */
+  async charge({ amount, currency, customerId, description, paymentMethod }) {
+    if (paymentMethod === "fake_declined") {
+      return { status: "declined", reference: null, reason: "Card declined" };
+    }
+
+    const reference = `fake_${uuidv4()}`;
+    this.charges.push({
+      reference,
+      amount,
+      currency,
+      customerId,
+      description,
+      createdAt: Date.now(),
+    });
+    return { status: "succeeded", reference, reason: null };
+  }
+}
+
+/**
+ * Picks the payment provider. PAYMENT_PROVIDER selects one by name ("fake" by
+ * default); real processors plug in with register(name, factory) and must
+ * implement charge() like FakePaymentProvider.
+ */
+class PaymentService {
+  constructor() {
+    this.provider = null;
+    this.factories = new Map([["fake", () => new FakePaymentProvider()]]);
+  }
+
+  register(name, factory) {
+    this.factories.set(name, factory);
+  }
+
+  getProvider() {
+    if (!this.provider) {
+      this.provider = this.createProvider(
+        process.env.PAYMENT_PROVIDER || "fake"
+      );
+    }
+    return this.provider;
+  }
+
+  // Switch provider at runtime, e.g. use("fake") in tests
+  use(name, options = {}) {
+    this.provider = this.createProvider(name, options);
+    return this.provider;
+  }
+
+  createProvider(name, options = {}) {
+    const factory = this.factories.get(name);
+    if (!factory) {
+      throw new Error(
+        `Unknown payment provider "${name}" - registered: ${Array.from(
+          this.factories.keys()
+        ).join(", ")}`
+      );
+    }
+    return factory(options);
+  }
+}
+
+// Create and export a singleton instance
+const paymentService = new PaymentService();
+module.exports = paymentService;
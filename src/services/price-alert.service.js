@@ -0,0 +1,310 @@
+const databaseService = require("./database.service");
+const notificationService = require("./notification.service");
+const priceFeedService = require("./price-feed.service");
+const { normalizeMarketName } = require("../utils/markets");
+
+const ALERT_CONDITIONS = ["above", "below", "percent_change"];
+const MAX_ACTIVE_ALERTS = 50;
+const MAX_PERCENT = 1000;
+const MAX_NOTE_LENGTH = 200;
+
+const DEFAULT_INTERVAL_MS = 60_000;
+
+/**
+ * User-defined alerts on market prices.
+ *
+ * "above" and "below" trigger when price reaches targetPrice; "percent_change"
+ * triggers when price moved percent (negative for drops) away from basePrice,
+ * the price at the first check. One-shot alerts deactivate when triggered.
+ * Recurring "above"/"below" alerts disarm until price crosses back over the
+ * target, and recurring "percent_change" alerts measure from the trigger price
+ * next. Triggered alerts are stored as "price_alert" notifications and pushed
+ * over Socket.io.
+ */
+class PriceAlertService {
+  constructor() {
+    this.intervalMs =
+      parseInt(process.env.PRICE_ALERT_INTERVAL_MS) || DEFAULT_INTERVAL_MS;
+    this.timer = null;
+    this.isRunning = false;
+    // marketName -> time of the last quote, so the next poll covers the gap
+    this.lastCheckedAt = new Map();
+  }
+
+  /**
+   * Validate a new alert, or an update merged over an existing one.
+   * @returns {{alert: Object|null, error: string|null}}
+   */
+  normalizeAlert(body = {}, existing = null) {
+    const fail = (error) => ({ alert: null, error });
+    const input = existing ? { ...existing, ...body } : body;
+
+    const marketName = normalizeMarketName(input.marketName);
+    if (!marketName) return fail("marketName must look like BTC/USDT");
+
+    const condition = input.condition;
+    if (!ALERT_CONDITIONS.includes(condition)) {
+      return fail(`condition must be one of: ${ALERT_CONDITIONS.join(", ")}`);
+    }
+
+    let targetPrice = null;
+    let percent = null;
+    if (condition === "percent_change") {
+      percent = Number(input.percent);
+      if (
+        !Number.isFinite(percent) ||
+        percent === 0 ||
+        Math.abs(percent) > MAX_PERCENT
+      ) {
+        return fail(
+          `percent must be a non-zero number between -${MAX_PERCENT} and ${MAX_PERCENT}`
+        );
+      }
+    } else {
+      targetPrice = Number(input.targetPrice);
+      if (!Number.isFinite(targetPrice) || targetPrice <= 0) {
+        return fail("targetPrice must be a positive number");
+      }
+    }
+
+    const note = input.note ? String(input.note).trim() : null;
+    if (note && note.length > MAX_NOTE_LENGTH) {
+      return fail(`note must be at most ${MAX_NOTE_LENGTH} characters`);
+    }
+
+    return {
+      alert: {
+        marketName,
+        condition,
+        targetPrice,
+        percent,
+        recurring: input.recurring === true || input.recurring === "true",
+        note: note || null,
+      },
+      error: null,
+    };
+  }
+
+  /**
+   * @returns {Promise<{alert: Object|null, error: string|null, status: number}>}
+   *   status is the HTTP status to answer with
+   */
+  async createAlert(username, body) {
+    const fail = (status, error) => ({ alert: null, error, status });
+
+    const user = await databaseService.getUserSummary(username);
+    if (!user) return fail(404, "User not found");
+
+    const { alert, error } = this.normalizeAlert(body);
+    if (error) return fail(400, error);
+
+    const active = await databaseService.countActivePriceAlerts(user.id);
+    if (active >= MAX_ACTIVE_ALERTS) {
+      return fail(
+        409,
+        `You can have at most ${MAX_ACTIVE_ALERTS} active alerts`
+      );
+    }
+
+    const created = await databaseService.createPriceAlert(user.id, alert);
+    return { alert: created, error: null, status: 201 };
+  }
+
+  /**
+   * Change an alert. Changing what it watches starts it over: it is re-armed
+   * and percent changes are measured from the next price again.
+   */
+  async updateAlert(username, alertId, body) {
+    const fail = (status, error) => ({ alert: null, error, status });
+
+    const user = await databaseService.getUserSummary(username);
+    const existing = await databaseService.getPriceAlert(alertId);
+    if (!user || !existing || existing.userId !== user.id) {
+      return fail(404, "Alert not found");
+    }
+
+    const { alert, error } = this.normalizeAlert(body, existing);
+    if (error) return fail(400, error);
+
+    const isActive =
+      body.isActive === undefined
+        ? existing.isActive
+        : body.isActive === true || body.isActive === "true";
+    if (isActive && !existing.isActive) {
+      const active = await databaseService.countActivePriceAlerts(user.id);
+      if (active >= MAX_ACTIVE_ALERTS) {
+        return fail(
+          409,
+          `You can have at most ${MAX_ACTIVE_ALERTS} active alerts`
+        );
+      }
+    }
+
+    const restarted =
+      (isActive && !existing.isActive) ||
+      alert.marketName !== existing.marketName ||
+      alert.condition !== existing.condition ||
+      alert.targetPrice !== existing.targetPrice ||
+      alert.percent !== existing.percent;
+
+    const updated = await databaseService.updatePriceAlert(alertId, {
+      ...alert,
+      isActive,
+      ...(restarted ? { armed: true, basePrice: null } : {}),
+    });
+    return { alert: updated, error: null, status: 200 };
+  }
+
+  start() {
+    if (this.timer) return;
+
+    this.timer = setInterval(() => this.runOnce(), this.intervalMs);
+    console.log(`🔔 Price alerts started (every ${this.intervalMs}ms)`);
+  }
+
+  stop() {
+    if (!this.timer) return;
+    clearInterval(this.timer);
+    this.timer = null;
+    console.log("Price alerts stopped");
+  }
+
+  /**
+   * Check every active alert against the latest prices. Each market is
+   * quoted once per run; overlapping runs are skipped.
+   * @returns {Promise<{markets: number, alerts: number, triggered: number}|null>}
+   */
+  async runOnce(now = Date.now()) {
+    if (this.isRunning) return null;
+    this.isRunning = true;
+
+    const run = { markets: 0, alerts: 0, triggered: 0 };
+    try {
+      const alerts = await databaseService.getActivePriceAlerts();
+
+      const byMarket = new Map();
+      for (const alert of alerts) {
+        if (!byMarket.has(alert.marketName)) byMarket.set(alert.marketName, []);
+        byMarket.get(alert.marketName).push(alert);
+      }
+
+      // Forget markets nobody is watching anymore
+      for (const marketName of this.lastCheckedAt.keys()) {
+        if (!byMarket.has(marketName)) this.lastCheckedAt.delete(marketName);
+      }
+
+      for (const [marketName, marketAlerts] of byMarket) {
+        try {
+          const triggered = await this.checkMarket(
+            marketName,
+            marketAlerts,
+            now
+          );
+          run.markets += 1;
+          run.alerts += marketAlerts.length;
+          run.triggered += triggered;
+        } catch (error) {
+          console.error(
+            `Error checking price alerts for ${marketName}:`,
+            error.message
+          );
+        }
+      }
+    } catch (error) {
+      console.error("Price alert run failed:", error);
+    } finally {
+      this.isRunning = false;
+    }
+    return run;
+  }
+
+  async checkMarket(marketName, alerts, now) {
+    const since = this.lastCheckedAt.get(marketName) ?? now - this.intervalMs;
+    const quote = await priceFeedService
+      .getProvider()
+      .getQuote(marketName, since, now);
+    if (!quote) return 0;
+    this.lastCheckedAt.set(marketName, now);
+
+    let triggered = 0;
+    for (const alert of alerts) {
+      try {
+        if (await this.checkAlert(alert, quote, now)) triggered += 1;
+      } catch (error) {
+        console.error(`Error checking price alert ${alert.id}:`, error);
+      }
+    }
+    return triggered;
+  }
+
+  async checkAlert(alert, quote, now) {
+    const { triggered, changes } = this.evaluate(alert, quote, now);
+    if (Object.keys(changes).length === 0) return false;
+
+    const updated = await databaseService.updatePriceAlert(alert.id, changes);
+    if (triggered) {
+      await notificationService.notify([alert.userId], {
+        type: "price_alert",
+        data: {
+          alertId: alert.id,
+          market: alert.marketName,
+          condition: alert.condition,
+          targetPrice: alert.targetPrice,
+          percent: alert.percent,
+          price: quote.price,
+          recurring: updated.recurring,
+        },
+      });
+    }
+    return triggered;
+  }
+
+  /**
+   * Decide what a quote means for an alert, without side effects.
+   * @returns {{triggered: boolean, changes: Object}} changes to store
+   */
+  evaluate(alert, quote, now) {
+    if (alert.condition === "percent_change" && alert.basePrice === null) {
+      return { triggered: false, changes: { basePrice: quote.price } };
+    }
+
+    const threshold =
+      alert.condition === "percent_change"
+        ? alert.basePrice * (1 + alert.percent / 100)
+        : alert.targetPrice;
+    const rising =
+      alert.condition === "above" ||
+      (alert.condition === "percent_change" && alert.percent > 0);
+
+    if (!alert.armed) {
+      // Re-arm once price is back on the other side of the target
+      const crossedBack = rising
+        ? quote.price < threshold
+        : quote.price > threshold;
+      return {
+        triggered: false,
+        changes: crossedBack ? { armed: true } : {},
+      };
+    }
+
+    const hit = rising ? quote.high >= threshold : quote.low <= threshold;
+    if (!hit) return { triggered: false, changes: {} };
+
+    const changes = {
+      triggerCount: alert.triggerCount + 1,
+      lastTriggeredAt: now,
+    };
+    if (!alert.recurring) {
+      changes.isActive = false;
+    } else if (alert.condition === "percent_change") {
+      changes.basePrice = quote.price;
+    } else {
+      changes.armed = false;
+    }
+    return { triggered: true, changes };
+  }
+}
+
+// Create and export a singleton instance
+const priceAlertService = new PriceAlertService();
+module.exports = priceAlertService;
@@ -0,0 +1,174 @@
+const marketDataService = require("./market-data.service");
+
+// Same exchanges the reward engine and signal tracker read candles from
+const PRICE_EXCHANGES = ["kucoin", "gateio", "mexc", "binance"];
+const PRICE_TIMEFRAME = "1m";
+// Without live tickers (e.g. candle fixtures), the last candle of this range is used
+const TICKER_FALLBACK_MS = 2 * 60_000;
+
+// Quotes are { price, high, low, at }: the latest price plus the highest and
+// lowest price seen in the requested range, so crossings between two polls
+// are not missed. Tickers are { price, high, low, change24h, at }, with the
+// 24h high, low and percent change where the source has them.
+
+/**
+ * Prices from the same 1m candles getData serves for scoring, so alerts
+ * agree with how signals are scored (and use the candle cache and the
+ * MARKET_DATA_PROVIDER fixtures). Tickers come live from the same exchanges
+ * when the market data provider is ccxt.
+ */
+class CandlePriceFeed {
+  constructor() {
+    this.name = "candles";
+    // marketName -> exchange whose ticker worked last, tried first next time
+    this.tickerExchanges = new Map();
+  }
+
+  async getQuote(marketName, fromMs, toMs) {
+    const { getData } = require("../scripts/calculate-reward");
+
+    const { candles } = await getData(
+      PRICE_EXCHANGES,
+      marketName,
+      PRICE_TIMEFRAME,
+      new Date(fromMs).toISOString(),
+      new Date(toMs).toISOString()
+    );
+    if (!candles || candles.length === 0) return null;
+
+    const last = candles[candles.length - 1];
+    return {
+      price: last[4],
+      high: Math.max(...candles.map((c) => c[2])),
+      low: Math.min(...candles.map((c) => c[3])),
+      at: last[0],
+    };
+  }
+
+  async getTicker(marketName) {
+    const provider = marketDataService.getProvider();
+    if (provider.getExchange) {
+      const preferred = this.tickerExchanges.get(marketName);
+      const exchangeIds = preferred
+        ? [preferred, ...PRICE_EXCHANGES.filter((id) => id !== preferred)]
+        : PRICE_EXCHANGES;
+
+      for (const exchangeId of exchangeIds) {
+        try {
+          const ticker = await provider
+            .getExchange(exchangeId)
+            .fetchTicker(marketName);
+          if (!Number.isFinite(ticker?.last)) continue;
+
+          this.tickerExchanges.set(marketName, exchangeId);
+          return {
+            price: ticker.last,
+            high: ticker.high ?? null,
+            low: ticker.low ?? null,
+            change24h: ticker.percentage ?? null,
+            at: ticker.timestamp || Date.now(),
+          };
+        } catch (_) {}
+      }
+      return null;
+    }
+
+    const now = Date.now();
+    const quote = await this.getQuote(
+      marketName,
+      now - TICKER_FALLBACK_MS,
+      now
+    );
+    return quote && { ...quote, change24h: null };
+  }
+}
+
+/**
+ * Prices set by hand, for development and tests:
+ *   priceFeedService.use("fake").setPrice("BTC/USDT", 70000)
+ * Every price set since the previous quote counts towards its high and low.
+ */
+class FakePriceFeed {
+  constructor() {
+    this.name = "fake";
+    // marketName -> prices set since the last quote, latest last
+    this.ticks = new Map();
+    this.prices = new Map();
+  }
+
+  setPrice(marketName, price) {
+    if (!this.ticks.has(marketName)) this.ticks.set(marketName, []);
+    this.ticks.get(marketName).push(price);
+    this.prices.set(marketName, price);
+  }
+
+  async getQuote(marketName, fromMs, toMs) {
+    if (!this.prices.has(marketName)) return null;
+
+    const price = this.prices.get(marketName);
+    const ticks = this.ticks.get(marketName) || [];
+    this.ticks.set(marketName, []);
+    const seen = ticks.length ? ticks : [price];
+    return {
+      price,
+      high: Math.max(...seen),
+      low: Math.min(...seen),
+      at: toMs,
+    };
+  }
+
+  // Does not count as a quote, so alerts still see every price set
+  async getTicker(marketName) {
+    if (!this.prices.has(marketName)) return null;
+    const price = this.prices.get(marketName);
+    return { price, high: null, low: null, change24h: null, at: Date.now() };
+  }
+}
+
+/**
+ * Picks where current prices come from. PRICE_FEED selects "candles"
+ * (default) or "fake"; other feeds plug in with register(name, factory) and
+ * must implement getQuote() and getTicker() like CandlePriceFeed.
+ */
+class PriceFeedService {
+  constructor() {
+    this.provider = null;
+    this.factories = new Map([
+      ["candles", () => new CandlePriceFeed()],
+      ["fake", () => new FakePriceFeed()],
+    ]);
+  }
+
+  register(name, factory) {
+    this.factories.set(name, factory);
+  }
+
+  getProvider() {
+    if (!this.provider) {
+      this.provider = this.createProvider(process.env.PRICE_FEED || "candles");
+    }
+    return this.provider;
+  }
+
+  // Switch feed at runtime, e.g. use("fake") in tests
+  use(name, options = {}) {
+    this.provider = this.createProvider(name, options);
+    return this.provider;
+  }
+
+  createProvider(name, options = {}) {
+    const factory = this.factories.get(name);
+    if (!factory) {
+      throw new Error(
+        `Unknown price feed "${name}" - registered: ${Array.from(
+          this.factories.keys()
+        ).join(", ")}`
+      );
+    }
+    return factory(options);
+  }
+}
+
+// Create and export a singleton instance
+const priceFeedService = new PriceFeedService();
+module.exports = priceFeedService;
@@ -0,0 +1,106 @@
+const databaseService = require("./database.service");
+const subscriptionService = require("./subscription.service");
+
+const SEARCH_TYPES = ["users", "posts", "signals", "news"];
+const DEFAULT_LIMIT = 10;
+const MAX_LIMIT = 50;
+const MIN_QUERY_LENGTH = 2;
+const MAX_QUERY_LENGTH = 100;
+const MAX_QUERY_TERMS = 8;
+
+/**
+ * Full-text search over users, posts, signals and stored news articles.
+ * Every term must match, and the last word also matches as a prefix so
+ * results show up while typing. Blocked users (either way) and premium posts
+ * and signals the viewer is not subscribed to are left out, since their
+ * highlights would give the content away.
+ */
+class SearchService {
+  /**
+   * Validate search query parameters and fill in defaults.
+   * @returns {{options: Object|null, error: string|null}}
+   */
+  normalizeOptions(query = {}) {
+    const fail = (error) => ({ options: null, error });
+
+    const q = typeof query.q === "string" ? query.q.trim() : "";
+    if (q.length < MIN_QUERY_LENGTH || q.length > MAX_QUERY_LENGTH) {
+      return fail(
+        `q must be between ${MIN_QUERY_LENGTH} and ${MAX_QUERY_LENGTH} characters`
+      );
+    }
+
+    const tsquery = this.toTsQuery(q);
+    if (!tsquery) return fail("q must contain letters or digits");
+
+    const types = query.type ? String(query.type).split(",") : SEARCH_TYPES;
+    const unknown = types.find((type) => !SEARCH_TYPES.includes(type));
+    if (unknown) {
+      return fail(`type must be one of: ${SEARCH_TYPES.join(", ")}`);
+    }
+
+    const limit = Math.min(
+      Math.max(parseInt(query.limit) || DEFAULT_LIMIT, 1),
+      MAX_LIMIT
+    );
+    const offset = Math.max(parseInt(query.offset) || 0, 0);
+
+    return { options: { q, tsquery, types, limit, offset }, error: null };
+  }
+
+  /**
+   * Build a to_tsquery() expression from free text, e.g. "btc brea" becomes
+   * "btc & brea:*". Terms only keep letters, digits and underscores, so the
+   * result is always valid tsquery syntax.
+   * @returns {string|null} - null if no term is left
+   */
+  toTsQuery(text) {
+    const terms = (text.toLowerCase().match(/[\p{L}\p{N}_]+/gu) || []).slice(
+      0,
+      MAX_QUERY_TERMS
+    );
+    if (terms.length === 0) return null;
+
+    return terms
+      .map((term, i) => (i === terms.length - 1 ? `${term}:*` : term))
+      .join(" & ");
+  }
+
+  /**
+   * @param {string} username - Who is searching
+   * @returns {Promise<Object|null>} Results keyed by type, each with
+   *   `{results, total, hasMore}`; null if the user does not exist
+   */
+  async search(username, { tsquery, types, limit, offset }) {
+    const access = await subscriptionService.getAccess(username);
+    if (!access.viewerId) return null;
+
+    const visibility = {
+      blockedIds: await databaseService.getBlockedUserIds(access.viewerId),
+      publisherIds: Array.from(access.publisherIds),
+    };
+    const searches = {
+      users: databaseService.searchUsers.bind(databaseService),
+      posts: databaseService.searchPosts.bind(databaseService),
+      signals: databaseService.searchSignals.bind(databaseService),
+      news: databaseService.searchNews.bind(databaseService),
+    };
+
+    const found = await Promise.all(
+      types.map((type) =>
+        searches[type](tsquery, visibility, { skip: offset, take: limit })
+      )
+    );
+
+    return Object.fromEntries(
+      types.map((type, i) => [
+        type,
+        { ...found[i], hasMore: offset + limit < found[i].total },
+      ])
+    );
+  }
+}
+
+// Create and export a singleton instance
+const searchService = new SearchService();
+module.exports = searchService;
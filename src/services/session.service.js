@@ -0,0 +1,186 @@
+const crypto = require("crypto");
+const jwt = require("jsonwebtoken");
+const databaseService = require("./database.service");
+
+const DEFAULT_ACCESS_TOKEN_TTL_SECONDS = 15 * 60;
+const DEFAULT_REFRESH_TOKEN_TTL_MS = 30 * 24 * 60 * 60 * 1000;
+const MAX_USER_AGENT_LENGTH = 500;
+
+/**
+ * Server-side sessions behind the auth cookies.
+ *
+ * Signing in creates a session and returns a short-lived access token (a JWT
+ * carrying the username as `id` and the session as `sid`) plus a random
+ * refresh token, of which only a SHA-256 hash is stored. Every refresh
+ * replaces the refresh token; presenting a replaced one again means it was
+ * stolen, so the whole session is revoked. Access tokens are only accepted
+ * while their session is neither revoked nor expired.
+ */
+class SessionService {
+  constructor() {
+    this.accessTokenTtlSeconds =
+      parseInt(process.env.ACCESS_TOKEN_TTL_SECONDS) ||
+      DEFAULT_ACCESS_TOKEN_TTL_SECONDS;
+    this.refreshTokenTtlMs =
+      parseInt(process.env.REFRESH_TOKEN_TTL_MS) ||
+      DEFAULT_REFRESH_TOKEN_TTL_MS;
+  }
+
+  hashToken(token) {
+    return crypto.createHash("sha256").update(token).digest("hex");
+  }
+
+  generateRefreshToken() {
+    return crypto.randomBytes(32).toString("base64url");
+  }
+
+  signAccessToken(username, sessionId) {
+    return jwt.sign({ id: username, sid: sessionId }, process.env.JWT_SECRET, {
+      expiresIn: this.accessTokenTtlSeconds,
+    });
+  }
+
+  // Device details shown in the session list
+  describeClient(req) {
+    const userAgent = req.headers["user-agent"];
+    return {
+      userAgent: userAgent
+        ? String(userAgent).slice(0, MAX_USER_AGENT_LENGTH)
+        : null,
+      ipAddress: req.ip || null,
+    };
+  }
+
+  /**
+   * Start a session for a user who just proved who they are.
+   * @param {{id: string, username: string}} user
+   * @returns {Promise<{accessToken: string, refreshToken: string, session: Object}>}
+   */
+  async createSession(user, req, now = Date.now()) {
+    const refreshToken = this.generateRefreshToken();
+    const session = await databaseService.createSession(user.id, {
+      refreshTokenHash: this.hashToken(refreshToken),
+      expiresAt: now + this.refreshTokenTtlMs,
+      ...this.describeClient(req),
+    });
+
+    return {
+      accessToken: this.signAccessToken(user.username, session.id),
+      refreshToken,
+      session,
+    };
+  }
+
+  /**
+   * Trade a refresh token for a new access token and refresh token.
+   * @returns {Promise<{tokens: Object|null, error: string|null}>}
+   */
+  async refresh(refreshToken, now = Date.now()) {
+    const fail = (error) => ({ tokens: null, error });
+    if (!refreshToken) return fail("No refresh token found");
+
+    const tokenHash = this.hashToken(String(refreshToken));
+    const session = await databaseService.getSessionByTokenHash(tokenHash);
+    if (!session || session.revokedAt !== null) {
+      return fail("Invalid refresh token");
+    }
+
+    if (session.refreshTokenHash !== tokenHash) {
+      // A token that was already rotated away is being replayed
+      console.warn(
+        `Refresh token reuse detected, revoking session ${session.id}`
+      );
+      await databaseService.revokeSession(session.id, now);
+      return fail("Invalid refresh token");
+    }
+
+    if (Number(session.expiresAt) <= now) {
+      return fail("Session has expired");
+    }
+
+    const newRefreshToken = this.generateRefreshToken();
+    const rotated = await databaseService.rotateSessionToken(
+      session.id,
+      tokenHash,
+      this.hashToken(newRefreshToken),
+      now + this.refreshTokenTtlMs
+    );
+    if (!rotated) return fail("Invalid refresh token");
+
+    return {
+      tokens: {
+        accessToken: this.signAccessToken(session.user.username, session.id),
+        refreshToken: newRefreshToken,
+      },
+      error: null,
+    };
+  }
+
+  /**
+   * Check an access token and the session behind it.
+   * @returns {Promise<{payload: Object|null, error: string|null}>}
+   *   payload is the decoded token ({ id: username, sid })
+   */
+  async verifyAccessToken(token, now = Date.now()) {
+    const fail = (error) => ({ payload: null, error });
+
+    let payload;
+    try {
+      payload = jwt.verify(token, process.env.JWT_SECRET);
+    } catch (error) {
+      if (error.name === "TokenExpiredError") {
+        return fail("Authentication token has expired");
+      }
+      return fail("Invalid authentication token");
+    }
+
+    // Tokens from before sessions existed cannot be revoked, so they are not accepted
+    if (!payload.sid) return fail("Session has expired");
+
+    const session = await databaseService.getSession(payload.sid);
+    if (!session || session.revokedAt !== null) {
+      return fail("Session has been revoked");
+    }
+    if (Number(session.expiresAt) <= now) {
+      return fail("Session has expired");
+    }
+
+    return { payload, error: null };
+  }
+
+  // The session a refresh token belongs to, to sign it out
+  async findByRefreshToken(refreshToken) {
+    if (!refreshToken) return null;
+    return databaseService.getSessionByTokenHash(
+      this.hashToken(String(refreshToken))
+    );
+  }
+
+  async listSessions(userId, currentSessionId, now = Date.now()) {
+    const sessions = await databaseService.getActiveSessions(userId, now);
+    return sessions.map(
+      ({ refreshTokenHash, previousTokenHash, ...session }) => ({
+        ...session,
+        current: session.id === currentSessionId,
+      })
+    );
+  }
+
+  /**
+   * Revoke one of a user's sessions.
+   * @returns {Promise<boolean>} false if the user has no such active session
+   */
+  async revoke(userId, sessionId, now = Date.now()) {
+    const session = await databaseService.getSession(sessionId);
+    if (!session || session.userId !== userId) return false;
+    return databaseService.revokeSession(sessionId, now);
+  }
+
+  async revokeAll(userId, exceptSessionId = null, now = Date.now()) {
+    return databaseService.revokeUserSessions(userId, now, exceptSessionId);
+  }
+}
+
+// Create and export a singleton instance
+const sessionService = new SessionService();
+module.exports = sessionService;
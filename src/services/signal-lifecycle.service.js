@@ -0,0 +1,404 @@
+const databaseService = require("./database.service");
+const notificationService = require("./notification.service");
+
+// Exchanges tried in order when fetching candles (Iran-friendly first)
+const SCORING_EXCHANGES = ["kucoin", "gateio", "mexc", "binance"];
+const SCORING_TIMEFRAME = "1m";
+const CANDLE_MS = 60_000;
+
+// Transitions may run slightly early to absorb clock drift between clients and server
+const TRANSITION_TOLERANCE_MS = 1000;
+// Closed signals left unscored this long after their last attempt are scored
+// again, up to MAX_SCORING_ATTEMPTS times; rescore-signals.js picks up the rest
+const SCORING_RETRY_DELAY_MS = 5 * 60_000;
+const MAX_SCORING_ATTEMPTS = 10;
+
+/**
+ * Moves signals through "not_opened" -> "open" -> "closed" and scores them on close.
+ * Signals can also close early when the live tracker sees their stop loss hit.
+ * Shared by the status endpoint and the background scheduler, so every transition
+ * is claimed atomically in the database. A closed signal counts as unscored
+ * until its publisher is credited, which happens exactly once per score.
+ */
+class SignalLifecycleService {
+  constructor() {
+    this.toleranceMs = TRANSITION_TOLERANCE_MS;
+  }
+
+  isOpenDue(signal, now = Date.now()) {
+    const openTime = Number(signal.openTime || 0);
+    return (
+      signal.status === "not_opened" &&
+      openTime > 0 &&
+      now - openTime >= -this.toleranceMs
+    );
+  }
+
+  isCloseDue(signal, now = Date.now()) {
+    const closeTime = Number(signal.closeTime || 0);
+    return (
+      signal.status === "open" &&
+      closeTime > 0 &&
+      now - closeTime >= -this.toleranceMs
+    );
+  }
+
+  // IDs of signals whose openTime/closeTime has passed but whose status has not caught up
+  async findDueSignalIds(limit, now = Date.now()) {
+    return await databaseService.getDueSignalIds(now + this.toleranceMs, limit);
+  }
+
+  async countDueSignals(now = Date.now()) {
+    return await databaseService.countDueSignals(now + this.toleranceMs);
+  }
+
+  // IDs of closed signals whose scoring failed, to score again
+  async findUnscoredSignalIds(limit, now = Date.now()) {
+    return await databaseService.getUnscoredSignalIds(
+      now - SCORING_RETRY_DELAY_MS,
+      MAX_SCORING_ATTEMPTS,
+      limit
+    );
+  }
+
+  async countUnscoredSignals(now = Date.now()) {
+    return await databaseService.countUnscoredSignals(
+      now - SCORING_RETRY_DELAY_MS,
+      MAX_SCORING_ATTEMPTS
+    );
+  }
+
+  // Closed signals the scheduler stopped retrying
+  async countAbandonedScorings() {
+    return await databaseService.countAbandonedScorings(MAX_SCORING_ATTEMPTS);
+  }
+
+  /**
+   * Apply every transition that is due for the signal.
+   * @param {Object} signal - Signal as returned by databaseService.getSignal
+   * @param {number} [now] - Reference time in ms
+   * @returns {Promise<{signal: Object|null, changed: boolean}>}
+   */
+  async advance(signal, now = Date.now()) {
+    let current = signal;
+    let changed = false;
+    let opened = false;
+    let closed = false;
+
+    if (this.isOpenDue(current, now)) {
+      const claimed = await databaseService.transitionSignalStatus(
+        current.id,
+        "not_opened",
+        "open"
+      );
+      if (claimed) {
+        current = { ...current, status: "open" };
+        changed = true;
+        opened = true;
+      } else {
+        // Someone else moved it first; continue from the stored state
+        current = await databaseService.getSignal(current.id);
+        if (!current) return { signal: null, changed: false };
+      }
+    }
+
+    if (this.isCloseDue(current, now)) {
+      const claimed = await databaseService.transitionSignalStatus(
+        current.id,
+        "open",
+        "closed"
+      );
+      if (claimed) {
+        current = { ...current, status: "closed" };
+        changed = true;
+        closed = true;
+        await this.scoreClosedSignal(current);
+      } else {
+        current = await databaseService.getSignal(current.id);
+        if (!current) return { signal: null, changed: false };
+      }
+    }
+
+    if (!changed) {
+      return { signal: current, changed };
+    }
+
+    const updated = await databaseService.getSignal(current.id);
+    if (updated) {
+      if (opened) {
+        await notificationService.notifySignalEvent(updated, "signal_opened");
+      }
+      if (closed) {
+        await notificationService.notifySignalEvent(updated, "signal_closed", {
+          reason: "closeTime",
+          score: updated.score,
+        });
+      }
+    }
+    return { signal: updated, changed };
+  }
+
+  /**
+   * Close an open signal because price reached its stop loss.
+   * @param {Object} signal - Open signal
+   * @param {number} hitAt - Timestamp of the candle that hit the stop
+   * @returns {Promise<boolean>} false if the signal was already closed
+   */
+  async closeOnStopLoss(signal, hitAt) {
+    if (Number(signal.stoplossHitAt || 0) !== hitAt) {
+      await databaseService.updateSignal(signal.id, { stoplossHitAt: hitAt });
+    }
+
+    const claimed = await databaseService.transitionSignalStatus(
+      signal.id,
+      "open",
+      "closed"
+    );
+    if (!claimed) return false;
+
+    await this.scoreClosedSignal({
+      ...signal,
+      status: "closed",
+      stoplossHitAt: hitAt,
+    });
+
+    const updated = await databaseService.getSignal(signal.id);
+    await notificationService.notifySignalEvent(
+      updated || signal,
+      "signal_closed",
+      { reason: "stoploss", score: updated ? updated.score : signal.score }
+    );
+    return true;
+  }
+
+  /**
+   * Compute the reward for a closed signal, store how it was reached, flag
+   * touched targets and credit the publisher.
+   * Every attempt is recorded; failures are logged and leave the publisher
+   * uncredited, so the scheduler scores the signal again later.
+   * @returns {Promise<boolean>} whether the signal was scored
+   */
+  async scoreClosedSignal(signal, now = Date.now()) {
+    const window = this.scoringWindow(signal);
+
+    // Ensure we have valid timestamps before creating Date objects
+    if (!window) {
+      console.warn("Invalid timestamps for signal:", signal.id);
+      return false;
+    }
+
+    try {
+      await databaseService.recordScoringAttempt(signal.id, now);
+      const { getData } = require("../scripts/calculate-reward");
+
+      const { score } = await this.scoreSignal(signal);
+
+      // Fetch OHLCV once to record target and stop loss hits over the signal's lifetime
+      try {
+        const { candles } = await getData(
+          SCORING_EXCHANGES,
+          window.marketName,
+          SCORING_TIMEFRAME,
+          new Date(window.openTime).toISOString(),
+          new Date(window.rangeEndMs).toISOString()
+        );
+        await this.recordHits(
+          signal,
+          this.candlesWithin(candles, window.openTime, window.rangeEndMs)
+        );
+      } catch (targetsError) {
+        console.error("Error updating target touched flags:", targetsError);
+      }
+
+      // Last, as crediting the publisher is what marks the signal scored
+      await databaseService.creditSignalScore(signal.id, score);
+      return true;
+    } catch (rewardError) {
+      console.error(`Error scoring signal ${signal.id}:`, rewardError);
+      return false;
+    }
+  }
+
+  /**
+   * Score a closed signal under a scoring version (the current one by default)
+   * and store the score, the version and the outcome. Does not credit the
+   * publisher.
+   * @returns {Promise<{score: number, previousScore: number, changed: boolean}>}
+   */
+  async scoreSignal(signal, scoringVersion) {
+    const window = this.scoringWindow(signal);
+    if (!window) {
+      throw new Error(`Invalid timestamps for signal ${signal.id}`);
+    }
+
+    const { calculateRewardBreakdown } = require("../scripts/calculate-reward");
+
+    const breakdown = await calculateRewardBreakdown({
+      exchangeId: SCORING_EXCHANGES,
+      market: window.marketName,
+      timeframe: SCORING_TIMEFRAME,
+      startTime: new Date(window.openTime).toISOString(),
+      endTime: new Date(window.rewardEndMs).toISOString(),
+      entryPoint: signal.entry,
+      stopLoss: signal.stoploss,
+      targets: (signal.targets || []).map((t) => Number(t.value)),
+      direction: signal.direction || "long",
+      scoringVersion,
+    });
+
+    const { reward } = breakdown;
+    const newScore =
+      typeof reward === "number" && Number.isFinite(reward) ? reward : 0;
+    const changed = newScore !== signal.score;
+
+    if (changed || signal.scoringVersion !== breakdown.scoringVersion) {
+      await databaseService.updateSignal(signal.id, {
+        score: newScore,
+        scoringVersion: breakdown.scoringVersion,
+      });
+    }
+
+    await databaseService.upsertSignalOutcome(signal.id, {
+      ...breakdown,
+      score: newScore,
+      startTime: breakdown.startMs,
+      endTime: breakdown.endMs,
+    });
+
+    return { score: newScore, previousScore: signal.score, changed };
+  }
+
+  // Market and time range a closed signal is scored over, or null without valid times
+  scoringWindow(signal) {
+    const openTime = Number(signal.openTime || 0);
+    const closeTime = Number(signal.closeTime || 0);
+    const stoplossHitAt = Number(signal.stoplossHitAt || 0);
+    if (openTime <= 0 || closeTime <= 0) return null;
+
+    // A stop loss ends the trade early: only look at candles up to the one that hit it
+    const stoppedEarly = stoplossHitAt > 0 && stoplossHitAt < closeTime;
+
+    return {
+      marketName: signal.market?.name || signal.marketName || "", // e.g., "BTC/USDT"
+      openTime,
+      rewardEndMs: stoppedEarly ? stoplossHitAt + CANDLE_MS - 1 : closeTime,
+      // Include the candle that starts at closeTime by extending end time by one timeframe
+      rangeEndMs: stoppedEarly
+        ? stoplossHitAt + CANDLE_MS - 1
+        : closeTime + CANDLE_MS - 1,
+    };
+  }
+
+  /**
+   * Persist targets touched and the stop loss hit within the given candles,
+   * and notify bookmarkers of newly touched targets.
+   * Targets only count on candles before the stop, matching rewarding().
+   * @returns {Promise<{targets: Array|null, stoplossHitAt: number|null, targetsTouched: number}>} What changed
+   */
+  async recordHits(signal, candles) {
+    const knownStopAt = Number(signal.stoplossHitAt || 0);
+    const stopCandle =
+      knownStopAt > 0 ? null : this.findStopHit(signal, candles);
+    const stopAt = knownStopAt > 0 ? knownStopAt : stopCandle?.[0];
+
+    const candlesBeforeStop = stopAt
+      ? candles.filter((c) => c[0] < stopAt)
+      : candles;
+
+    const updatedTargets = this.touchTargets(signal, candlesBeforeStop);
+    if (updatedTargets) {
+      await databaseService.updateSignalTargets(signal.id, updatedTargets);
+    }
+
+    const newlyTouched = updatedTargets
+      ? updatedTargets
+          .map((t, index) => ({ index, value: t.value, touched: t.touched }))
+          .filter((t) => t.touched && !signal.targets[t.index]?.touched)
+      : [];
+    if (newlyTouched.length > 0) {
+      const targets = newlyTouched.map(({ index, value }) => ({
+        index,
+        value,
+      }));
+      // Target values are part of a premium trade, so only say which were hit
+      await notificationService.notifySignalEvent(
+        signal,
+        "signal_target_hit",
+        { targets },
+        { targets: targets.map(({ index }) => ({ index })) }
+      );
+    }
+
+    if (stopCandle) {
+      await databaseService.updateSignal(signal.id, {
+        stoplossHitAt: stopCandle[0],
+      });
+    }
+
+    return {
+      targets: updatedTargets,
+      stoplossHitAt: stopCandle ? stopCandle[0] : null,
+      targetsTouched: newlyTouched.length,
+    };
+  }
+
+  // Candles whose open timestamp falls inside [startMs, endMs]
+  candlesWithin(candles, startMs, endMs) {
+    if (!Array.isArray(candles)) return [];
+    const firstCandleMs = Math.floor(startMs / CANDLE_MS) * CANDLE_MS;
+    return candles.filter((c) => c[0] >= firstCandleMs && c[0] <= endMs);
+  }
+
+  // First candle that reached the stop loss (low for longs, high for shorts), or null
+  findStopHit(signal, candles) {
+    const stopLoss = Number(signal.stoploss);
+    if (!Array.isArray(candles) || !Number.isFinite(stopLoss)) return null;
+    const isShort = signal.direction === "short";
+    return (
+      candles.find((c) =>
+        isShort ? Number(c[2]) >= stopLoss : Number(c[3]) <= stopLoss
+      ) || null
+    );
+  }
+
+  /**
+   * Mark targets reached within the candles' price range, stamping each newly
+   * touched target with the timestamp of the first candle that reached it.
+   * Long targets are reached by the high, short targets by the low.
+   * @returns {Array|null} Updated targets, or null when nothing changed
+   */
+  touchTargets(signal, candles) {
+    if (!Array.isArray(candles) || candles.length === 0) return null;
+
+    const isShort = signal.direction === "short";
+    const targets = signal.targets || [];
+
+    const updatedTargets = targets.map((t) => {
+      const targetValue = Number(t.value);
+      const hitCandle = t.touched
+        ? null
+        : candles.find((c) =>
+            isShort ? Number(c[3]) <= targetValue : Number(c[2]) >= targetValue
+          );
+
+      return {
+        ...t,
+        value: Number.isFinite(targetValue)
+          ? parseFloat(targetValue.toFixed(8))
+          : t.value,
+        touched: Boolean(t.touched) || Boolean(hitCandle),
+        touchedAt: hitCandle ? hitCandle[0] : t.touchedAt ?? null,
+      };
+    });
+
+    const hasTargetChanges = updatedTargets.some(
+      (target, index) => target.touched !== targets[index]?.touched
+    );
+
+    return hasTargetChanges ? updatedTargets : null;
+  }
+}
+
+// Create and export a singleton instance
+const signalLifecycleService = new SignalLifecycleService();
+module.exports = signalLifecycleService;
@@ -0,0 +1,137 @@
+const databaseService = require("./database.service");
+const signalLifecycleService = require("./signal-lifecycle.service");
+
+const DEFAULT_INTERVAL_MS = 60_000;
+const DEFAULT_BATCH_SIZE = 25;
+
+/**
+ * Periodically advances signals whose openTime/closeTime has passed, so signals
+ * get opened, closed and scored even when no client asks for them, and scores
+ * again closed signals whose scoring failed.
+ * All state lives in Postgres: every tick re-queries due signals, which makes
+ * the scheduler safe to restart and to run next to the status endpoint.
+ */
+class SignalSchedulerService {
+  constructor() {
+    this.intervalMs =
+      parseInt(process.env.SIGNAL_SCHEDULER_INTERVAL_MS) || DEFAULT_INTERVAL_MS;
+    this.batchSize =
+      parseInt(process.env.SIGNAL_SCHEDULER_BATCH_SIZE) || DEFAULT_BATCH_SIZE;
+    this.timer = null;
+    this.isRunning = false;
+    this.lastRun = null;
+  }
+
+  start() {
+    if (this.timer) return;
+
+    this.timer = setInterval(() => this.runOnce(), this.intervalMs);
+    console.log(
+      `⏱️  Signal scheduler started (every ${this.intervalMs}ms, batch ${this.batchSize})`
+    );
+
+    // Catch up on anything that became due while the server was down
+    this.runOnce();
+  }
+
+  stop() {
+    if (!this.timer) return;
+    clearInterval(this.timer);
+    this.timer = null;
+    console.log("Signal scheduler stopped");
+  }
+
+  // Process one batch of due signals. Overlapping ticks are skipped.
+  async runOnce() {
+    if (this.isRunning) return null;
+    this.isRunning = true;
+
+    const run = {
+      startedAt: Date.now(),
+      finishedAt: null,
+      processed: 0,
+      transitioned: 0,
+      scored: 0,
+      failed: 0,
+      error: null,
+    };
+
+    try {
+      const signalIds = await signalLifecycleService.findDueSignalIds(
+        this.batchSize,
+        run.startedAt
+      );
+
+      for (const signalId of signalIds) {
+        try {
+          const signal = await databaseService.getSignal(signalId);
+          if (!signal) continue;
+
+          const { changed } = await signalLifecycleService.advance(signal);
+          run.processed += 1;
+          if (changed) run.transitioned += 1;
+        } catch (error) {
+          console.error(
+            `Scheduler failed to advance signal ${signalId}:`,
+            error
+          );
+          run.failed += 1;
+        }
+      }
+
+      if (run.transitioned > 0) {
+        console.log(
+          `⏱️  Signal scheduler advanced ${run.transitioned}/${signalIds.length} due signals`
+        );
+      }
+
+      const unscoredIds = await signalLifecycleService.findUnscoredSignalIds(
+        this.batchSize,
+        run.startedAt
+      );
+
+      for (const signalId of unscoredIds) {
+        const signal = await databaseService.getSignal(signalId);
+        if (!signal) continue;
+
+        if (await signalLifecycleService.scoreClosedSignal(signal)) {
+          run.scored += 1;
+        } else {
+          run.failed += 1;
+        }
+      }
+
+      if (run.scored > 0) {
+        console.log(
+          `⏱️  Signal scheduler scored ${run.scored}/${unscoredIds.length} signals whose scoring had failed`
+        );
+      }
+    } catch (error) {
+      console.error("Signal scheduler run failed:", error);
+      run.error = error.message;
+    } finally {
+      run.finishedAt = Date.now();
+      this.lastRun = run;
+      this.isRunning = false;
+    }
+
+    return run;
+  }
+
+  async getStatus() {
+    return {
+      enabled: Boolean(this.timer),
+      isRunning: this.isRunning,
+      intervalMs: this.intervalMs,
+      batchSize: this.batchSize,
+      queueDepth: await signalLifecycleService.countDueSignals(),
+      unscoredSignals: await signalLifecycleService.countUnscoredSignals(),
+      abandonedScorings: await signalLifecycleService.countAbandonedScorings(),
+      lastRun: this.lastRun,
+    };
+  }
+}
+
+// Create and export a singleton instance
+const signalSchedulerService = new SignalSchedulerService();
+module.exports = signalSchedulerService;
@@ -0,0 +1,182 @@
+const databaseService = require("./database.service");
+const signalLifecycleService = require("./signal-lifecycle.service");
+
+// Same exchanges and candle size the reward engine scores with
+const TRACKING_EXCHANGES = ["kucoin", "gateio", "mexc", "binance"];
+const TRACKING_TIMEFRAME = "1m";
+const CANDLE_MS = 60_000;
+
+const DEFAULT_INTERVAL_MS = 60_000;
+// How far back to look for a market on its first poll (e.g. after a restart)
+const DEFAULT_LOOKBACK_MS = 15 * 60_000;
+
+/**
+ * Polls 1m candles for every market that has open signals and records target
+ * touches and stop loss hits as they happen, closing a signal early when its
+ * stop is hit. Each market is fetched once per poll no matter how many signals
+ * follow it.
+ */
+class SignalTrackerService {
+  constructor() {
+    this.intervalMs =
+      parseInt(process.env.SIGNAL_TRACKER_INTERVAL_MS) || DEFAULT_INTERVAL_MS;
+    this.lookbackMs =
+      parseInt(process.env.SIGNAL_TRACKER_LOOKBACK_MS) || DEFAULT_LOOKBACK_MS;
+    this.timer = null;
+    this.isRunning = false;
+    this.lastRun = null;
+    // marketName -> timestamp of the last candle seen, to resume from on the next poll
+    this.lastCandleAt = new Map();
+  }
+
+  start() {
+    if (this.timer) return;
+
+    this.timer = setInterval(() => this.runOnce(), this.intervalMs);
+    console.log(`📈 Signal tracker started (every ${this.intervalMs}ms)`);
+  }
+
+  stop() {
+    if (!this.timer) return;
+    clearInterval(this.timer);
+    this.timer = null;
+    console.log("Signal tracker stopped");
+  }
+
+  async runOnce() {
+    if (this.isRunning) return null;
+    this.isRunning = true;
+
+    const run = {
+      startedAt: Date.now(),
+      finishedAt: null,
+      markets: 0,
+      signals: 0,
+      targetsTouched: 0,
+      stoppedOut: 0,
+      error: null,
+    };
+
+    try {
+      const openSignals = await databaseService.getOpenSignals();
+
+      // Group by market so each market is fetched once
+      const byMarket = new Map();
+      for (const signal of openSignals) {
+        if (!signal.marketName || Number(signal.openTime || 0) <= 0) continue;
+        if (!byMarket.has(signal.marketName)) {
+          byMarket.set(signal.marketName, []);
+        }
+        byMarket.get(signal.marketName).push(signal);
+      }
+
+      // Forget markets nobody is tracking anymore
+      for (const marketName of this.lastCandleAt.keys()) {
+        if (!byMarket.has(marketName)) this.lastCandleAt.delete(marketName);
+      }
+
+      for (const [marketName, signals] of byMarket) {
+        try {
+          const result = await this.trackMarket(
+            marketName,
+            signals,
+            run.startedAt
+          );
+          run.markets += 1;
+          run.signals += signals.length;
+          run.targetsTouched += result.targetsTouched;
+          run.stoppedOut += result.stoppedOut;
+        } catch (error) {
+          console.error(`Error tracking market ${marketName}:`, error.message);
+        }
+      }
+    } catch (error) {
+      console.error("Signal tracker run failed:", error);
+      run.error = error.message;
+    } finally {
+      run.finishedAt = Date.now();
+      this.lastRun = run;
+      this.isRunning = false;
+    }
+
+    return run;
+  }
+
+  async trackMarket(marketName, signals, now) {
+    const { getData } = require("../scripts/calculate-reward");
+
+    const earliestOpen = Math.min(...signals.map((s) => Number(s.openTime)));
+    const resumeFrom =
+      this.lastCandleAt.get(marketName) ?? now - this.lookbackMs;
+    const since = Math.max(earliestOpen, resumeFrom);
+
+    const { candles } = await getData(
+      TRACKING_EXCHANGES,
+      marketName,
+      TRACKING_TIMEFRAME,
+      new Date(since).toISOString(),
+      new Date(now).toISOString()
+    );
+
+    // The last candle may still be forming, so the next poll starts from it again
+    if (candles.length) {
+      this.lastCandleAt.set(marketName, candles[candles.length - 1][0]);
+    }
+
+    const result = { targetsTouched: 0, stoppedOut: 0 };
+    for (const signal of signals) {
+      try {
+        const outcome = await this.trackSignal(signal, candles, now);
+        result.targetsTouched += outcome.targetsTouched;
+        if (outcome.stoppedOut) result.stoppedOut += 1;
+      } catch (error) {
+        console.error(`Error tracking signal ${signal.id}:`, error);
+      }
+    }
+    return result;
+  }
+
+  async trackSignal(signal, candles, now) {
+    // A signal past its closeTime waits for the scheduler to close it; price
+    // action after its last candle is outside the trade
+    const closeTime = Number(signal.closeTime || 0);
+    const relevant = signalLifecycleService.candlesWithin(
+      candles,
+      Number(signal.openTime),
+      closeTime > 0 ? Math.min(now, closeTime + CANDLE_MS - 1) : now
+    );
+    const { targets, stoplossHitAt, targetsTouched } =
+      await signalLifecycleService.recordHits(signal, relevant);
+
+    // A stop recorded earlier but never closed on (e.g. a crash in between) still closes now
+    const stopAt = stoplossHitAt || Number(signal.stoplossHitAt || 0);
+
+    let stoppedOut = false;
+    if (stopAt > 0) {
+      stoppedOut = await signalLifecycleService.closeOnStopLoss(
+        {
+          ...signal,
+          targets: targets || signal.targets,
+          stoplossHitAt: stopAt,
+        },
+        stopAt
+      );
+    }
+
+    return { targetsTouched, stoppedOut };
+  }
+
+  getStatus() {
+    return {
+      enabled: Boolean(this.timer),
+      isRunning: this.isRunning,
+      intervalMs: this.intervalMs,
+      trackedMarkets: Array.from(this.lastCandleAt.keys()),
+      lastRun: this.lastRun,
+    };
+  }
+}
+
+// Create and export a singleton instance
+const signalTrackerService = new SignalTrackerService();
+module.exports = signalTrackerService;
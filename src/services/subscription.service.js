@@ -0,0 +1,294 @@
+const databaseService = require("./database.service");
+const paymentService = require("./payment.service");
+
+const PLAN_INTERVALS = {
+  month: 30 * 24 * 60 * 60 * 1000,
+  year: 365 * 24 * 60 * 60 * 1000,
+};
+const MAX_PLAN_PRICE = 100_000;
+
+const DEFAULT_RENEWAL_INTERVAL_MS = 60 * 60 * 1000;
+const RENEWAL_BATCH_SIZE = 50;
+
+/**
+ * Publisher subscription plans, subscriptions and who may see premium content.
+ *
+ * Premium posts and signals are visible to their publisher and to users with
+ * a paid-up subscription to that publisher. A canceled subscription keeps
+ * access until the end of the period already paid for. Everyone else gets
+ * the entry with its content redacted and `isLocked: true`.
+ */
+class SubscriptionService {
+  constructor() {
+    this.intervalMs =
+      parseInt(process.env.SUBSCRIPTION_RENEWAL_INTERVAL_MS) ||
+      DEFAULT_RENEWAL_INTERVAL_MS;
+    this.timer = null;
+    this.isRunning = false;
+  }
+
+  /**
+   * Validate a new plan.
+   * @returns {{plan: Object|null, error: string|null}}
+   */
+  normalizePlan(body = {}) {
+    const fail = (error) => ({ plan: null, error });
+
+    const name = typeof body.name === "string" ? body.name.trim() : "";
+    if (!name) return fail("name is required");
+
+    const price = Number(body.price);
+    if (!Number.isFinite(price) || price <= 0 || price > MAX_PLAN_PRICE) {
+      return fail(`price must be a number between 0 and ${MAX_PLAN_PRICE}`);
+    }
+
+    const interval = body.interval || "month";
+    if (!(interval in PLAN_INTERVALS)) {
+      return fail(
+        `interval must be one of: ${Object.keys(PLAN_INTERVALS).join(", ")}`
+      );
+    }
+
+    const currency = String(body.currency || "USD").toUpperCase();
+    if (!/^[A-Z]{3}$/.test(currency)) {
+      return fail("currency must be a 3-letter code, e.g. USD");
+    }
+
+    return {
+      plan: {
+        name,
+        description: body.description || null,
+        price,
+        currency,
+        interval,
+      },
+      error: null,
+    };
+  }
+
+  /**
+   * What premium content a user can see.
+   * @param {string|undefined} username - The viewer, undefined when signed out
+   * @returns {Promise<{viewerId: string|null, publisherIds: Set<string>}>}
+   *   publisherIds holds the viewer and every publisher they are subscribed to
+   */
+  async getAccess(username, now = Date.now()) {
+    const viewer = username
+      ? await databaseService.getUserSummary(username)
+      : null;
+    if (!viewer) return { viewerId: null, publisherIds: new Set() };
+
+    const subscribed = await databaseService.getSubscribedPublisherIds(
+      viewer.id,
+      now
+    );
+    return {
+      viewerId: viewer.id,
+      publisherIds: new Set([viewer.id, ...subscribed]),
+    };
+  }
+
+  canView(entry, access) {
+    return !entry.isPremium || access.publisherIds.has(entry.userId);
+  }
+
+  // Keep what a signal is about, hide the trade itself
+  redactSignal(signal, access) {
+    if (this.canView(signal, access)) return signal;
+    return {
+      ...signal,
+      entry: null,
+      stoploss: null,
+      targets: [],
+      description: null,
+      chartImageHref: null,
+      isLocked: true,
+    };
+  }
+
+  redactPost(post, access) {
+    if (this.canView(post, access)) return post;
+    return {
+      ...post,
+      content: null,
+      postImageHref: null,
+      tags: [],
+      comments: [],
+      isLocked: true,
+    };
+  }
+
+  redactSignals(signals, access) {
+    return signals.map((signal) => this.redactSignal(signal, access));
+  }
+
+  redactPosts(posts, access) {
+    return posts.map((post) => this.redactPost(post, access));
+  }
+
+  /**
+   * Subscribe a user to the publisher of a plan, charging the first period.
+   * Resubscribing during a canceled but paid-up period resumes it for free.
+   * @returns {Promise<{subscription: Object|null, error: string|null, status: number}>}
+   *   status is the HTTP status to answer with
+   */
+  async subscribe(username, planId, paymentMethod, now = Date.now()) {
+    const fail = (status, error) => ({ subscription: null, error, status });
+
+    const subscriber = await databaseService.getUserSummary(username);
+    if (!subscriber) return fail(404, "User not found");
+
+    const plan = await databaseService.getSubscriptionPlan(planId);
+    if (!plan || !plan.isActive) return fail(404, "Plan not found");
+    if (plan.publisherId === subscriber.id) {
+      return fail(400, "You cannot subscribe to yourself");
+    }
+
+    const existing = await databaseService.getSubscriptionTo(
+      subscriber.id,
+      plan.publisherId
+    );
+    const paidUp = existing && Number(existing.currentPeriodEnd) > now;
+    if (paidUp && existing.status === "active") {
+      return fail(409, "Already subscribed to this publisher");
+    }
+    if (
+      paidUp &&
+      existing.status === "canceled" &&
+      existing.planId === plan.id
+    ) {
+      const subscription = await databaseService.updateSubscription(
+        existing.id,
+        { status: "active", canceledAt: null }
+      );
+      return { subscription, error: null, status: 200 };
+    }
+
+    const provider = paymentService.getProvider();
+    const payment = await provider.charge({
+      amount: plan.price,
+      currency: plan.currency,
+      customerId: subscriber.id,
+      description: `${plan.name} (${plan.publisher.username})`,
+      paymentMethod,
+    });
+    if (payment.status !== "succeeded") {
+      return fail(402, payment.reason || "Payment failed");
+    }
+
+    const subscription = await databaseService.saveSubscription(
+      subscriber.id,
+      plan.publisherId,
+      {
+        planId: plan.id,
+        status: "active",
+        currentPeriodEnd: now + PLAN_INTERVALS[plan.interval],
+        canceledAt: null,
+        paymentProvider: provider.name,
+        paymentReference: payment.reference,
+      }
+    );
+    return { subscription, error: null, status: 201 };
+  }
+
+  // Stop renewing; access lasts until the end of the paid period
+  async cancel(username, subscriptionId, now = Date.now()) {
+    const fail = (status, error) => ({ subscription: null, error, status });
+
+    const subscriber = await databaseService.getUserSummary(username);
+    const subscription = await databaseService.getSubscription(subscriptionId);
+    if (
+      !subscriber ||
+      !subscription ||
+      subscription.subscriberId !== subscriber.id
+    ) {
+      return fail(404, "Subscription not found");
+    }
+    if (subscription.status !== "active") {
+      return fail(409, "Subscription is not active");
+    }
+
+    const updated = await databaseService.updateSubscription(subscriptionId, {
+      status: "canceled",
+      canceledAt: now,
+    });
+    return { subscription: updated, error: null, status: 200 };
+  }
+
+  start() {
+    if (this.timer) return;
+    this.timer = setInterval(() => this.processRenewals(), this.intervalMs);
+    this.processRenewals();
+  }
+
+  stop() {
+    if (!this.timer) return;
+    clearInterval(this.timer);
+    this.timer = null;
+  }
+
+  /**
+   * Charge the next period of active subscriptions that ran out, and expire
+   * the ones that cannot be renewed. Overlapping runs are skipped.
+   */
+  async processRenewals(now = Date.now()) {
+    if (this.isRunning) return;
+    this.isRunning = true;
+
+    try {
+      await databaseService.expireCanceledSubscriptions(now);
+
+      const due = await databaseService.getDueSubscriptions(
+        now,
+        RENEWAL_BATCH_SIZE
+      );
+      for (const subscription of due) {
+        try {
+          await this.renew(subscription, now);
+        } catch (error) {
+          console.error(
+            `Failed to renew subscription ${subscription.id}:`,
+            error
+          );
+        }
+      }
+    } catch (error) {
+      console.error("Subscription renewals failed:", error);
+    } finally {
+      this.isRunning = false;
+    }
+  }
+
+  async renew(subscription, now) {
+    const { plan } = subscription;
+    if (!plan.isActive) {
+      return databaseService.updateSubscription(subscription.id, {
+        status: "expired",
+      });
+    }
+
+    const provider = paymentService.getProvider();
+    const payment = await provider.charge({
+      amount: plan.price,
+      currency: plan.currency,
+      customerId: subscription.subscriberId,
+      description: `${plan.name} renewal`,
+    });
+    if (payment.status !== "succeeded") {
+      return databaseService.updateSubscription(subscription.id, {
+        status: "expired",
+      });
+    }
+
+    // The new period starts now, so a late renewal never bills time already past
+    return databaseService.updateSubscription(subscription.id, {
+      currentPeriodEnd: now + PLAN_INTERVALS[plan.interval],
+      paymentProvider: provider.name,
+      paymentReference: payment.reference,
+    });
+  }
+}
+
+// Create and export a singleton instance
+const subscriptionService = new SubscriptionService();
+module.exports = subscriptionService;
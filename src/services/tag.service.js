@@ -0,0 +1,96 @@
+const databaseService = require("./database.service");
+const { TAG_TYPES } = require("../utils/tags");
+
+const HOUR_MS = 60 * 60 * 1000;
+
+// Windows over post dates that trending tags are counted in
+const TRENDING_WINDOWS = {
+  "1h": HOUR_MS,
+  "24h": 24 * HOUR_MS,
+  "7d": 7 * 24 * HOUR_MS,
+};
+const DEFAULT_TRENDING_LIMIT = 10;
+const DEFAULT_MENTIONS_LIMIT = 20;
+const MAX_LIMIT = 50;
+
+/**
+ * Hashtags and cashtags of posts: what is trending, and what is being said
+ * about an asset in posts and signals.
+ */
+class TagService {
+  /**
+   * Validate trending tag query parameters and fill in defaults.
+   * @returns {{options: Object|null, error: string|null}}
+   */
+  normalizeTrendingOptions(query = {}) {
+    const fail = (error) => ({ options: null, error });
+
+    const window = query.window || "24h";
+    if (!(window in TRENDING_WINDOWS)) {
+      return fail(
+        `window must be one of: ${Object.keys(TRENDING_WINDOWS).join(", ")}`
+      );
+    }
+
+    const type = query.type || null;
+    if (type && !TAG_TYPES.includes(type)) {
+      return fail(`type must be one of: ${TAG_TYPES.join(", ")}`);
+    }
+
+    const limit = Math.min(
+      Math.max(parseInt(query.limit) || DEFAULT_TRENDING_LIMIT, 1),
+      MAX_LIMIT
+    );
+
+    return { options: { window, type, limit }, error: null };
+  }
+
+  async getTrendingTags({ window, type, limit }, now = Date.now()) {
+    return databaseService.getTrendingTags(now - TRENDING_WINDOWS[window], {
+      type,
+      take: limit,
+    });
+  }
+
+  /**
+   * Newest posts with the asset's cashtag and signals on markets it trades in.
+   * @param {string} asset - Ticker, e.g. "BTC"
+   * @param {Object} [options]
+   * @param {number} [options.before] - Only content published before this Unix ms
+   * @param {number} [options.limit] - Max posts and max signals
+   */
+  async getAssetMentions(asset, { before, limit } = {}) {
+    const symbol = String(asset).toUpperCase();
+    const take = Math.min(
+      Math.max(parseInt(limit) || DEFAULT_MENTIONS_LIMIT, 1),
+      MAX_LIMIT
+    );
+    const date = Number.isFinite(before) ? { lt: BigInt(before) } : undefined;
+
+    const [posts, signals] = await Promise.all([
+      databaseService.getAllPosts({
+        where: {
+          date,
+          tags: { some: { tag: { name: symbol, type: "cashtag" } } },
+        },
+        take,
+      }),
+      databaseService.getAllSignals({
+        where: {
+          date,
+          OR: [
+            { marketName: { startsWith: `${symbol}/` } },
+            { marketName: { endsWith: `/${symbol}` } },
+          ],
+        },
+        take,
+      }),
+    ]);
+
+    return { asset: symbol, posts, signals };
+  }
+}
+
+// Create and export a singleton instance
+const tagService = new TagService();
+module.exports = tagService;
@@ -0,0 +1,313 @@
+const bcrypt = require("bcrypt");
+const crypto = require("crypto");
+const jwt = require("jsonwebtoken");
+const databaseService = require("./database.service");
+const totp = require("../utils/totp");
+
+const DEFAULT_ISSUER = "Signalist";
+const DEFAULT_CHALLENGE_TTL_SECONDS = 5 * 60;
+const MAX_CHALLENGE_ATTEMPTS = 5;
+const CHALLENGE_PURPOSE = "two_factor";
+const BACKUP_CODE_COUNT = 10;
+// No 0/O or 1/I, so codes can be read back from paper
+const BACKUP_CODE_ALPHABET = "ABCDEFGHJKLMNPQRSTUVWXYZ23456789";
+
+/**
+ * Optional TOTP two-factor authentication.
+ *
+ * Enrollment stores a pending secret and returns its otpauth:// URI for the
+ * authenticator app's QR scanner; 2FA is only enabled once a code from the app
+ * is confirmed, which also returns the backup codes. Secrets are stored
+ * encrypted with TWO_FACTOR_ENCRYPTION_KEY (JWT_SECRET by default), backup
+ * codes as SHA-256 hashes, and every code works once.
+ *
+ * With 2FA enabled, a correct password only gets a short-lived challenge
+ * token; the session is created once the challenge is completed with a code.
+ */
+class TwoFactorService {
+  constructor() {
+    this.issuer = process.env.TWO_FACTOR_ISSUER || DEFAULT_ISSUER;
+    this.challengeTtlSeconds =
+      parseInt(process.env.TWO_FACTOR_CHALLENGE_TTL_SECONDS) ||
+      DEFAULT_CHALLENGE_TTL_SECONDS;
+    // challenge id -> { failures, completed, expiresAt }
+    this.challenges = new Map();
+  }
+
+  encryptionKey() {
+    return crypto
+      .createHash("sha256")
+      .update(process.env.TWO_FACTOR_ENCRYPTION_KEY || process.env.JWT_SECRET)
+      .digest();
+  }
+
+  // AES-256-GCM, stored as iv.tag.ciphertext
+  encryptSecret(secret) {
+    const iv = crypto.randomBytes(12);
+    const cipher = crypto.createCipheriv(
+      "aes-256-gcm",
+      this.encryptionKey(),
+      iv
+    );
+    const encrypted = Buffer.concat([
+      cipher.update(secret, "utf8"),
+      cipher.final(),
+    ]);
+    return [iv, cipher.getAuthTag(), encrypted]
+      .map((part) => part.toString("base64url"))
+      .join(".");
+  }
+
+  decryptSecret(stored) {
+    const [iv, tag, encrypted] = stored
+      .split(".")
+      .map((part) => Buffer.from(part, "base64url"));
+    const decipher = crypto.createDecipheriv(
+      "aes-256-gcm",
+      this.encryptionKey(),
+      iv
+    );
+    decipher.setAuthTag(tag);
+    return Buffer.concat([
+      decipher.update(encrypted),
+      decipher.final(),
+    ]).toString("utf8");
+  }
+
+  // "abcd-2345" and "ABCD2345" are the same code
+  hashBackupCode(code) {
+    const normalized = String(code).toUpperCase().replace(/[\s-]/g, "");
+    return crypto.createHash("sha256").update(normalized).digest("hex");
+  }
+
+  // @returns {string[]} codes like "K7QM-3XPA"
+  generateBackupCodes() {
+    return Array.from({ length: BACKUP_CODE_COUNT }, () => {
+      const chars = Array.from(
+        crypto.randomBytes(8),
+        (byte) => BACKUP_CODE_ALPHABET[byte % BACKUP_CODE_ALPHABET.length]
+      ).join("");
+      return `${chars.slice(0, 4)}-${chars.slice(4)}`;
+    });
+  }
+
+  async getStatus(userId) {
+    const twoFactor = await databaseService.getTwoFactor(userId);
+    const enabled = Boolean(twoFactor && twoFactor.enabledAt !== null);
+    return {
+      enabled,
+      enabledAt: enabled ? twoFactor.enabledAt : null,
+      backupCodesRemaining: enabled
+        ? await databaseService.countUnusedBackupCodes(userId)
+        : 0,
+    };
+  }
+
+  /**
+   * Start enrollment with a new secret, replacing any unconfirmed one.
+   * @returns {Promise<{enrollment: Object|null, error: string|null, status: number}>}
+   *   enrollment holds the secret and its otpauth:// URI
+   */
+  async beginEnrollment(user) {
+    if (user.twoFactorEnabled) {
+      return {
+        enrollment: null,
+        error: "Two-factor authentication is already enabled",
+        status: 409,
+      };
+    }
+
+    const secret = totp.generateSecret();
+    await databaseService.savePendingTwoFactor(
+      user.id,
+      this.encryptSecret(secret)
+    );
+
+    return {
+      enrollment: {
+        secret,
+        otpauthUri: totp.buildProvisioningUri(
+          secret,
+          user.username,
+          this.issuer
+        ),
+      },
+      error: null,
+      status: 200,
+    };
+  }
+
+  /**
+   * Enable 2FA with a code from the authenticator app.
+   * @returns {Promise<{backupCodes: string[]|null, error: string|null, status: number}>}
+   */
+  async confirmEnrollment(user, code, now = Date.now()) {
+    const fail = (error, status = 400) => ({
+      backupCodes: null,
+      error,
+      status,
+    });
+
+    if (user.twoFactorEnabled) {
+      return fail("Two-factor authentication is already enabled", 409);
+    }
+    const twoFactor = await databaseService.getTwoFactor(user.id);
+    if (!twoFactor) return fail("Start two-factor setup first");
+
+    const step = totp.verifyCode(
+      this.decryptSecret(twoFactor.secret),
+      code,
+      now
+    );
+    if (step === null) return fail("Invalid authentication code");
+
+    const backupCodes = this.generateBackupCodes();
+    await databaseService.enableTwoFactor(
+      user.id,
+      step,
+      backupCodes.map((backupCode) => this.hashBackupCode(backupCode)),
+      now
+    );
+
+    return { backupCodes, error: null, status: 200 };
+  }
+
+  /**
+   * Check an authenticator code or an unused backup code, using it up.
+   * @returns {Promise<boolean>}
+   */
+  async verifyCode(userId, code, now = Date.now()) {
+    if (!code) return false;
+    const twoFactor = await databaseService.getTwoFactor(userId);
+    if (!twoFactor || twoFactor.enabledAt === null) return false;
+
+    const step = totp.verifyCode(
+      this.decryptSecret(twoFactor.secret),
+      code,
+      now
+    );
+    if (step !== null) {
+      return databaseService.useTwoFactorStep(userId, step);
+    }
+
+    return databaseService.useBackupCode(
+      userId,
+      this.hashBackupCode(code),
+      now
+    );
+  }
+
+  /**
+   * Replace the backup codes, e.g. when they are lost or used up.
+   * @returns {Promise<{backupCodes: string[]|null, error: string|null, status: number}>}
+   */
+  async regenerateBackupCodes(user, code, now = Date.now()) {
+    const fail = (error, status = 400) => ({
+      backupCodes: null,
+      error,
+      status,
+    });
+
+    if (!user.twoFactorEnabled) {
+      return fail("Two-factor authentication is not enabled");
+    }
+    if (!(await this.verifyCode(user.id, code, now))) {
+      return fail("Invalid authentication code");
+    }
+
+    const backupCodes = this.generateBackupCodes();
+    await databaseService.replaceBackupCodes(
+      user.id,
+      backupCodes.map((backupCode) => this.hashBackupCode(backupCode))
+    );
+    return { backupCodes, error: null, status: 200 };
+  }
+
+  /**
+   * Turn 2FA off; needs the password and a code, so a stolen session cannot.
+   * @returns {Promise<{error: string|null, status: number}>}
+   */
+  async disable(user, password, code, now = Date.now()) {
+    const fail = (error, status = 400) => ({ error, status });
+
+    if (!user.twoFactorEnabled) {
+      return fail("Two-factor authentication is not enabled");
+    }
+    if (!password || !(await bcrypt.compare(String(password), user.password))) {
+      return fail("Password is incorrect");
+    }
+    if (!(await this.verifyCode(user.id, code, now))) {
+      return fail("Invalid authentication code");
+    }
+
+    await databaseService.disableTwoFactor(user.id);
+    return { error: null, status: 200 };
+  }
+
+  /**
+   * Issue the token a client trades for a session with the second factor.
+   * It carries no session, so the auth middleware does not accept it.
+   */
+  createChallenge(username, now = Date.now()) {
+    this.pruneChallenges(now);
+
+    const challengeId = crypto.randomUUID();
+    this.challenges.set(challengeId, {
+      failures: 0,
+      completed: false,
+      expiresAt: now + this.challengeTtlSeconds * 1000,
+    });
+    return jwt.sign(
+      { id: username, purpose: CHALLENGE_PURPOSE },
+      process.env.JWT_SECRET,
+      { expiresIn: this.challengeTtlSeconds, jwtid: challengeId }
+    );
+  }
+
+  /**
+   * Complete a login challenge with an authenticator or backup code. A
+   * challenge works once and allows MAX_CHALLENGE_ATTEMPTS wrong codes.
+   * @returns {Promise<{username: string|null, error: string|null, status: number}>}
+   */
+  async completeChallenge(challengeToken, code, now = Date.now()) {
+    const fail = (error, status = 401) => ({ username: null, error, status });
+    if (!challengeToken) return fail("challengeToken is required", 400);
+    if (!code) return fail("code is required", 400);
+
+    let payload;
+    try {
+      payload = jwt.verify(String(challengeToken), process.env.JWT_SECRET);
+    } catch (error) {
+      return fail("Login challenge has expired, please log in again");
+    }
+
+    const challenge = this.challenges.get(payload.jti);
+    if (
+      payload.purpose !== CHALLENGE_PURPOSE ||
+      !challenge ||
+      challenge.completed ||
+      challenge.failures >= MAX_CHALLENGE_ATTEMPTS
+    ) {
+      return fail("Login challenge has expired, please log in again");
+    }
+
+    const user = await databaseService.getUserSummary(payload.id);
+    if (!user || !(await this.verifyCode(user.id, code, now))) {
+      challenge.failures += 1;
+      return fail("Invalid authentication code");
+    }
+
+    challenge.completed = true;
+    return { username: user.username, error: null, status: 200 };
+  }
+
+  pruneChallenges(now) {
+    for (const [challengeId, challenge] of this.challenges) {
+      if (challenge.expiresAt <= now) this.challenges.delete(challengeId);
+    }
+  }
+}
+
+// Create and export a singleton instance
+const twoFactorService = new TwoFactorService();
+module.exports = twoFactorService;
@@ -0,0 +1,106 @@
+const databaseService = require("./database.service");
+
+// How many markets to list as a publisher's best and worst
+const MARKETS_TO_RANK = 3;
+
+/**
+ * Performance statistics of a publisher, computed from their signals.
+ * Rewards are the stored signal scores, so only closed (scored) signals count
+ * towards win rate, rewards, targets and stop-outs.
+ */
+class UserStatsService {
+  /**
+   * @param {string} username
+   * @param {Object} [filters]
+   * @param {number} [filters.fromMs] - Only signals opened at or after this time
+   * @param {number} [filters.toMs] - Only signals opened at or before this time
+   * @param {string} [filters.marketName] - Only signals of this market, e.g. "BTC/USDT"
+   */
+  async getUserStats(username, filters = {}) {
+    const signals = await databaseService.getUserSignalsForStats(
+      username,
+      filters
+    );
+    const closed = signals.filter((s) => s.status === "closed");
+
+    const markets = this.groupBy(closed, (s) => s.marketName).map(
+      ([market, group]) => ({ market, ...this.summarize(group) })
+    );
+    const ranked = [...markets].sort(
+      (a, b) => b.averageReward - a.averageReward
+    );
+
+    return {
+      totalSignals: signals.length,
+      openSignals: signals.filter((s) => s.status === "open").length,
+      pendingSignals: signals.filter((s) => s.status === "not_opened").length,
+      ...this.summarize(closed),
+      bestMarkets: ranked.slice(0, MARKETS_TO_RANK),
+      worstMarkets: ranked.slice(-MARKETS_TO_RANK).reverse(),
+      // Closed signals by the month they closed in (UTC)
+      monthly: this.groupBy(closed, (s) =>
+        new Date(this.exitTime(s)).toISOString().slice(0, 7)
+      )
+        .map(([month, group]) => ({ month, ...this.summarize(group) }))
+        .sort((a, b) => a.month.localeCompare(b.month)),
+    };
+  }
+
+  // Stats of a group of closed signals
+  summarize(signals) {
+    const rewards = signals.map((s) => s.score || 0);
+    // Won once a target is reached, lost when stopped out before any
+    const reachedTarget = (s) => s.targets.some((t) => t.touched);
+    const wins = signals.filter(reachedTarget).length;
+    const losses = signals.filter(
+      (s) => s.stoplossHitAt !== null && !reachedTarget(s)
+    ).length;
+    const totalReward = rewards.reduce((sum, r) => sum + r, 0);
+    const holdingTimes = signals
+      .map((s) => this.exitTime(s) - s.openTime)
+      .filter((ms) => ms > 0);
+
+    const targetsTotal = signals.reduce((sum, s) => sum + s.targets.length, 0);
+    const targetsHit = signals.reduce(
+      (sum, s) => sum + s.targets.filter((t) => t.touched).length,
+      0
+    );
+
+    return {
+      closedSignals: signals.length,
+      wins,
+      losses,
+      winRate: signals.length ? wins / signals.length : 0,
+      averageReward: signals.length ? totalReward / signals.length : 0,
+      totalReward,
+      targetsHit,
+      targetsTotal,
+      targetHitRate: targetsTotal ? targetsHit / targetsTotal : 0,
+      stopOuts: signals.filter((s) => s.stoplossHitAt !== null).length,
+      averageHoldingTimeMs: holdingTimes.length
+        ? holdingTimes.reduce((sum, ms) => sum + ms, 0) / holdingTimes.length
+        : 0,
+    };
+  }
+
+  // When the trade ended: the stop loss hit if it came before closeTime
+  exitTime(signal) {
+    return signal.stoplossHitAt && signal.stoplossHitAt < signal.closeTime
+      ? signal.stoplossHitAt
+      : signal.closeTime;
+  }
+
+  groupBy(items, keyOf) {
+    const groups = new Map();
+    for (const item of items) {
+      const key = keyOf(item);
+      if (!groups.has(key)) groups.set(key, []);
+      groups.get(key).push(item);
+    }
+    return Array.from(groups.entries());
+  }
+}
+
+// Create and export a singleton instance
+const userStatsService = new UserStatsService();
+module.exports = userStatsService;
@@ -0,0 +1,215 @@
+const fs = require("fs");
+const path = require("path");
+const axios = require("axios");
+
+const WALLEX_MARKETS_URL = "https://api.wallex.ir/hector/web/v1/markets";
+
+const DEFAULT_TTL_MS = 10_000;
+// Past the TTL, markets younger than this are served while a refresh runs
+const DEFAULT_STALE_WHILE_REVALIDATE_MS = 60_000;
+
+const MARKET_SORTS = ["symbol", "lastPrice", "change24h", "volume"];
+const MAX_SEARCH_LENGTH = 50;
+
+/**
+ * Wallex markets, cached and normalized into our own schema:
+ * { symbol: "BTC/USDT", id: "BTCUSDT", base, quote, baseName, lastPrice,
+ *   change24h, volume, quoteVolume }.
+ *
+ * Markets are fetched at most once per WALLEX_CACHE_TTL_MS. Right after that
+ * the cached markets are still served while they are refreshed in the
+ * background; later requests wait for the refresh. When Wallex cannot be
+ * reached, the last markets it returned are served with `stale: true`.
+ * WALLEX_MARKETS_FILE replays a recorded response instead of calling Wallex.
+ */
+class WallexService {
+  constructor() {
+    this.ttlMs = parseInt(process.env.WALLEX_CACHE_TTL_MS) || DEFAULT_TTL_MS;
+    this.staleWhileRevalidateMs =
+      parseInt(process.env.WALLEX_STALE_WHILE_REVALIDATE_MS) ||
+      DEFAULT_STALE_WHILE_REVALIDATE_MS;
+    this.file = process.env.WALLEX_MARKETS_FILE || null;
+    // { markets, fetchedAt }
+    this.cache = null;
+    this.refreshing = null;
+  }
+
+  /**
+   * Validate market list query parameters and fill in defaults.
+   * @returns {{options: Object|null, error: string|null}}
+   */
+  normalizeOptions(query = {}) {
+    const fail = (error) => ({ options: null, error });
+
+    const sort = query.sort || "volume";
+    if (!MARKET_SORTS.includes(sort)) {
+      return fail(`sort must be one of: ${MARKET_SORTS.join(", ")}`);
+    }
+
+    const order = query.order || (sort === "symbol" ? "asc" : "desc");
+    if (!["asc", "desc"].includes(order)) {
+      return fail("order must be asc or desc");
+    }
+
+    const search = query.search ? String(query.search).trim() : "";
+    if (search.length > MAX_SEARCH_LENGTH) {
+      return fail(`search must be at most ${MAX_SEARCH_LENGTH} characters`);
+    }
+
+    return {
+      options: {
+        quote: query.quote ? String(query.quote).toUpperCase() : null,
+        search: search.toUpperCase(),
+        sort,
+        order,
+      },
+      error: null,
+    };
+  }
+
+  /**
+   * @returns {Promise<{markets: Object[], fetchedAt: number, stale: boolean}>}
+   */
+  async getMarkets(options = {}) {
+    const { markets, fetchedAt, stale } = await this.load();
+    return {
+      markets: this.sortMarkets(this.filterMarkets(markets, options), options),
+      fetchedAt,
+      stale,
+    };
+  }
+
+  /**
+   * @param {string} symbol - "BTC/USDT", "BTC-USDT" or Wallex's "BTCUSDT"
+   * @returns {Promise<{market: Object|null, fetchedAt: number, stale: boolean}>}
+   */
+  async getMarket(symbol) {
+    const { markets, fetchedAt, stale } = await this.load();
+    const wanted = String(symbol).toUpperCase().replace(/[/_-]/g, "");
+    return {
+      market: markets.find((market) => market.id === wanted) || null,
+      fetchedAt,
+      stale,
+    };
+  }
+
+  filterMarkets(markets, { quote, search } = {}) {
+    return markets.filter(
+      (market) =>
+        (!quote || market.quote === quote) &&
+        (!search ||
+          market.id.includes(search.replace(/[/_-]/g, "")) ||
+          (market.baseName || "").toUpperCase().includes(search))
+    );
+  }
+
+  // Markets without a value for the sort field go last either way
+  sortMarkets(markets, { sort = "volume", order = "desc" } = {}) {
+    const direction = order === "asc" ? 1 : -1;
+    return [...markets].sort((a, b) => {
+      if (sort === "symbol") {
+        return direction * a.symbol.localeCompare(b.symbol);
+      }
+      if (a[sort] === null) return b[sort] === null ? 0 : 1;
+      if (b[sort] === null) return -1;
+      return direction * (a[sort] - b[sort]);
+    });
+  }
+
+  // Cached markets, refreshed as described on the class
+  async load(now = Date.now()) {
+    const age = this.cache ? now - this.cache.fetchedAt : Infinity;
+    if (age < this.ttlMs) return { ...this.cache, stale: false };
+
+    if (age < this.ttlMs + this.staleWhileRevalidateMs) {
+      this.refresh().catch((error) =>
+        console.error("Error refreshing Wallex markets:", error.message)
+      );
+      return { ...this.cache, stale: false };
+    }
+
+    try {
+      await this.refresh();
+      return { ...this.cache, stale: false };
+    } catch (error) {
+      if (!this.cache) throw error;
+      console.error(
+        "Wallex is unavailable, serving cached markets:",
+        error.message
+      );
+      return { ...this.cache, stale: true };
+    }
+  }
+
+  // Fetch markets once, however many requests are waiting for them
+  refresh() {
+    if (!this.refreshing) {
+      this.refreshing = this.fetchMarkets()
+        .then((markets) => {
+          this.cache = { markets, fetchedAt: Date.now() };
+          return this.cache;
+        })
+        .finally(() => {
+          this.refreshing = null;
+        });
+    }
+    return this.refreshing;
+  }
+
+  async fetchMarkets() {
+    if (this.file) {
+      const text = await fs.promises.readFile(path.resolve(this.file), "utf8");
+      return this.normalizeMarkets(JSON.parse(text));
+    }
+
+    const response = await axios.get(WALLEX_MARKETS_URL, {
+      headers: {
+        "User-Agent":
+          "Mozilla/5.0 (Macintosh; Intel Mac OS X 10_15_7) AppleWebKit/537.36 (KHTML, like Gecko) Chrome/91.0.4472.124 Safari/537.36",
+        Accept: "application/json",
+        "Accept-Language": "en-US,en;q=0.9",
+        "Cache-Control": "no-cache",
+        Pragma: "no-cache",
+      },
+      timeout: 10000, // 10 second timeout
+    });
+    return this.normalizeMarkets(response.data);
+  }
+
+  normalizeMarkets(payload) {
+    const raw = payload?.result?.markets;
+    if (!Array.isArray(raw)) {
+      throw new Error("Unexpected Wallex markets response");
+    }
+    return raw.map((market) => this.normalizeMarket(market)).filter(Boolean);
+  }
+
+  normalizeMarket(raw) {
+    const base = raw.base_asset ? String(raw.base_asset).toUpperCase() : null;
+    const quote = raw.quote_asset
+      ? String(raw.quote_asset).toUpperCase()
+      : null;
+    if (!base || !quote) return null;
+
+    const number = (value) => {
+      const parsed = parseFloat(value);
+      return Number.isFinite(parsed) ? parsed : null;
+    };
+
+    return {
+      symbol: `${base}/${quote}`,
+      id: raw.symbol ? String(raw.symbol).toUpperCase() : `${base}${quote}`,
+      base,
+      quote,
+      baseName: raw.en_base_asset || null,
+      lastPrice: number(raw.price),
+      change24h: number(raw.change_24h),
+      volume: number(raw.volume_24h),
+      quoteVolume: number(raw.quote_volume_24h),
+    };
+  }
+}
+
+// Create and export a singleton instance
+const wallexService = new WallexService();
+module.exports = wallexService;
@@ -0,0 +1,20 @@
+/**
+ * Utility functions for market symbols like "BTC/USDT"
+ */
+
+const MARKET_PATTERN = /^([A-Z0-9]{1,20})\/([A-Z0-9]{1,20})$/;
+
+/**
+ * Normalize a market symbol to ccxt's "BASE/QUOTE" form
+ * @param {string} value - e.g. "btc/usdt"
+ * @returns {string|null} null if it is not a market symbol
+ */
+function normalizeMarketName(value) {
+  if (typeof value !== "string") return null;
+  const marketName = value.trim().toUpperCase();
+  return MARKET_PATTERN.test(marketName) ? marketName : null;
+}
+
+module.exports = {
+  normalizeMarketName,
+};
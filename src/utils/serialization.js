@@ -20,6 +20,11 @@ function convertBigInts(obj) {
     return obj.map(convertBigInts);
   }
 
+  // Leave dates for JSON.stringify to turn into ISO strings
+  if (obj instanceof Date) {
+    return obj;
+  }
+
   if (typeof obj === "object") {
     const converted = {};
     for (const [key, value] of Object.entries(obj)) {
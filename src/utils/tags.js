@@ -0,0 +1,71 @@
+/**
+ * Utility functions for hashtags (#bitcoin) and cashtags ($BTC) in post content
+ */
+
+const TAG_TYPES = ["hashtag", "cashtag"];
+
+// Hashtags need at least one letter, so "#1" is not a tag
+const HASHTAG_PATTERN =
+  /(?:^|[^\p{L}\p{N}_&#])#([\p{L}\p{N}_]*\p{L}[\p{L}\p{N}_]*)/gu;
+// Cashtags start with a letter, so prices like "$100" are not tags
+const CASHTAG_PATTERN =
+  /(?:^|[^\p{L}\p{N}_$])\$([A-Za-z][A-Za-z0-9]{0,14})(?![\p{L}\p{N}_])/gu;
+
+const MAX_TAG_LENGTH = 50;
+
+/**
+ * Normalize a tag name: hashtags are case-insensitive, cashtags are tickers
+ * @param {string} name - Tag name without its # or $ prefix
+ * @param {string} type - "hashtag" or "cashtag"
+ * @returns {string}
+ */
+function normalizeTagName(name, type) {
+  return type === "cashtag" ? name.toUpperCase() : name.toLowerCase();
+}
+
+/**
+ * Extract the distinct tags mentioned in a text
+ * @param {string} content - Post content
+ * @returns {Array<{name: string, type: string}>}
+ */
+function parseTags(content) {
+  if (typeof content !== "string" || !content) return [];
+
+  const tags = new Map();
+  const collect = (pattern, type) => {
+    for (const match of content.matchAll(pattern)) {
+      const name = normalizeTagName(match[1], type);
+      if (name.length <= MAX_TAG_LENGTH)
+        tags.set(`${type}:${name}`, { name, type });
+    }
+  };
+  collect(HASHTAG_PATTERN, "hashtag");
+  collect(CASHTAG_PATTERN, "cashtag");
+
+  return Array.from(tags.values());
+}
+
+/**
+ * Turn a tag from a query string into the tags it can mean. "#bitcoin" and
+ * "$BTC" name one tag; a bare "btc" matches both the hashtag and the cashtag.
+ * @param {string} tagName
+ * @returns {Array<{name: string, type: string}>} - Empty for an empty tag
+ */
+function parseTagQuery(tagName) {
+  const value = String(tagName || "").trim();
+  const prefixed = { "#": "hashtag", $: "cashtag" }[value[0]];
+  const name = prefixed ? value.slice(1) : value;
+  if (!name) return [];
+
+  return (prefixed ? [prefixed] : TAG_TYPES).map((type) => ({
+    name: normalizeTagName(name, type),
+    type,
+  }));
+}
+
+module.exports = {
+  TAG_TYPES,
+  normalizeTagName,
+  parseTags,
+  parseTagQuery,
+};
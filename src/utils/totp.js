@@ -0,0 +1,122 @@
+/**
+ * Time-based one-time passwords (RFC 6238) as generated by authenticator apps:
+ * HMAC-SHA1, 6 digits, 30 second steps.
+ */
+
+const crypto = require("crypto");
+
+const BASE32_ALPHABET = "ABCDEFGHIJKLMNOPQRSTUVWXYZ234567";
+const DIGITS = 6;
+const PERIOD_SECONDS = 30;
+const SECRET_BYTES = 20;
+
+function base32Encode(buffer) {
+  let bits = 0;
+  let value = 0;
+  let output = "";
+  for (const byte of buffer) {
+    value = (value << 8) | byte;
+    bits += 8;
+    while (bits >= 5) {
+      output += BASE32_ALPHABET[(value >>> (bits - 5)) & 31];
+      bits -= 5;
+    }
+  }
+  if (bits > 0) output += BASE32_ALPHABET[(value << (5 - bits)) & 31];
+  return output;
+}
+
+function base32Decode(text) {
+  const clean = text.toUpperCase().replace(/[\s=]/g, "");
+  let bits = 0;
+  let value = 0;
+  const bytes = [];
+  for (const char of clean) {
+    const index = BASE32_ALPHABET.indexOf(char);
+    if (index === -1) throw new Error("Invalid base32 character");
+    value = (value << 5) | index;
+    bits += 5;
+    if (bits >= 8) {
+      bytes.push((value >>> (bits - 8)) & 255);
+      bits -= 8;
+    }
+  }
+  return Buffer.from(bytes);
+}
+
+/**
+ * @returns {string} a new random base32 secret
+ */
+function generateSecret() {
+  return base32Encode(crypto.randomBytes(SECRET_BYTES));
+}
+
+/**
+ * @param {number} now - Unix timestamp in milliseconds
+ * @returns {number} the time step a code is valid in
+ */
+function timeStep(now) {
+  return Math.floor(now / 1000 / PERIOD_SECONDS);
+}
+
+/**
+ * @param {string} secret - base32 secret
+ * @param {number} step - time step
+ * @returns {string} the zero-padded code for that step
+ */
+function generateCode(secret, step) {
+  const counter = Buffer.alloc(8);
+  counter.writeBigUInt64BE(BigInt(step));
+  const hmac = crypto
+    .createHmac("sha1", base32Decode(secret))
+    .update(counter)
+    .digest();
+
+  const offset = hmac[hmac.length - 1] & 15;
+  const binary = hmac.readUInt32BE(offset) & 0x7fffffff;
+  return String(binary % 10 ** DIGITS).padStart(DIGITS, "0");
+}
+
+/**
+ * Check a code, allowing for clocks that are `window` steps apart
+ * @returns {number|null} the time step the code belongs to, null if it is wrong
+ */
+function verifyCode(secret, code, now, window = 1) {
+  const candidate = String(code || "").replace(/\s/g, "");
+  if (!new RegExp(`^\\d{${DIGITS}}$`).test(candidate)) return null;
+
+  const current = timeStep(now);
+  for (let step = current - window; step <= current + window; step++) {
+    const expected = generateCode(secret, step);
+    if (crypto.timingSafeEqual(Buffer.from(expected), Buffer.from(candidate))) {
+      return step;
+    }
+  }
+  return null;
+}
+
+/**
+ * The otpauth:// URI authenticator apps read from a QR code
+ * @param {string} secret - base32 secret
+ * @param {string} accountName - e.g. the username
+ * @param {string} issuer - e.g. "Signalist"
+ */
+function buildProvisioningUri(secret, accountName, issuer) {
+  const label = encodeURIComponent(`${issuer}:${accountName}`);
+  const params = new URLSearchParams({
+    secret,
+    issuer,
+    algorithm: "SHA1",
+    digits: String(DIGITS),
+    period: String(PERIOD_SECONDS),
+  });
+  return `otpauth://totp/${label}?${params.toString()}`;
+}
+
+module.exports = {
+  generateSecret,
+  generateCode,
+  timeStep,
+  verifyCode,
+  buildProvisioningUri,
+};